@@ -24,7 +24,9 @@ class MemoryMonitor {
             lowMemoryInactivityThresholdMs: options.lowMemoryInactivityThresholdMs || 1800000, // 30 minutes
             criticalMemoryInactivityThresholdMs: options.criticalMemoryInactivityThresholdMs || 300000, // 5 minutes
             heapDumpEnabled: options.heapDumpEnabled || false, // Whether to create heap dumps on critical memory
-            heapDumpPath: options.heapDumpPath || './heapdumps/' // Where to store heap dumps
+            heapDumpPath: options.heapDumpPath || './heapdumps/', // Where to store heap dumps
+            attachmentQuotaBytes: options.attachmentQuotaBytes || 200 * 1024 * 1024, // Attachment bytes across all rooms
+            voiceNoteQuotaBytes: options.voiceNoteQuotaBytes || 50 * 1024 * 1024 // Share of the attachment quota voice notes may use
         };
 
         // Memory usage statistics
@@ -36,7 +38,8 @@ class MemoryMonitor {
             criticalCount: 0,
             emergencyCount: 0,
             lastEmergencyAction: null,
-            cleanupCount: 0
+            cleanupCount: 0,
+            attachmentEvictions: 0
         };
 
         // Monitoring interval ID (for cleanup)
@@ -284,10 +287,11 @@ class MemoryMonitor {
             }
         }
 
-        // Truncate messages in remaining rooms
+        // Drop every attachment and truncate messages in remaining rooms
+        const evictedBytes = this.evictAttachments(0);
         this.truncateAllMessages(75); // Keep only 25% of messages in each room
 
-        this.logger.warn(`Emergency cleanup complete: ${deletedRooms} rooms deleted with ${deletedMessages} messages`);
+        this.logger.warn(`Emergency cleanup complete: ${deletedRooms} rooms deleted with ${deletedMessages} messages, ${Math.round(evictedBytes / 1024)} KB of attachments evicted`);
 
         // Check memory again after cleanup
         setTimeout(() => this.checkMemory(), 5000);
@@ -305,10 +309,11 @@ class MemoryMonitor {
         // Clean up inactive rooms with a shorter threshold
         const deletedRooms = this.cleanupInactiveRooms(this.config.criticalMemoryInactivityThresholdMs);
 
-        // Truncate messages in all rooms to reduce memory footprint
+        // Drop every attachment and truncate messages in all rooms to reduce memory footprint
+        const evictedBytes = this.evictAttachments(0);
         const truncatedMessages = this.truncateAllMessages(50); // Keep 50% of messages
 
-        this.logger.info(`Critical cleanup complete: ${deletedRooms} rooms deleted, ${truncatedMessages} messages truncated`);
+        this.logger.info(`Critical cleanup complete: ${deletedRooms} rooms deleted, ${truncatedMessages} messages truncated, ${Math.round(evictedBytes / 1024)} KB of attachments evicted`);
 
         // Create heap dump if enabled and it's the first critical event
         if (this.config.heapDumpEnabled && this.heapDump && this.stats.criticalCount === 1) {
@@ -330,10 +335,11 @@ class MemoryMonitor {
         // Clean up inactive rooms with a shorter threshold
         const deletedRooms = this.cleanupInactiveRooms(this.config.lowMemoryInactivityThresholdMs);
 
-        // Truncate extra large rooms only
+        // Halve attachment storage and truncate extra large rooms only
+        const evictedBytes = this.evictAttachments(50);
         const truncatedMessages = this.truncateExtraLargeRooms();
 
-        this.logger.info(`Warning cleanup complete: ${deletedRooms} rooms deleted, ${truncatedMessages} messages truncated`);
+        this.logger.info(`Warning cleanup complete: ${deletedRooms} rooms deleted, ${truncatedMessages} messages truncated, ${Math.round(evictedBytes / 1024)} KB of attachments evicted`);
     }
 
     /**
@@ -405,6 +411,48 @@ class MemoryMonitor {
         return totalTruncated;
     }
 
+    /**
+     * Drop the oldest attachments in all rooms to reduce memory usage
+     * @param {number} percentToKeep - Percentage of each room's attachment bytes to keep
+     * @returns {number} Bytes freed
+     * @private
+     */
+    evictAttachments(percentToKeep) {
+        if (typeof this.roomManager.evictAttachments !== 'function') {
+            return 0;
+        }
+
+        const freedBytes = this.roomManager.evictAttachments(percentToKeep);
+        if (freedBytes > 0) {
+            this.stats.attachmentEvictions++;
+        }
+        return freedBytes;
+    }
+
+    /**
+     * Check if new attachment uploads fit in memory right now
+     * @param {number} size - Size of the upload in bytes
+     * @param {boolean} [isVoiceNote=false] - Whether the upload is a voice note, which also has its own quota
+     * @returns {boolean} True if memory is normal and the server-wide attachment quota has room
+     */
+    canAcceptAttachment(size, isVoiceNote = false) {
+        if (this.memoryStatus !== 'normal') {
+            return false;
+        }
+
+        if (isVoiceNote) {
+            const voiceBytes = typeof this.roomManager.getVoiceNoteBytes === 'function' ?
+                this.roomManager.getVoiceNoteBytes() : 0;
+            if (voiceBytes + size > this.config.voiceNoteQuotaBytes) {
+                return false;
+            }
+        }
+
+        const usedBytes = typeof this.roomManager.getAttachmentBytes === 'function' ?
+            this.roomManager.getAttachmentBytes() : 0;
+        return usedBytes + size <= this.config.attachmentQuotaBytes;
+    }
+
     /**
      * Truncate only rooms with excessive message counts
      * @returns {number} Total number of messages truncated
@@ -443,6 +491,10 @@ class MemoryMonitor {
             currentHeapMb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
             currentRssMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
             memoryStatus: this.memoryStatus,
+            attachmentBytes: typeof this.roomManager.getAttachmentBytes === 'function' ?
+                this.roomManager.getAttachmentBytes() : 0,
+            voiceNoteBytes: typeof this.roomManager.getVoiceNoteBytes === 'function' ?
+                this.roomManager.getVoiceNoteBytes() : 0,
             memoryLimit: {
                 warning: this.config.warningThresholdMb,
                 critical: this.config.criticalThresholdMb,
@@ -4,6 +4,7 @@
  */
 const SecurityUtils = require('./utils/SecurityUtils');
 const Message = require('./models/Message');
+const { createError } = require('./utils/ErrorCodes');
 
 class SocketHandler {
     /**
@@ -24,9 +25,21 @@ class SocketHandler {
         // Memory monitor reference
         this.memoryMonitor = options.memoryMonitor || null;
 
+        // How long a dropped connection keeps its seat before the user is removed
+        this.sessionGracePeriod = options.sessionGracePeriod || SecurityUtils.TIMEOUTS.SESSION_GRACE;
+
+        // Seats held for disconnected sockets that may still resume, keyed by old socket ID
+        this.pendingDisconnects = new Map();
+
+        // Users currently typing, keyed by socket ID, with their auto-expiry timer
+        this.typingUsers = new Map();
+
         // Set up periodic cleanup for memory management
         this.setupCleanupSchedule();
 
+        // Relay room lifecycle events (expiry, cleanup, maintenance) to clients
+        this.setupRoomManagerListeners();
+
         // Register handlers for process signals (graceful shutdown)
         this.setupProcessSignalHandlers();
     }
@@ -56,13 +69,25 @@ class SocketHandler {
         this.logger.info(`${signal} received, initiating graceful shutdown...`);
 
         try {
+            // Stop waiting on disconnected sessions
+            for (const pending of this.pendingDisconnects.values()) {
+                clearTimeout(pending.timeoutId);
+            }
+            this.pendingDisconnects.clear();
+
+            // Drop typing indicator timers
+            for (const typing of this.typingUsers.values()) {
+                clearTimeout(typing.timeoutId);
+            }
+            this.typingUsers.clear();
+
             // Notify all users
             for (const [socketId, userData] of this.userSockets.entries()) {
                 // Only notify users in rooms
                 if (userData.roomCode) {
                     const socket = this.io.sockets.sockets.get(socketId);
                     if (socket) {
-                        socket.emit('error', 'Server is shutting down. Please reconnect in a moment.');
+                        this.emitError(socket, 'SERVER_SHUTTING_DOWN');
                     }
                 }
             }
@@ -125,6 +150,106 @@ class SocketHandler {
         }
     }
 
+    /**
+     * Forwards room events raised by the RoomManager to the affected clients
+     * @private
+     */
+    setupRoomManagerListeners() {
+        // Deletion notices are added to the room history as system messages
+        this.roomManager.on('roomDeletionNotice', ({ roomCode, message }) => {
+            if (message) {
+                this.io.to(roomCode).emit('newMessage', message);
+            }
+        });
+
+        // Disappearing messages are removed from open tabs as well
+        this.roomManager.on('messagesExpired', ({ roomCode, messageIds }) => {
+            this.io.to(roomCode).emit('messagesExpired', { ids: messageIds });
+        });
+
+        this.roomManager.on('roomExpiringSoon', ({ roomCode, expiryTime, remaining }) => {
+            this.io.to(roomCode).emit('roomExpiringSoon', { expiryTime, remaining });
+        });
+
+        // Mutes change the member list and are announced in the room
+        const announceMuteChange = ({ roomCode, message }) => {
+            const room = this.roomManager.getRoom(roomCode);
+            if (!room) return;
+
+            if (message) {
+                this.io.to(roomCode).emit('newMessage', message);
+            }
+            this.io.to(roomCode).emit('userRolesUpdated', { roles: room.getRoles() });
+        };
+        this.roomManager.on('userMuted', announceMuteChange);
+        this.roomManager.on('userUnmuted', announceMuteChange);
+
+        // Join requests that are denied, run out or are withdrawn
+        this.roomManager.on('joinRequestClosed', ({ roomCode, requestId, userId, username, reason }) => {
+            if (reason !== 'cancelled') {
+                this.io.to(userId).emit('joinDenied', { roomCode, reason });
+            }
+
+            const room = this.roomManager.getRoom(roomCode);
+            if (room) {
+                this.emitToApprovers(room, 'joinRequestResolved', { requestId, username, status: reason });
+            }
+        });
+
+        this.roomManager.on('roomExpired', ({ roomCode, reason }) => {
+            this.logger.info(`Closing room ${roomCode} for its users (${reason || 'expired'})`);
+            this.evictRoomMembers(roomCode, reason || 'expired');
+        });
+    }
+
+    /**
+     * Tells everyone in a room that it is gone and detaches their sockets from it
+     * @param {string} roomCode - Code of the room
+     * @param {string} [reason] - Why the room was closed (e.g. 'expired'), if not by its owner
+     */
+    evictRoomMembers(roomCode, reason = null) {
+        // Notify all users in the room
+        this.io.to(roomCode).emit('roomDeleted', reason ? { roomCode, reason } : { roomCode });
+
+        // Remove all sockets from the room
+        this.io.in(roomCode).socketsLeave(roomCode);
+
+        // Update user tracking for all users in this room
+        for (const userData of this.userSockets.values()) {
+            if (userData.roomCode === roomCode) {
+                userData.roomCode = null;
+                userData.sessionToken = null;
+                userData.csrfToken = null;
+            }
+        }
+    }
+
+    /**
+     * Sends an event to every member allowed to answer join requests
+     * @param {Room} room - Room whose owner and moderators are told
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     */
+    emitToApprovers(room, event, payload) {
+        for (const user of room.users.values()) {
+            if (user.can('approveJoins')) {
+                this.io.to(user.id).emit(event, payload);
+            }
+        }
+    }
+
+    /**
+     * Builds the member list sent to clients
+     * @param {Room} room - Room to describe
+     * @returns {Object} { users, roles } with usernames in join order and each member's role
+     */
+    getUserListPayload(room) {
+        return {
+            users: Array.from(room.users.values()).map(u => u.toJSON().username),
+            roles: room.getRoles()
+        };
+    }
+
     /**
      * Gets client IP address from socket handshake
      * @param {Object} socket - Socket.IO socket
@@ -137,6 +262,61 @@ class SocketHandler {
             'unknown';
     }
 
+    /**
+     * Sends a structured error to a client
+     * @param {Object} socket - Socket.IO socket
+     * @param {string} code - Error code from ErrorCodes
+     * @param {string} [message] - Overrides the default message for the code
+     * @param {Object} [details] - Extra fields to include in the payload
+     * @returns {Object} The error payload that was sent
+     */
+    emitError(socket, code, message = null, details = {}) {
+        const error = createError(code, message, details);
+        socket.emit('error', error);
+        return error;
+    }
+
+    /**
+     * Fails a request: emits the error and answers the ack callback, if any
+     * @param {Object} socket - Socket.IO socket
+     * @param {Function} [ack] - Socket.IO acknowledgement callback
+     * @param {string} code - Error code from ErrorCodes
+     * @param {string} [message] - Overrides the default message for the code
+     * @param {Object} [details] - Extra fields to include in the payload
+     */
+    rejectRequest(socket, ack, code, message = null, details = {}) {
+        const error = this.emitError(socket, code, message, details);
+        if (typeof ack === 'function') {
+            ack({ ok: false, error });
+        }
+    }
+
+    /**
+     * Completes a request by answering the ack callback, if any
+     * @param {Function} [ack] - Socket.IO acknowledgement callback
+     * @param {Object} [result] - Extra fields for the client
+     */
+    acknowledge(ack, result = {}) {
+        if (typeof ack === 'function') {
+            ack({ ok: true, ...result });
+        }
+    }
+
+    /**
+     * Sends a RATE_LIMITED error including when the client may retry
+     * @param {Object} socket - Socket.IO socket
+     * @param {string} clientIp - Client IP address
+     * @param {string} action - Rate limited action type
+     * @param {string} message - Human readable description
+     * @param {Function} [ack] - Socket.IO acknowledgement callback
+     */
+    emitRateLimited(socket, clientIp, action, message, ack = null) {
+        this.rejectRequest(socket, ack, 'RATE_LIMITED', message, {
+            action,
+            retryAfter: SecurityUtils.getRateLimitRetryAfter(clientIp, action)
+        });
+    }
+
     /**
      * Initializes socket connection handling
      */
@@ -148,7 +328,7 @@ class SocketHandler {
                 // Check connection rate limit
                 if (SecurityUtils.isRateLimited(clientIp, 'connections')) {
                     this.logger.warn(`Rate limit exceeded for connections from IP: ${clientIp}`);
-                    socket.emit('error', 'Too many connection attempts. Please try again later.');
+                    this.emitRateLimited(socket, clientIp, 'connections', 'Too many connection attempts. Please try again later.');
                     socket.disconnect(true);
                     return;
                 }
@@ -181,25 +361,75 @@ class SocketHandler {
      */
     setupEventHandlers(socket) {
         // Create Room
-        socket.on('createRoom', (username) => this.handleCreateRoom(socket, username));
+        socket.on('createRoom', (data, ack) => this.handleCreateRoom(socket, data, ack));
 
         // Join Room
-        socket.on('joinRoom', (data) => this.handleJoinRoom(socket, data));
+        socket.on('joinRoom', (data, ack) => this.handleJoinRoom(socket, data, ack));
 
         // Send Message
-        socket.on('sendMessage', (data) => this.handleSendMessage(socket, data));
+        socket.on('sendMessage', (data, ack) => this.handleSendMessage(socket, data, ack));
+
+        // Edit / Delete Message
+        socket.on('editMessage', (data) => this.handleEditMessage(socket, data));
+        socket.on('deleteMessage', (data) => this.handleDeleteMessage(socket, data));
+
+        // Reactions
+        socket.on('reactToMessage', (data) => this.handleReactToMessage(socket, data));
+
+        // Encrypted attachments
+        socket.on('startAttachment', (data, ack) => this.handleStartAttachment(socket, data, ack));
+        socket.on('attachmentChunk', (data, ack) => this.handleAttachmentChunk(socket, data, ack));
+        socket.on('fetchAttachmentChunk', (data, ack) => this.handleFetchAttachmentChunk(socket, data, ack));
+
+        // Pinned messages
+        socket.on('pinMessage', (data, ack) => this.handleSetMessagePinned(socket, data, ack, true));
+        socket.on('unpinMessage', (data, ack) => this.handleSetMessagePinned(socket, data, ack, false));
+
+        // Typing indicators
+        socket.on('typingStart', (data) => this.handleTypingStart(socket, data));
+        socket.on('typingStop', (data) => this.handleTypingStop(socket, data));
+
+        // Read receipts
+        socket.on('markRead', (data, ack) => this.handleMarkRead(socket, data, ack));
+        socket.on('setReadReceipts', (data) => this.handleSetReadReceipts(socket, data));
+
+        // View-once messages
+        socket.on('messageViewed', (data) => this.handleMessageViewed(socket, data));
+
+        // Room settings
+        socket.on('updateRoomSettings', (data) => this.handleUpdateRoomSettings(socket, data));
+
+        // Room lock and join requests
+        socket.on('setRoomLock', (data, ack) => this.handleSetRoomLock(socket, data, ack));
+        socket.on('approveJoin', (data, ack) => this.handleJoinDecision(socket, data, ack, true));
+        socket.on('denyJoin', (data, ack) => this.handleJoinDecision(socket, data, ack, false));
+
+        // Roles
+        socket.on('promoteUser', (data, ack) => this.handleSetUserRole(socket, data, ack, 'moderator'));
+        socket.on('demoteUser', (data, ack) => this.handleSetUserRole(socket, data, ack, 'member'));
+
+        // Mute / Unmute
+        socket.on('muteUser', (data, ack) => this.handleMuteUser(socket, data, ack));
+        socket.on('unmuteUser', (data, ack) => this.handleUnmuteUser(socket, data, ack));
+
+        // Ban list
+        socket.on('listBans', (data, ack) => this.handleListBans(socket, data, ack));
+        socket.on('unbanUser', (data, ack) => this.handleUnbanUser(socket, data, ack));
 
         // Delete Room
-        socket.on('deleteRoom', (data) => this.handleDeleteRoom(socket, data));
+        socket.on('deleteRoom', (data, ack) => this.handleDeleteRoom(socket, data, ack));
 
         // Leave Room (explicit)
         socket.on('leaveRoom', (roomCode) => this.handleLeaveRoom(socket, roomCode));
 
+        // Resume Session (after a transient disconnect)
+        socket.on('resumeSession', (data) => this.handleResumeSession(socket, data));
+
         // Disconnect
         socket.on('disconnect', () => this.handleDisconnect(socket));
 
         // Kick User
-        socket.on('kickUser', (data) => this.handleKickUser(socket, data));
+        socket.on('kickUser', (data, ack) => this.handleKickUser(socket, data, ack));
 
         // Error handling
         socket.on('error', (error) => {
@@ -234,22 +464,37 @@ class SocketHandler {
     /**
      * Handles room creation with proper error handling
      * @param {Object} socket - Socket.IO socket instance
-     * @param {string} username - Username of the room creator
+     * @param {Object|string} data - Creation data (username, optional password and settings) or just the username
+     * @param {Function} [ack] - Optional acknowledgement callback
      */
-    handleCreateRoom(socket, username) {
+    async handleCreateRoom(socket, data, ack) {
         try {
+            const { username, password, settings } = typeof data === 'string' ? { username: data } : (data || {});
             const clientIp = this.getClientIp(socket);
 
             // Check room creation rate limit
             if (SecurityUtils.isRateLimited(clientIp, 'rooms')) {
                 this.logger.warn(`Rate limit exceeded for room creation from IP: ${clientIp}`);
-                socket.emit('error', 'You are creating rooms too quickly. Please try again later.');
+                this.emitRateLimited(socket, clientIp, 'rooms', 'You are creating rooms too quickly. Please try again later.', ack);
                 return;
             }
 
             // Validate username
             if (!SecurityUtils.isValidUsername(username)) {
-                socket.emit('error', 'Invalid username. Username must be between 1-20 characters and contain only letters, numbers, and underscores.');
+                this.rejectRequest(socket, ack, 'INVALID_USERNAME');
+                return;
+            }
+
+            // Validate the optional room password
+            if (password && !SecurityUtils.isValidRoomPassword(password)) {
+                this.rejectRequest(socket, ack, 'INVALID_ROOM_PASSWORD', `Room password must be between 4 and ${SecurityUtils.SIZE_LIMITS.ROOM_PASSWORD} characters`);
+                return;
+            }
+
+            // Validate the optional room settings
+            const roomSettings = settings !== undefined ? SecurityUtils.validateRoomSettings(settings) : {};
+            if (!roomSettings) {
+                this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Room settings are out of the allowed range');
                 return;
             }
 
@@ -259,10 +504,16 @@ class SocketHandler {
                 this.logger.warn(`Memory pressure detected during room creation attempt by ${socket.id}`);
             }
 
+            // Only a salted hash of the password is kept on the room
+            const passwordHash = password ? await SecurityUtils.hashRoomPassword(password) : null;
+
+            // Hashing takes a while; the client may have gone in the meantime
+            if (!socket.connected) return;
+
             // Create the room with client IP for the user
-            const room = this.roomManager.createRoom(socket.id, username, clientIp);
+            const room = this.roomManager.createRoom(socket.id, username, clientIp, { ...roomSettings, passwordHash });
             if (!room) {
-                socket.emit('error', 'Failed to create room. Server may be at capacity');
+                this.rejectRequest(socket, ack, 'SERVER_AT_CAPACITY', 'Failed to create room. Server may be at capacity');
                 return;
             }
 
@@ -291,168 +542,262 @@ class SocketHandler {
             // Send room data and security tokens back to the client
             socket.emit('roomCreated', {
                 roomCode: room.code,
-                users: Array.from(room.users.values()).map(u => u.toJSON().username),
+                ...this.getUserListPayload(room),
                 messageSizeLimit: SecurityUtils.SIZE_LIMITS.MESSAGE,
+                attachmentSizeLimit: SecurityUtils.ATTACHMENT_LIMITS.MAX_BYTES,
+                voiceNoteLimits: this.getVoiceNoteLimits(),
                 sessionToken: sessionToken,
-                csrfToken: csrfToken
+                csrfToken: csrfToken,
+                readReceipts: room.readReceipts,
+                settings: room.getSettings()
             });
 
-            this.logger.info(`Room created: ${room.code} by ${username} (${socket.id})`);
+            this.acknowledge(ack, { roomCode: room.code });
+
+            this.logger.info(`Room created: ${room.code} by ${username} (${socket.id})${passwordHash ? ' [password protected]' : ''}`);
         } catch (error) {
             this.logger.error(`Error creating room: ${error.message}`);
-            socket.emit('error', 'Failed to create room. Please try again.');
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to create room. Please try again.');
         }
     }
 
     /**
      * Handles joining an existing room with proper error handling
      * @param {Object} socket - Socket.IO socket instance
-     * @param {Object} data - Join data (roomCode, username)
+     * @param {Object} data - Join data (roomCode, username, password)
+     * @param {Function} [ack] - Optional acknowledgement callback
      */
-    handleJoinRoom(socket, data) {
+    async handleJoinRoom(socket, data, ack) {
         try {
-            const { roomCode, username } = data;
+            const { roomCode, username, password } = data;
             const clientIp = this.getClientIp(socket);
 
             // Basic input validation
             if (!roomCode || !username) {
-                return socket.emit('error', 'Room code and username are required');
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Room code and username are required');
             }
 
             if (!SecurityUtils.isValidRoomCode(roomCode)) {
-                return socket.emit('error', 'Invalid room code format');
+                return this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
             }
 
             if (!SecurityUtils.isValidUsername(username)) {
-                return socket.emit('error', 'Invalid username. Username must be between 1-20 characters and contain only letters, numbers, and underscores.');
+                return this.rejectRequest(socket, ack, 'INVALID_USERNAME');
             }
 
             // Check if username is already taken in this room
             if (this.roomManager.isUsernameTaken(roomCode, username)) {
-                return socket.emit('error', 'Username already taken in this room');
+                return this.rejectRequest(socket, ack, 'USERNAME_TAKEN');
+            }
+
+            // Password-protected rooms require the password in addition to the room code
+            const targetRoom = this.roomManager.getRoom(roomCode);
+            if (targetRoom && targetRoom.hasPassword()) {
+                if (!password) {
+                    return this.rejectRequest(socket, ack, 'PASSWORD_REQUIRED');
+                }
+
+                // Every guess counts toward the limit so passwords can't be brute forced
+                if (SecurityUtils.isRateLimited(clientIp, 'password_attempts')) {
+                    this.logger.warn(`Password attempt limit exceeded for room ${roomCode} from IP: ${clientIp}`);
+                    return this.emitRateLimited(socket, clientIp, 'password_attempts', 'Too many password attempts. Please try again later.', ack);
+                }
+
+                // A password no room could have is wrong without spending a hash on it
+                const passwordValid = SecurityUtils.isValidRoomPassword(password) &&
+                    await SecurityUtils.verifyRoomPassword(password, targetRoom.passwordHash);
+                if (!socket.connected) return;
+                if (!passwordValid) {
+                    this.logger.warn(`Incorrect password for room ${roomCode} from ${socket.id}`);
+                    return this.rejectRequest(socket, ack, 'INVALID_PASSWORD');
+                }
+            }
+
+            // Locked rooms only let people in once the owner or a moderator approves
+            if (targetRoom && targetRoom.locked) {
+                return this.requestRoomEntry(socket, ack, targetRoom, username, clientIp);
             }
 
             // Try to join the room
             const room = this.roomManager.joinRoom(roomCode, socket.id, username, clientIp);
             if (!room) {
-                return socket.emit('error', 'Room not found or room is full');
+                return this.rejectRequest(socket, ack, 'ROOM_UNAVAILABLE');
             }
 
-            // Generate session token for authentication
-            const sessionToken = SecurityUtils.generateSessionToken(socket.id, room.code);
-
-            // Generate CSRF token for form submissions
-            const csrfToken = SecurityUtils.generateCSRFToken(socket.id);
+            this.admitToRoom(socket, room, username, clientIp);
+            this.acknowledge(ack, { roomCode: room.code });
 
-            // Update user tracking with security tokens
-            const userData = {
-                id: socket.id,
-                roomCode: room.code,
-                username: username,
-                ip: clientIp,
-                lastActivity: Date.now(),
-                sessionToken: sessionToken,
-                csrfToken: csrfToken
-            };
+            this.logger.info(`User ${username} (${socket.id}) joined room: ${room.code}`);
+        } catch (error) {
+            this.logger.error(`Error joining room: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to join room. Please try again.');
+        }
+    }
 
-            this.userSockets.set(socket.id, userData);
+    /**
+     * Parks a user outside a locked room and asks the owner and moderators to let them in
+     * @param {Object} socket - Socket.IO socket of the waiting user
+     * @param {Function} [ack] - Acknowledgement callback of the join request
+     * @param {Room} room - Locked room
+     * @param {string} username - Requested username
+     * @param {string} clientIp - Client IP address
+     * @private
+     */
+    requestRoomEntry(socket, ack, room, username, clientIp) {
+        // Knocking counts toward the per-IP limits so moderators can't be flooded
+        if (SecurityUtils.isRateLimited(clientIp, 'join_requests')) {
+            this.logger.warn(`Join request limit exceeded for room ${room.code} from IP: ${clientIp}`);
+            return this.emitRateLimited(socket, clientIp, 'join_requests', 'Too many join requests. Please try again later.', ack);
+        }
 
-            // Join the socket to the room
-            socket.join(room.code);
+        if (this.roomManager.countJoinRequests(clientIp) >= SecurityUtils.JOIN_REQUEST_LIMITS.MAX_PENDING_PER_IP) {
+            return this.rejectRequest(socket, ack, 'RATE_LIMITED', 'You have too many join requests waiting for an answer.');
+        }
 
-            // Broadcast the join message to everyone in the room except the sender
-            const joinMessage = this.roomManager.addSystemMessage(room.code, `${username} joined the room.`);
-            if (joinMessage) {
-                socket.to(room.code).emit('newMessage', joinMessage); // Send to everyone except the sender
-            }
+        const request = this.roomManager.requestJoin(room.code, socket.id, username, clientIp);
+        if (!request) {
+            return this.rejectRequest(socket, ack, 'ROOM_UNAVAILABLE');
+        }
 
-            // Get encryption status from the room
-            const encryptionEnabled = room.encryptionEnabled || false;
+        this.emitToApprovers(room, 'joinRequest', {
+            requestId: request.id,
+            username: request.user.username,
+            expiresAt: request.expiresAt
+        });
 
-            // Notify the newest user with a system message of current room occupants
-            const occupants = Array.from(room.users.values())
-                .map(user => user.username.slice(0, 10)) // Truncate usernames to 10 characters
-                .join(', ');
+        socket.emit('joinPending', { roomCode: room.code, expiresAt: request.expiresAt });
+        this.acknowledge(ack, { roomCode: room.code, pending: true, expiresAt: request.expiresAt });
 
-            const occupantMessage = `Current occupants: ${occupants}`;
-            socket.emit('newMessage', { type: 'system', text: occupantMessage });
+        this.logger.info(`User ${username} (${socket.id}) is waiting to join locked room: ${room.code}`);
+    }
 
-            // Send room data and security tokens back to the client
-            socket.emit('roomJoined', {
-                roomCode: room.code,
-                users: Array.from(room.users.values()).map(u => u.toJSON().username),
-                messages: room.getRecentMessages(50).filter(msg => msg.text !== `${username} joined the room.`), // Exclude the join message
-                messageSizeLimit: SecurityUtils.SIZE_LIMITS.MESSAGE,
-                sessionToken: sessionToken,
-                csrfToken: csrfToken,
-                isRoomOwner: room.isOwner(socket.id),
-                encryptionEnabled: encryptionEnabled
-            });
+    /**
+     * Attaches a socket to a room it was just added to and sends everyone the
+     * updated state
+     * @param {Object} socket - Socket.IO socket of the new member
+     * @param {Room} room - Room the user was added to
+     * @param {string} username - Username of the new member
+     * @param {string} clientIp - Client IP address
+     * @private
+     */
+    admitToRoom(socket, room, username, clientIp) {
+        // Generate session token for authentication
+        const sessionToken = SecurityUtils.generateSessionToken(socket.id, room.code);
+
+        // Generate CSRF token for form submissions
+        const csrfToken = SecurityUtils.generateCSRFToken(socket.id);
+
+        // Update user tracking with security tokens
+        const userData = {
+            id: socket.id,
+            roomCode: room.code,
+            username: username,
+            ip: clientIp,
+            lastActivity: Date.now(),
+            sessionToken: sessionToken,
+            csrfToken: csrfToken
+        };
+
+        this.userSockets.set(socket.id, userData);
+
+        // Join the socket to the room
+        socket.join(room.code);
+
+        // Broadcast the join message to everyone in the room except the sender
+        const joinMessage = this.roomManager.addSystemMessage(room.code, `${username} joined the room.`);
+        if (joinMessage) {
+            socket.to(room.code).emit('newMessage', joinMessage); // Send to everyone except the sender
+        }
 
-            // Notify other users in the room about the new user
-            socket.to(room.code).emit('userJoined', {
-                username: username,
-                users: Array.from(room.users.values()).map(u => u.toJSON().username)
-            });
+        // Get encryption status from the room
+        const encryptionEnabled = room.encryptionEnabled || false;
+
+        // Notify the newest user with a system message of current room occupants
+        const occupants = Array.from(room.users.values())
+            .map(user => user.username.slice(0, 10)) // Truncate usernames to 10 characters
+            .join(', ');
+
+        const occupantMessage = `Current occupants: ${occupants}`;
+        socket.emit('newMessage', { type: 'system', text: occupantMessage });
+
+        // Send room data and security tokens back to the client
+        socket.emit('roomJoined', {
+            roomCode: room.code,
+            ...this.getUserListPayload(room),
+            messages: room.getRecentMessages(50).filter(msg => msg.text !== `${username} joined the room.`), // Exclude the join message
+            messageSizeLimit: SecurityUtils.SIZE_LIMITS.MESSAGE,
+            attachmentSizeLimit: SecurityUtils.ATTACHMENT_LIMITS.MAX_BYTES,
+            voiceNoteLimits: this.getVoiceNoteLimits(),
+            sessionToken: sessionToken,
+            csrfToken: csrfToken,
+            isRoomOwner: room.isOwner(socket.id),
+            encryptionEnabled: encryptionEnabled,
+            readReceipts: room.readReceipts,
+            readPositions: room.getReadPositions(socket.id),
+            pinned: room.getPinnedMessages(),
+            settings: room.getSettings()
+        });
 
-            this.logger.info(`User ${username} (${socket.id}) joined room: ${room.code}`);
-        } catch (error) {
-            this.logger.error(`Error joining room: ${error.message}`);
-            socket.emit('error', 'Failed to join room. Please try again.');
-        }
+        // Notify other users in the room about the new user
+        socket.to(room.code).emit('userJoined', {
+            username: username,
+            ...this.getUserListPayload(room)
+        });
     }
 
     /**
      * Handles sending a message with proper authentication, error handling and encryption support
      * @param {Object} socket - Socket.IO socket instance
-     * @param {Object} data - Message data (roomCode, message, sessionToken, isEncrypted, encryptionMeta)
+     * @param {Object} data - Message data (roomCode, message, sessionToken, isEncrypted, encryptionMeta, replyTo, nonce, viewOnce, attachmentId)
+     * @param {Function} [ack] - Optional acknowledgement callback, answered with the message ID
      */
-    handleSendMessage(socket, data) {
+    handleSendMessage(socket, data, ack) {
         try {
-            const { roomCode, message, sessionToken, isEncrypted, encryptionMeta } = data;
+            const { roomCode, message, sessionToken, isEncrypted, encryptionMeta, replyTo, nonce, viewOnce, attachmentId } = data;
             const clientIp = this.getClientIp(socket);
 
             // Validate session token for authenticated action
             if (!sessionToken || !SecurityUtils.validateSessionToken(sessionToken, socket.id, roomCode)) {
                 this.logger.warn(`Invalid session token from ${socket.id} for room ${roomCode}`);
-                return socket.emit('error', 'Invalid session. Please rejoin the room.');
+                return this.rejectRequest(socket, ack, 'INVALID_TOKEN');
+            }
+
+            if (nonce != null && !SecurityUtils.isValidNonce(nonce)) {
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Invalid message nonce');
+            }
+
+            // A retry of a message we already accepted is confirmed again instead of sent twice
+            const existingRoom = nonce ? this.roomManager.getRoom(roomCode) : null;
+            const sentMessageId = existingRoom ? existingRoom.findMessageByNonce(nonce, socket.id) : null;
+            if (sentMessageId) {
+                return this.acknowledge(ack, { messageId: sentMessageId, duplicate: true });
             }
 
             // Check message rate limit
             if (SecurityUtils.isRateLimited(clientIp, 'messages')) {
                 this.logger.warn(`Rate limit exceeded for messages from IP: ${clientIp}`);
-                socket.emit('error', 'You are sending messages too quickly. Please slow down.');
+                this.emitRateLimited(socket, clientIp, 'messages', 'You are sending messages too quickly. Please slow down.', ack);
                 return;
             }
 
             // Validate inputs
             if (!roomCode || !message) {
-                return socket.emit('error', 'Room code and message are required');
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Room code and message are required');
             }
 
             if (!SecurityUtils.isValidRoomCode(roomCode)) {
-                return socket.emit('error', 'Invalid room code format');
+                return this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
             }
 
-            // Skip normal validation for encrypted messages
-            if (!isEncrypted && !SecurityUtils.isValidMessage(message)) {
-                return socket.emit('error', `Invalid message format or empty message`);
-            }
-
-            // Check if encrypted message size is reasonable
-            const messageSize = typeof message === 'string' ? message.length : (message instanceof Object ? JSON.stringify(message).length : 0);
-
-            // Use a higher limit for encrypted messages since they may be larger
-            const maxSize = isEncrypted ? SecurityUtils.SIZE_LIMITS.MESSAGE * 2 : SecurityUtils.SIZE_LIMITS.MESSAGE;
-
-            if (messageSize > maxSize) {
-                return socket.emit('error', `Message exceeds maximum size limit`);
+            const payloadError = this.getMessagePayloadError(message, isEncrypted);
+            if (payloadError) {
+                return this.rejectRequest(socket, ack, payloadError);
             }
 
             // Check if user is in this room
             const userData = this.userSockets.get(socket.id);
             if (!userData || userData.roomCode !== roomCode) {
-                return socket.emit('error', 'You are not in this room');
+                return this.rejectRequest(socket, ack, 'NOT_IN_ROOM');
             }
 
             // Update last activity timestamp for session management
@@ -461,144 +806,1038 @@ class SocketHandler {
             // Get the room for server-side encryption
             const room = this.roomManager.getRoom(roomCode);
             if (!room) {
-                return socket.emit('error', 'Room not found');
+                return this.rejectRequest(socket, ack, 'ROOM_NOT_FOUND');
             }
 
+            // Muted members can read but not post
+            if (!room.can(socket.id, 'sendMessages')) {
+                return this.rejectRequest(socket, ack, 'USER_MUTED', null, this.getMuteDetails(room.getUser(socket.id)));
+            }
+
+            // Replies must point at a message still in the room's history
+            if (replyTo != null && !room.canReplyTo(replyTo)) {
+                return this.rejectRequest(socket, ack, 'MESSAGE_NOT_FOUND', 'The message you are replying to is no longer available');
+            }
+
+            // Attachments are uploaded first and travel with exactly one end-to-end encrypted message
+            if (attachmentId != null) {
+                if (!room.canSendAttachment(attachmentId, socket.id)) {
+                    return this.rejectRequest(socket, ack, 'ATTACHMENT_NOT_FOUND', 'Attachment upload not found or incomplete');
+                }
+                if (!isEncrypted || viewOnce === true) {
+                    return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Attachments can only be sent with regular encrypted messages');
+                }
+            }
+
+            const text = this.applyRoomFilter(socket, ack, room, message, isEncrypted);
+            if (text === null) return;
+
             // Create message with appropriate flags for encryption status
             const messageObj = new Message(
                 `${socket.id}-${Date.now()}`, // Generate ID
                 userData.username,
-                message,
+                text,
                 {
                     isEncrypted, // Indicates client-side encryption
                     roomKey: room.serverEncryptionKey, // For server-side encryption
-                    encryptionMeta // Additional encryption metadata
+                    encryptionMeta, // Additional encryption metadata
+                    authorId: socket.id, // Proof of authorship for edits and deletes
+                    replyTo: replyTo || null, // Parent message for threaded replies
+                    viewOnce: viewOnce === true, // Shown once to each current member, never replayed
+                    attachment: attachmentId != null ? room.getAttachmentSummary(attachmentId) : null // Encrypted file, fetched in chunks
                 }
             );
 
             // Add to room with rate limiting
             const added = room.addMessage(messageObj);
             if (!added) {
-                return socket.emit('error', 'Failed to send message');
+                // Slow mode rejections say exactly how long to wait so the client can count down
+                const slowModeRemaining = room.getSlowModeRemaining(socket.id);
+                if (slowModeRemaining > 0) {
+                    return this.rejectRequest(socket, ack, 'SLOW_MODE', null, {
+                        retryAfter: Math.ceil(slowModeRemaining / 1000),
+                        retryAfterMs: slowModeRemaining,
+                        slowMode: room.slowMode
+                    });
+                }
+
+                return this.rejectRequest(socket, ack, 'RATE_LIMITED', 'You are sending messages too quickly. Please slow down.', {
+                    action: 'messages',
+                    retryAfter: room.getMessageRetryAfter(socket.id)
+                });
+            }
+
+            if (nonce) {
+                room.rememberNonce(nonce, messageObj.id, socket.id);
+            }
+
+            if (messageObj.attachment) {
+                this.roomManager.claimAttachment(roomCode, messageObj.attachment.id, messageObj.id);
+            }
+
+            // Everyone present now (except the sender) has to open a view-once message before it is dropped
+            if (messageObj.viewOnce) {
+                for (const userId of room.users.keys()) {
+                    if (userId !== socket.id) {
+                        messageObj.pendingViewers.add(userId);
+                    }
+                }
             }
 
+            // Sending a message ends the typing state
+            this.stopTyping(socket.id);
+
             // Broadcast sanitized message to all users in the room
             // (for encrypted messages, we just pass through the encrypted content)
-            this.io.to(roomCode).emit('newMessage', messageObj.toJSON());
+            // The nonce lets the sender match the broadcast to its pending message
+            this.io.to(roomCode).emit('newMessage', nonce ? { ...messageObj.toJSON(), nonce } : messageObj.toJSON());
+            this.acknowledge(ack, { messageId: messageObj.id });
+
+            // Nobody else was here to see it
+            if (messageObj.viewOnce && messageObj.pendingViewers.size === 0) {
+                room.removeMessage(messageObj.id);
+                this.broadcastViewOnceConsumed(roomCode, [messageObj.id]);
+            }
 
             // Log message sending (don't log the actual content)
             this.logger.info(`Message sent in room ${roomCode} by ${userData.username} (${socket.id})${isEncrypted ? ' [encrypted]' : ''}`);
 
         } catch (error) {
             this.logger.error(`Error sending message: ${error.message}`);
-            socket.emit('error', 'Failed to send message. Please try again.');
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to send message. Please try again.');
         }
     }
 
     /**
-     * Handles room deletion with proper authorization, CSRF protection, and error handling
-     * @param {Object} socket - Socket.IO socket instance
-     * @param {Object} data - Room data (roomCode, csrfToken)
+     * Runs a plaintext message through the room's word filter. Encrypted
+     * messages can't be read here, so clients apply the filter to those.
+     * @param {Object} socket - Socket.IO socket of the sender
+     * @param {Function} [ack] - Acknowledgement callback of the request
+     * @param {Room} room - Room the message is for
+     * @param {string} text - Message content
+     * @param {boolean} isEncrypted - Whether the content is client-encrypted
+     * @returns {string|null} Text to store (masked if needed), or null if the message was rejected
+     * @private
      */
-    handleDeleteRoom(socket, data) {
-        try {
-            const { roomCode, csrfToken } = data;
-
-            // Basic input validation
-            if (!SecurityUtils.isValidRoomCode(roomCode)) {
-                return socket.emit('error', 'Invalid room code format');
-            }
-
-            // Validate CSRF and room membership
-            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
-                return socket.emit('error', 'Invalid security token or room access');
-            }
+    applyRoomFilter(socket, ack, room, text, isEncrypted) {
+        const filter = room.contentFilter;
+        if (!filter || isEncrypted || room.can(socket.id, 'bypassContentFilter')) {
+            return text;
+        }
 
-            // Check if room exists
-            if (!this.roomManager.roomExists(roomCode)) {
-                return socket.emit('error', 'Room not found');
-            }
+        const result = SecurityUtils.applyContentFilter(text, filter);
+        if (result.violations.length === 0) {
+            return text;
+        }
 
-            // Check if user is the room owner
-            if (!this.roomManager.isRoomOwner(roomCode, socket.id)) {
-                this.logger.warn(`Unauthorized deletion attempt for room ${roomCode} by ${socket.id}`);
-                return socket.emit('error', 'Only the room owner can delete the room');
-            }
+        // Messages too long to check can't be masked either
+        if (filter.action === 'mask' && !result.violations.includes('length')) {
+            return result.text;
+        }
 
-            // Update user activity timestamp
-            const userData = this.userSockets.get(socket.id);
-            if (userData) {
-                userData.lastActivity = Date.now();
-            }
+        // Tell the sender how long they're muted for, in seconds (0 if not muted)
+        const muted = filter.action === 'mute' && this.roomManager.muteUser(room.code, socket.id, filter.muteMinutes * 60 * 1000) ?
+            filter.muteMinutes * 60 : 0;
 
-            // Audit log the action
-            this.logger.info(`Room ${roomCode} deletion requested by ${socket.id}`);
+        this.logger.info(`Message from ${socket.id} blocked by the filter of room ${room.code} (${result.violations.join(', ')})${muted ? ', sender muted' : ''}`);
+        this.rejectRequest(socket, ack, 'MESSAGE_FILTERED', null, { violations: result.violations, muted });
+        return null;
+    }
 
-            // Notify all users in the room
-            this.io.to(roomCode).emit('roomDeleted', { roomCode });
+    /**
+     * Validates the content of an outgoing or edited message
+     * @param {string} message - Message content (JSON payload for encrypted messages)
+     * @param {boolean} isEncrypted - Whether the content is client-encrypted
+     * @returns {string|null} Error code or null if valid
+     * @private
+     */
+    getMessagePayloadError(message, isEncrypted) {
+        // Skip normal validation for encrypted messages
+        if (!isEncrypted && !SecurityUtils.isValidMessage(message)) {
+            return 'INVALID_MESSAGE';
+        }
 
-            // Remove all sockets from the room
-            this.io.in(roomCode).socketsLeave(roomCode);
+        // Check if encrypted message size is reasonable
+        const messageSize = typeof message === 'string' ? message.length : (message instanceof Object ? JSON.stringify(message).length : 0);
 
-            // Update user tracking for all users in this room
-            for (const [socketId, userData] of this.userSockets.entries()) {
-                if (userData.roomCode === roomCode) {
-                    userData.roomCode = null;
-                    userData.sessionToken = null;
-                    userData.csrfToken = null;
-                }
-            }
+        // Use a higher limit for encrypted messages since they may be larger
+        const maxSize = isEncrypted ? SecurityUtils.SIZE_LIMITS.MESSAGE * 2 : SecurityUtils.SIZE_LIMITS.MESSAGE;
 
-            // Delete the room
-            this.roomManager.deleteRoom(roomCode);
-        } catch (error) {
-            this.logger.error(`Error deleting room: ${error.message}`);
-            socket.emit('error', 'Failed to delete room. Please try again.');
+        if (messageSize > maxSize) {
+            return 'MESSAGE_TOO_LARGE';
         }
+
+        return null;
     }
 
     /**
-     * Updated handleKickUser method that works with username instead of socket ID
-     * with proper error handling
+     * Handles a user replacing the content of one of their own messages.
+     * Encrypted messages are replaced with a new client-encrypted payload.
      * @param {Object} socket - Socket.IO socket instance
-     * @param {Object} data - Kick data (roomCode, userToKickUsername, csrfToken)
+     * @param {Object} data - Edit data (roomCode, messageId, message, sessionToken, isEncrypted, encryptionMeta)
      */
-    handleKickUser(socket, data) {
+    handleEditMessage(socket, data) {
         try {
-            const { roomCode, userToKickUsername, csrfToken } = data;
+            const { roomCode, messageId, message, sessionToken, isEncrypted, encryptionMeta } = data || {};
+            const clientIp = this.getClientIp(socket);
 
-            // Validate CSRF token to prevent CSRF attacks
-            if (!csrfToken || !this.validateCSRFToken(socket.id, csrfToken)) {
-                this.logger.warn(`Invalid CSRF token from ${socket.id} for kick action in room ${roomCode}`);
-                return socket.emit('error', 'Invalid security token');
+            // Validate session token for authenticated action
+            if (!sessionToken || !SecurityUtils.validateSessionToken(sessionToken, socket.id, roomCode)) {
+                this.logger.warn(`Invalid session token from ${socket.id} for room ${roomCode}`);
+                return this.emitError(socket, 'INVALID_TOKEN');
+            }
+
+            // Edits count toward the message rate limit
+            if (SecurityUtils.isRateLimited(clientIp, 'messages')) {
+                this.logger.warn(`Rate limit exceeded for message edits from IP: ${clientIp}`);
+                return this.emitRateLimited(socket, clientIp, 'messages', 'You are sending messages too quickly. Please slow down.');
             }
 
             // Validate inputs
-            if (!roomCode || !userToKickUsername) {
-                return socket.emit('error', 'Room code and username are required');
+            if (!roomCode || !messageId || !message) {
+                return this.emitError(socket, 'INVALID_INPUT', 'Room code, message ID and message are required');
             }
 
             if (!SecurityUtils.isValidRoomCode(roomCode)) {
-                return socket.emit('error', 'Invalid room code format');
+                return this.emitError(socket, 'INVALID_ROOM_CODE');
             }
 
-            // Check if room exists
-            if (!this.roomManager.roomExists(roomCode)) {
-                return socket.emit('error', 'Room not found');
+            const payloadError = this.getMessagePayloadError(message, isEncrypted);
+            if (payloadError) {
+                return this.emitError(socket, payloadError);
             }
 
-            // Check if user is the room owner (only owners can kick)
-            if (!this.roomManager.isRoomOwner(roomCode, socket.id)) {
-                this.logger.warn(`Unauthorized kick attempt for room ${roomCode} by ${socket.id}`);
-                return socket.emit('error', 'Only the room owner can kick users');
+            // Check if user is in this room
+            const userData = this.userSockets.get(socket.id);
+            if (!userData || userData.roomCode !== roomCode) {
+                return this.emitError(socket, 'NOT_IN_ROOM');
             }
 
-            // Get the room
+            userData.lastActivity = Date.now();
+
             const room = this.roomManager.getRoom(roomCode);
+            if (!room) {
+                return this.emitError(socket, 'ROOM_NOT_FOUND');
+            }
 
-            // Find the user to kick by username
-            let userToKickId = null;
-            let kickedUsername = null;
+            // Editing would let muted members keep posting
+            if (!room.can(socket.id, 'sendMessages')) {
+                return this.emitError(socket, 'USER_MUTED', null, this.getMuteDetails(room.getUser(socket.id)));
+            }
+
+            // Edits go through the word filter too, so they can't be used to slip past it
+            const text = this.applyRoomFilter(socket, null, room, message, isEncrypted);
+            if (text === null) return;
+
+            const edited = this.roomManager.editMessage(roomCode, socket.id, messageId, text, {
+                isEncrypted: Boolean(isEncrypted),
+                encryptionMeta
+            });
+            if (!edited) {
+                return this.emitError(socket, 'MESSAGE_NOT_FOUND', 'Message not found or you are not allowed to edit it');
+            }
+
+            this.io.to(roomCode).emit('messageEdited', edited.toJSON(room.serverEncryptionKey));
+
+            this.logger.info(`Message edited in room ${roomCode} by ${userData.username} (${socket.id})${isEncrypted ? ' [encrypted]' : ''}`);
+        } catch (error) {
+            this.logger.error(`Error editing message: ${error.message}`);
+            this.emitError(socket, 'INTERNAL_ERROR', 'Failed to edit message. Please try again.');
+        }
+    }
+
+    /**
+     * Handles deleting a message. Authors can delete their own messages,
+     * the owner and moderators can delete non-system messages of lower-ranked users.
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Delete data (roomCode, messageId, csrfToken)
+     */
+    handleDeleteMessage(socket, data) {
+        try {
+            const { roomCode, messageId, csrfToken } = data || {};
+
+            // Basic input validation
+            if (!SecurityUtils.isValidRoomCode(roomCode) || !messageId || typeof messageId !== 'string') {
+                return this.emitError(socket, 'INVALID_INPUT', 'Invalid room code or message ID');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.emitError(socket, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            const deleted = this.roomManager.deleteMessage(roomCode, socket.id, messageId);
+            if (!deleted) {
+                return this.emitError(socket, 'MESSAGE_NOT_FOUND', 'Message not found or you are not allowed to delete it');
+            }
+
+            const userData = this.userSockets.get(socket.id);
+            if (userData) {
+                userData.lastActivity = Date.now();
+            }
+
+            this.io.to(roomCode).emit('messageDeleted', { id: deleted.id });
+
+            this.logger.info(`Message deleted in room ${roomCode} by ${socket.id}`);
+        } catch (error) {
+            this.logger.error(`Error deleting message: ${error.message}`);
+            this.emitError(socket, 'INTERNAL_ERROR', 'Failed to delete message. Please try again.');
+        }
+    }
+
+    /**
+     * Handles toggling an emoji reaction on a message
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Reaction data (roomCode, messageId, emoji, csrfToken)
+     */
+    handleReactToMessage(socket, data) {
+        try {
+            const { roomCode, messageId, emoji, csrfToken } = data || {};
+            const clientIp = this.getClientIp(socket);
+
+            if (SecurityUtils.isRateLimited(clientIp, 'reactions')) {
+                this.logger.warn(`Rate limit exceeded for reactions from IP: ${clientIp}`);
+                return this.emitRateLimited(socket, clientIp, 'reactions', 'You are reacting too quickly. Please slow down.');
+            }
+
+            // Basic input validation
+            if (!SecurityUtils.isValidRoomCode(roomCode) || !messageId || typeof messageId !== 'string') {
+                return this.emitError(socket, 'INVALID_INPUT', 'Invalid room code or message ID');
+            }
+
+            if (!Message.ALLOWED_REACTIONS.includes(emoji)) {
+                return this.emitError(socket, 'REACTION_NOT_ALLOWED');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.emitError(socket, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            const result = this.roomManager.toggleReaction(roomCode, socket.id, messageId, emoji);
+            if (!result) {
+                return this.emitError(socket, 'MESSAGE_NOT_FOUND');
+            }
+
+            const userData = this.userSockets.get(socket.id);
+            if (userData) {
+                userData.lastActivity = Date.now();
+            }
+
+            this.io.to(roomCode).emit('reactionUpdated', {
+                messageId,
+                emoji,
+                added: result.added,
+                username: userData ? userData.username : null,
+                reactions: result.message.getReactionCounts()
+            });
+        } catch (error) {
+            this.logger.error(`Error toggling reaction: ${error.message}`);
+            this.emitError(socket, 'INTERNAL_ERROR', 'Failed to react to message. Please try again.');
+        }
+    }
+
+    /**
+     * Handles a user starting to type. Repeated events refresh the server-side expiry.
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Typing data (roomCode)
+     */
+    handleTypingStart(socket, data) {
+        try {
+            const { roomCode } = data || {};
+
+            if (!SecurityUtils.isValidRoomCode(roomCode)) return;
+
+            const userData = this.userSockets.get(socket.id);
+            if (!userData || userData.roomCode !== roomCode) return;
+
+            // Typing is best-effort presence, so throttled events are dropped silently
+            if (SecurityUtils.isRateLimited(this.getClientIp(socket), 'typing')) return;
+
+            const existing = this.typingUsers.get(socket.id);
+            if (existing) {
+                clearTimeout(existing.timeoutId);
+            }
+
+            // Stop typing automatically if the client never sends typingStop
+            const timeoutId = setTimeout(() => this.stopTyping(socket.id), SecurityUtils.TIMEOUTS.TYPING_EXPIRY);
+
+            this.typingUsers.set(socket.id, {
+                roomCode,
+                username: userData.username,
+                timeoutId
+            });
+
+            if (!existing) {
+                socket.to(roomCode).emit('userTyping', { username: userData.username, isTyping: true });
+            }
+        } catch (error) {
+            this.logger.error(`Error handling typing start: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handles a user stopping typing
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Typing data (roomCode)
+     */
+    handleTypingStop(socket, data) {
+        const { roomCode } = data || {};
+        const typing = this.typingUsers.get(socket.id);
+
+        if (typing && typing.roomCode === roomCode) {
+            this.stopTyping(socket.id);
+        }
+    }
+
+    /**
+     * Clears a user's typing state and notifies the rest of their room
+     * @param {string} socketId - Socket ID of the user
+     * @private
+     */
+    stopTyping(socketId) {
+        const typing = this.typingUsers.get(socketId);
+        if (!typing) return;
+
+        clearTimeout(typing.timeoutId);
+        this.typingUsers.delete(socketId);
+
+        this.io.to(typing.roomCode).except(socketId).emit('userTyping', {
+            username: typing.username,
+            isTyping: false
+        });
+    }
+
+    /**
+     * Handles a user reporting the newest message they have seen.
+     * Clients only send this when the user opted in to read receipts.
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Read data (roomCode, messageId)
+     * @param {Function} [ack] - Acknowledgement callback; throttled reports are answered with retryAfter
+     */
+    handleMarkRead(socket, data, ack) {
+        try {
+            const { roomCode, messageId } = data || {};
+
+            if (!SecurityUtils.isValidRoomCode(roomCode) || !messageId || typeof messageId !== 'string') return;
+
+            const userData = this.userSockets.get(socket.id);
+            if (!userData || userData.roomCode !== roomCode) return;
+
+            // Throttled reports only tell the client when to try again, without an error toast
+            const clientIp = this.getClientIp(socket);
+            if (SecurityUtils.isRateLimited(clientIp, 'read_receipts')) {
+                if (typeof ack === 'function') {
+                    ack({
+                        ok: false,
+                        error: createError('RATE_LIMITED', null, {
+                            action: 'read_receipts',
+                            retryAfter: SecurityUtils.getRateLimitRetryAfter(clientIp, 'read_receipts')
+                        })
+                    });
+                }
+                return;
+            }
+
+            // Only broadcast when someone's read position actually moved
+            const moved = this.roomManager.markMessageRead(roomCode, socket.id, messageId);
+            this.acknowledge(ack);
+            if (!moved) return;
+
+            // The others merge the reader's new position into what they have
+            const room = this.roomManager.getRoom(roomCode);
+            socket.to(roomCode).emit('readReceiptsUpdated', room.getReadPosition(room.getUser(socket.id)));
+        } catch (error) {
+            this.logger.error(`Error marking messages read: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handles a recipient opening a view-once message
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - View data (roomCode, messageId)
+     */
+    handleMessageViewed(socket, data) {
+        try {
+            const { roomCode, messageId } = data || {};
+
+            if (!SecurityUtils.isValidRoomCode(roomCode) || !messageId || typeof messageId !== 'string') return;
+
+            const userData = this.userSockets.get(socket.id);
+            if (!userData || userData.roomCode !== roomCode) return;
+
+            const result = this.roomManager.markMessageViewed(roomCode, socket.id, messageId);
+            if (result && result.consumed) {
+                this.broadcastViewOnceConsumed(roomCode, [messageId]);
+            }
+        } catch (error) {
+            this.logger.error(`Error marking message viewed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tells a room that view-once messages were opened by every recipient
+     * (or the remaining ones left) and have been dropped from history
+     * @param {string} roomCode - Code of the room
+     * @param {string[]} [messageIds] - IDs of the consumed messages
+     */
+    broadcastViewOnceConsumed(roomCode, messageIds) {
+        if (!messageIds || messageIds.length === 0) return;
+        this.io.to(roomCode).emit('viewOnceConsumed', { ids: messageIds });
+    }
+
+    /**
+     * Handles the room owner changing read receipt settings
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Settings data (roomCode, enabled, showNames, csrfToken)
+     */
+    handleSetReadReceipts(socket, data) {
+        try {
+            const { roomCode, enabled, showNames, csrfToken } = data || {};
+
+            if (!SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.emitError(socket, 'INVALID_ROOM_CODE');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.emitError(socket, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            const settings = this.roomManager.setReadReceipts(roomCode, socket.id, { enabled, showNames });
+            if (!settings) {
+                return this.emitError(socket, 'NOT_ROOM_OWNER', 'Only the room owner can change read receipts');
+            }
+
+            // Each member gets the positions without their own, and showing or hiding names changes them all
+            const room = this.roomManager.getRoom(roomCode);
+            for (const user of room.users.values()) {
+                this.io.to(user.id).emit('readReceiptSettings', {
+                    readReceipts: settings,
+                    readPositions: room.getReadPositions(user.id)
+                });
+            }
+
+            this.logger.info(`Read receipts ${settings.enabled ? 'enabled' : 'disabled'} in room ${roomCode} by ${socket.id}`);
+        } catch (error) {
+            this.logger.error(`Error changing read receipts: ${error.message}`);
+            this.emitError(socket, 'INTERNAL_ERROR', 'Failed to change read receipts. Please try again.');
+        }
+    }
+
+    /**
+     * Handles the room owner changing capacity, history length or expiry
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Settings data (roomCode, settings, csrfToken)
+     */
+    handleUpdateRoomSettings(socket, data) {
+        try {
+            const { roomCode, settings, csrfToken } = data || {};
+
+            if (!SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.emitError(socket, 'INVALID_ROOM_CODE');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.emitError(socket, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            const validated = SecurityUtils.validateRoomSettings(settings);
+            if (!validated) {
+                return this.emitError(socket, 'INVALID_INPUT', 'Room settings are out of the allowed range');
+            }
+
+            // Nobody is removed to make room for a lower capacity
+            const room = this.roomManager.getRoom(roomCode);
+            if (room && validated.maxUsers !== undefined && validated.maxUsers < room.users.size) {
+                return this.emitError(socket, 'INVALID_INPUT', 'Capacity cannot be lower than the number of users in the room');
+            }
+
+            const updated = this.roomManager.updateRoomSettings(roomCode, socket.id, validated);
+            if (!updated) {
+                return this.emitError(socket, 'NOT_ROOM_OWNER', 'Only the room owner can change room settings');
+            }
+
+            this.io.to(roomCode).emit('roomSettingsUpdated', { settings: updated });
+
+            this.logger.info(`Room settings changed in room ${roomCode} by ${socket.id}`);
+        } catch (error) {
+            this.logger.error(`Error changing room settings: ${error.message}`);
+            this.emitError(socket, 'INTERNAL_ERROR', 'Failed to change room settings. Please try again.');
+        }
+    }
+
+    /**
+     * Handles a member starting an encrypted attachment upload. The file is
+     * encrypted with the room key in the browser, so the server only sees its size
+     * (and, for voice notes, the length the client reports).
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Upload data (roomCode, size, meta, csrfToken, and duration for voice notes)
+     * @param {Function} [ack] - Optional acknowledgement callback, answered with the attachment ID and chunk size
+     */
+    handleStartAttachment(socket, data, ack) {
+        try {
+            const { roomCode, size, meta, csrfToken, duration } = data || {};
+            const clientIp = this.getClientIp(socket);
+            const limits = SecurityUtils.ATTACHMENT_LIMITS;
+            const voiceLimits = SecurityUtils.VOICE_NOTE_LIMITS;
+            const isVoiceNote = duration !== undefined && duration !== null;
+
+            if (!SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
+            }
+
+            if (!Number.isInteger(size) || size <= 0) {
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Attachment size is required');
+            }
+
+            if (size > limits.MAX_BYTES) {
+                return this.rejectRequest(socket, ack, 'ATTACHMENT_TOO_LARGE', null, { limit: limits.MAX_BYTES });
+            }
+
+            // Voice notes are capped by length and by a tighter size limit
+            if (isVoiceNote) {
+                if (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0) {
+                    return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Invalid voice note length');
+                }
+
+                if (duration > voiceLimits.MAX_SECONDS) {
+                    return this.rejectRequest(socket, ack, 'ATTACHMENT_TOO_LARGE',
+                        `Voice notes can be up to ${voiceLimits.MAX_SECONDS} seconds long`, { limit: voiceLimits.MAX_BYTES });
+                }
+
+                if (size > voiceLimits.MAX_BYTES) {
+                    return this.rejectRequest(socket, ack, 'ATTACHMENT_TOO_LARGE', 'Voice note exceeds the maximum size',
+                        { limit: voiceLimits.MAX_BYTES });
+                }
+            }
+
+            if (typeof meta !== 'string' || meta.length === 0 || meta.length > limits.MAX_META_LENGTH) {
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Invalid attachment details');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.rejectRequest(socket, ack, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            const room = this.roomManager.getRoom(roomCode);
+            if (!room) {
+                return this.rejectRequest(socket, ack, 'ROOM_NOT_FOUND');
+            }
+
+            // Muted members can read but not post
+            if (!room.can(socket.id, 'sendMessages')) {
+                return this.rejectRequest(socket, ack, 'USER_MUTED', null, this.getMuteDetails(room.getUser(socket.id)));
+            }
+
+            if (SecurityUtils.isRateLimited(clientIp, 'attachments')) {
+                return this.emitRateLimited(socket, clientIp, 'attachments', 'You are sending files too quickly. Please slow down.', ack);
+            }
+
+            // Unsent uploads hold quota until they expire, so one member can't reserve it all
+            if (room.countPendingAttachments(socket.id) >= limits.MAX_PENDING_PER_USER) {
+                return this.rejectRequest(socket, ack, 'ATTACHMENT_QUOTA_EXCEEDED',
+                    'You have too many unfinished uploads. Please wait a moment and try again.');
+            }
+
+            if (room.attachmentBytes + size > limits.MAX_ROOM_BYTES) {
+                return this.rejectRequest(socket, ack, 'ATTACHMENT_QUOTA_EXCEEDED');
+            }
+
+            // Server-wide quota, and no new uploads while memory is under pressure
+            const fitsInMemory = this.memoryMonitor ?
+                this.memoryMonitor.canAcceptAttachment(size, isVoiceNote) :
+                this.roomManager.getAttachmentBytes() + size <= limits.MAX_TOTAL_BYTES &&
+                    (!isVoiceNote || this.roomManager.getVoiceNoteBytes() + size <= voiceLimits.MAX_TOTAL_BYTES);
+            if (!fitsInMemory) {
+                return this.rejectRequest(socket, ack, 'ATTACHMENT_QUOTA_EXCEEDED', 'The server has no space for attachments right now. Please try again later.');
+            }
+
+            const attachment = this.roomManager.startAttachment(roomCode, socket.id, size, meta,
+                isVoiceNote ? Math.round(duration * 10) / 10 : null);
+            if (!attachment) {
+                return this.rejectRequest(socket, ack, 'NOT_IN_ROOM');
+            }
+
+            this.acknowledge(ack, {
+                attachmentId: attachment.id,
+                chunkSize: limits.CHUNK_BYTES,
+                chunkCount: attachment.chunkCount
+            });
+        } catch (error) {
+            this.logger.error(`Error starting attachment upload: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to upload the attachment. Please try again.');
+        }
+    }
+
+    /**
+     * Handles one chunk of an attachment upload from its uploader
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Chunk data (roomCode, attachmentId, index, data, csrfToken)
+     * @param {Function} [ack] - Optional acknowledgement callback, answered with the upload progress
+     */
+    handleAttachmentChunk(socket, data, ack) {
+        try {
+            const { roomCode, attachmentId, index, data: chunk, csrfToken } = data || {};
+            const clientIp = this.getClientIp(socket);
+
+            if (!SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.rejectRequest(socket, ack, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            if (SecurityUtils.isRateLimited(clientIp, 'attachment_chunks')) {
+                return this.emitRateLimited(socket, clientIp, 'attachment_chunks', 'You are uploading too quickly. Please slow down.', ack);
+            }
+
+            const room = this.roomManager.getRoom(roomCode);
+            const attachment = room ? room.addAttachmentChunk(attachmentId, socket.id, index, chunk) : null;
+            if (!attachment) {
+                return this.rejectRequest(socket, ack, 'ATTACHMENT_NOT_FOUND', 'Attachment upload not found or chunk is invalid');
+            }
+
+            this.acknowledge(ack, {
+                received: attachment.received,
+                complete: attachment.received === attachment.chunkCount
+            });
+        } catch (error) {
+            this.logger.error(`Error storing attachment chunk: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to upload the attachment. Please try again.');
+        }
+    }
+
+    /**
+     * Handles a member downloading one chunk of an attachment that was sent to the room
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Request data (roomCode, attachmentId, index, csrfToken)
+     * @param {Function} [ack] - Acknowledgement callback, answered with the encrypted chunk
+     */
+    handleFetchAttachmentChunk(socket, data, ack) {
+        try {
+            const { roomCode, attachmentId, index, csrfToken } = data || {};
+            const clientIp = this.getClientIp(socket);
+
+            if (!SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.rejectRequest(socket, ack, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            if (SecurityUtils.isRateLimited(clientIp, 'attachment_downloads')) {
+                return this.emitRateLimited(socket, clientIp, 'attachment_downloads', 'You are downloading too quickly. Please slow down.', ack);
+            }
+
+            // Only attachments that were sent with a message can be downloaded
+            const room = this.roomManager.getRoom(roomCode);
+            const attachment = room ? room.getAttachment(attachmentId) : null;
+            if (!attachment || !attachment.messageId || !Number.isInteger(index) ||
+                index < 0 || index >= attachment.chunkCount) {
+                return this.rejectRequest(socket, ack, 'ATTACHMENT_NOT_FOUND');
+            }
+
+            this.acknowledge(ack, {
+                index,
+                chunkCount: attachment.chunkCount,
+                data: attachment.chunks[index]
+            });
+        } catch (error) {
+            this.logger.error(`Error sending attachment chunk: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to download the attachment. Please try again.');
+        }
+    }
+
+    /**
+     * Handles the owner or a moderator pinning or unpinning a message
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Pin data (roomCode, messageId, csrfToken)
+     * @param {Function} [ack] - Optional acknowledgement callback, answered with the pinned messages
+     * @param {boolean} pinned - Whether to pin or unpin the message
+     */
+    handleSetMessagePinned(socket, data, ack, pinned) {
+        try {
+            const { roomCode, messageId, csrfToken } = data || {};
+
+            if (!SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
+            }
+
+            if (!messageId || typeof messageId !== 'string') {
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Message ID is required');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.rejectRequest(socket, ack, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            const room = this.roomManager.getRoom(roomCode);
+            if (!room) {
+                return this.rejectRequest(socket, ack, 'ROOM_NOT_FOUND');
+            }
+
+            if (!room.can(socket.id, 'pinMessages')) {
+                return this.rejectRequest(socket, ack, 'NOT_PERMITTED', 'Only the room owner and moderators can pin messages');
+            }
+
+            if (pinned && !room.pinnedMessages.has(messageId) &&
+                room.pinnedMessages.size >= SecurityUtils.SIZE_LIMITS.PINNED_MESSAGES) {
+                return this.rejectRequest(socket, ack, 'PIN_LIMIT_REACHED', null, { limit: SecurityUtils.SIZE_LIMITS.PINNED_MESSAGES });
+            }
+
+            const result = this.roomManager.setMessagePinned(roomCode, socket.id, messageId, pinned);
+            if (!result) {
+                return this.rejectRequest(socket, ack, 'MESSAGE_NOT_FOUND', pinned ?
+                    'Message not found, already pinned or cannot be pinned' :
+                    'Message is not pinned');
+            }
+
+            const pinnedMessages = room.getPinnedMessages();
+            if (result.message) {
+                this.io.to(room.code).emit('newMessage', result.message);
+            }
+            this.io.to(room.code).emit('pinnedMessagesUpdated', { pinned: pinnedMessages });
+            this.acknowledge(ack, { pinned: pinnedMessages });
+
+            this.logger.info(`Message ${pinned ? 'pinned' : 'unpinned'} in room ${room.code} by ${socket.id}`);
+        } catch (error) {
+            this.logger.error(`Error ${pinned ? 'pinning' : 'unpinning'} message: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to update pinned messages. Please try again.');
+        }
+    }
+
+    /**
+     * Handles the room owner locking or unlocking the room
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Lock data (roomCode, locked, csrfToken)
+     * @param {Function} [ack] - Optional acknowledgement callback
+     */
+    handleSetRoomLock(socket, data, ack) {
+        try {
+            const { roomCode, locked, csrfToken } = data || {};
+
+            if (!SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
+            }
+
+            if (typeof locked !== 'boolean') {
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Lock state must be true or false');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.rejectRequest(socket, ack, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            const result = this.roomManager.setRoomLock(roomCode, socket.id, locked);
+            if (!result) {
+                return this.rejectRequest(socket, ack, 'NOT_ROOM_OWNER', 'Only the room owner can lock the room');
+            }
+
+            if (result.message) {
+                this.io.to(roomCode).emit('newMessage', result.message);
+            }
+            this.io.to(roomCode).emit('roomSettingsUpdated', { settings: this.roomManager.getRoom(roomCode).getSettings() });
+            this.acknowledge(ack, { locked: result.locked });
+
+            this.logger.info(`Room ${roomCode} ${result.locked ? 'locked' : 'unlocked'} by ${socket.id}`);
+        } catch (error) {
+            this.logger.error(`Error changing room lock: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to change the room lock. Please try again.');
+        }
+    }
+
+    /**
+     * Handles the owner or a moderator answering a request to join the locked room
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Decision data (roomCode, requestId, csrfToken)
+     * @param {Function} [ack] - Optional acknowledgement callback
+     * @param {boolean} approved - Whether to let the user in
+     */
+    handleJoinDecision(socket, data, ack, approved) {
+        try {
+            const { roomCode, requestId, csrfToken } = data || {};
+
+            if (!SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
+            }
+
+            if (!requestId || typeof requestId !== 'string') {
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Request ID is required');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.rejectRequest(socket, ack, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            const room = this.roomManager.getRoom(roomCode);
+            if (!room) {
+                return this.rejectRequest(socket, ack, 'ROOM_NOT_FOUND');
+            }
+
+            if (!room.can(socket.id, 'approveJoins')) {
+                return this.rejectRequest(socket, ack, 'NOT_PERMITTED', 'Only the room owner and moderators can answer join requests');
+            }
+
+            const request = room.getJoinRequest(requestId);
+            if (!request) {
+                return this.rejectRequest(socket, ack, 'JOIN_REQUEST_NOT_FOUND');
+            }
+
+            // The waiting user may have gone elsewhere in the meantime
+            const joinerSocket = this.io.sockets.sockets.get(request.user.id);
+            const joinerData = this.userSockets.get(request.user.id);
+            if (!joinerSocket || (joinerData && joinerData.roomCode)) {
+                this.roomManager.closeJoinRequest(roomCode, requestId, 'cancelled');
+                return this.rejectRequest(socket, ack, 'JOIN_REQUEST_NOT_FOUND');
+            }
+
+            const moderator = room.getUser(socket.id);
+
+            if (!approved) {
+                this.roomManager.closeJoinRequest(roomCode, requestId, 'denied');
+                this.acknowledge(ack, { requestId, approved: false });
+
+                this.logger.info(`Join request from ${request.user.username} for room ${room.code} denied by ${socket.id}`);
+                return;
+            }
+
+            const result = this.roomManager.approveJoinRequest(roomCode, requestId);
+            if (!result) {
+                return this.rejectRequest(socket, ack, 'JOIN_REQUEST_NOT_FOUND');
+            }
+
+            if (result.admitted) {
+                this.admitToRoom(joinerSocket, room, request.user.username, this.getClientIp(joinerSocket));
+            } else {
+                joinerSocket.emit('joinDenied', { roomCode: room.code, reason: 'unavailable' });
+            }
+
+            this.emitToApprovers(room, 'joinRequestResolved', {
+                requestId,
+                username: request.user.username,
+                status: result.admitted ? 'approved' : 'unavailable',
+                by: moderator.username
+            });
+            this.acknowledge(ack, { requestId, approved: result.admitted });
+
+            this.logger.info(`Join request from ${request.user.username} for room ${room.code} approved by ${socket.id}`);
+        } catch (error) {
+            this.logger.error(`Error answering join request: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to answer the join request. Please try again.');
+        }
+    }
+
+    /**
+     * Handles room deletion with proper authorization, CSRF protection, and error handling
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Room data (roomCode, csrfToken)
+     * @param {Function} [ack] - Optional acknowledgement callback
+     */
+    handleDeleteRoom(socket, data, ack) {
+        try {
+            const { roomCode, csrfToken } = data;
+
+            // Basic input validation
+            if (!SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
+            }
+
+            // Validate CSRF and room membership
+            if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+                return this.rejectRequest(socket, ack, 'INVALID_TOKEN', 'Invalid security token or room access');
+            }
+
+            // Check if room exists
+            if (!this.roomManager.roomExists(roomCode)) {
+                return this.rejectRequest(socket, ack, 'ROOM_NOT_FOUND');
+            }
+
+            // Check if user is the room owner
+            if (!this.roomManager.isRoomOwner(roomCode, socket.id)) {
+                this.logger.warn(`Unauthorized deletion attempt for room ${roomCode} by ${socket.id}`);
+                return this.rejectRequest(socket, ack, 'NOT_ROOM_OWNER', 'Only the room owner can delete the room');
+            }
+
+            // Update user activity timestamp
+            const userData = this.userSockets.get(socket.id);
+            if (userData) {
+                userData.lastActivity = Date.now();
+            }
+
+            // Audit log the action
+            this.logger.info(`Room ${roomCode} deletion requested by ${socket.id}`);
+
+            // Notify users, detach their sockets and clear their room tokens
+            this.evictRoomMembers(roomCode);
+
+            // Delete the room
+            this.roomManager.deleteRoom(roomCode);
+            this.acknowledge(ack);
+        } catch (error) {
+            this.logger.error(`Error deleting room: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to delete room. Please try again.');
+        }
+    }
+
+    /**
+     * Updated handleKickUser method that works with username instead of socket ID
+     * with proper error handling
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Kick data (roomCode, userToKickUsername, csrfToken, ban, banDuration in minutes)
+     * @param {Function} [ack] - Optional acknowledgement callback
+     */
+    handleKickUser(socket, data, ack) {
+        try {
+            const {
+                roomCode,
+                userToKickUsername,
+                csrfToken,
+                ban = false,
+                banDuration = SecurityUtils.MODERATION_LIMITS.DEFAULT_BAN_MINUTES
+            } = data;
+
+            // Validate CSRF token to prevent CSRF attacks
+            if (!csrfToken || !this.validateCSRFToken(socket.id, csrfToken)) {
+                this.logger.warn(`Invalid CSRF token from ${socket.id} for kick action in room ${roomCode}`);
+                return this.rejectRequest(socket, ack, 'INVALID_TOKEN', 'Invalid security token');
+            }
+
+            // Validate inputs
+            if (!roomCode || !userToKickUsername) {
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Room code and username are required');
+            }
+
+            if (!SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
+            }
+
+            // Check if room exists
+            if (!this.roomManager.roomExists(roomCode)) {
+                return this.rejectRequest(socket, ack, 'ROOM_NOT_FOUND');
+            }
+
+            // Get the room
+            const room = this.roomManager.getRoom(roomCode);
+
+            // Only the owner and moderators can kick
+            if (!room.can(socket.id, 'kickUsers')) {
+                this.logger.warn(`Unauthorized kick attempt for room ${roomCode} by ${socket.id}`);
+                return this.rejectRequest(socket, ack, 'NOT_PERMITTED', 'Only the room owner and moderators can kick users');
+            }
+
+            // Find the user to kick by username
+            let userToKickId = null;
+            let kickedUsername = null;
 
             for (const [userId, user] of room.users.entries()) {
                 if (user.username === userToKickUsername) {
@@ -609,14 +1848,35 @@ class SocketHandler {
             }
 
             if (!userToKickId) {
-                return socket.emit('error', 'User not found in room');
+                return this.rejectRequest(socket, ack, 'USER_NOT_FOUND');
+            }
+
+            // Moderators can't kick the owner, each other or themselves
+            if (!room.canModerate(socket.id, userToKickId, 'kickUsers')) {
+                return this.rejectRequest(socket, ack, 'NOT_PERMITTED', 'You can only kick members with a lower role than yours');
+            }
+
+            // Kick and ban keeps the user out for the chosen duration
+            let banEntry = null;
+            if (ban) {
+                if (!room.can(socket.id, 'banUsers')) {
+                    return this.rejectRequest(socket, ack, 'NOT_PERMITTED', 'Only the room owner can ban users');
+                }
+
+                if (!SecurityUtils.isValidBanDuration(banDuration)) {
+                    const { MIN_BAN_MINUTES, MAX_BAN_MINUTES } = SecurityUtils.MODERATION_LIMITS;
+                    return this.rejectRequest(socket, ack, 'INVALID_INPUT', `Ban duration must be between ${MIN_BAN_MINUTES} and ${MAX_BAN_MINUTES} minutes`);
+                }
+
+                banEntry = this.roomManager.banUser(roomCode, room.getUser(userToKickId), banDuration * 60 * 1000);
             }
 
             // Get the socket for the kicked user
             const kickedSocket = this.io.sockets.sockets.get(userToKickId);
 
             // Remove user from room
-            room.removeUser(userToKickId);
+            this.stopTyping(userToKickId);
+            const removal = room.removeUser(userToKickId);
 
             // Update user tracking for kicked user
             const kickedUserData = this.userSockets.get(userToKickId);
@@ -636,17 +1896,285 @@ class SocketHandler {
             // Notify remaining users about the kick
             this.io.to(roomCode).emit('userLeft', {
                 username: kickedUsername,
-                users: Array.from(room.users.values()).map(u => u.toJSON().username)
+                ...this.getUserListPayload(room)
             });
+            this.broadcastViewOnceConsumed(roomCode, removal && removal.consumedMessageIds);
 
-            // Send success confirmation to the room owner
-            socket.emit('userKicked', { username: kickedUsername });
+            // Send success confirmation to the kicking user
+            const kickResult = banEntry ?
+                { username: kickedUsername, banned: true, expiresAt: banEntry.expiresAt } :
+                { username: kickedUsername };
+            socket.emit('userKicked', kickResult);
+            this.acknowledge(ack, kickResult);
 
-            this.logger.info(`User ${kickedUsername} (${userToKickId}) was kicked from room ${roomCode} by ${socket.id}`);
+            this.logger.info(`User ${kickedUsername} (${userToKickId}) was ${banEntry ? `kicked and banned for ${banDuration} minutes` : 'kicked'} from room ${roomCode} by ${socket.id}`);
         } catch (error) {
             this.logger.error(`Error kicking user: ${error.message}`);
-            socket.emit('error', 'Failed to kick user. Please try again.');
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to kick user. Please try again.');
+        }
+    }
+
+    /**
+     * Handles the room owner promoting a member to moderator or demoting them back
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Role data (roomCode, username, csrfToken)
+     * @param {Function} [ack] - Optional acknowledgement callback
+     * @param {string} role - Role to assign ('moderator' or 'member')
+     */
+    handleSetUserRole(socket, data, ack, role) {
+        try {
+            const { roomCode, username, csrfToken } = data || {};
+
+            const target = this.findModerationTarget(socket, ack, { roomCode, username, csrfToken }, 'manageRoles');
+            if (!target) return;
+
+            if (target.role === 'muted') {
+                return this.rejectRequest(socket, ack, 'NOT_PERMITTED', 'Unmute this user before changing their role');
+            }
+
+            if (target.role === role) {
+                return this.acknowledge(ack, { username: target.username, role });
+            }
+
+            const result = this.roomManager.setUserRole(roomCode, target.id, role);
+            if (!result) {
+                return this.rejectRequest(socket, ack, 'USER_NOT_FOUND');
+            }
+
+            if (result.message) {
+                this.io.to(roomCode).emit('newMessage', result.message);
+            }
+            this.io.to(roomCode).emit('userRolesUpdated', { roles: this.roomManager.getRoom(roomCode).getRoles() });
+            this.acknowledge(ack, { username: target.username, role });
+
+            this.logger.info(`User ${target.username} (${target.id}) is now ${role} in room ${roomCode}, changed by ${socket.id}`);
+        } catch (error) {
+            this.logger.error(`Error changing user role: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to change role. Please try again.');
+        }
+    }
+
+    /**
+     * Handles a moderator muting a member, optionally for a limited time
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Mute data (roomCode, username, duration in minutes or null, csrfToken)
+     * @param {Function} [ack] - Optional acknowledgement callback, answered with when the mute ends
+     */
+    handleMuteUser(socket, data, ack) {
+        try {
+            const { roomCode, username, duration = null, csrfToken } = data || {};
+
+            if (!SecurityUtils.isValidMuteDuration(duration)) {
+                const { MIN_MUTE_MINUTES, MAX_MUTE_MINUTES } = SecurityUtils.MODERATION_LIMITS;
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', `Mute duration must be between ${MIN_MUTE_MINUTES} and ${MAX_MUTE_MINUTES} minutes`);
+            }
+
+            const target = this.findModerationTarget(socket, ack, { roomCode, username, csrfToken }, 'muteUsers');
+            if (!target) return;
+
+            const result = this.roomManager.muteUser(roomCode, target.id, duration ? duration * 60 * 1000 : null);
+            if (!result) {
+                return this.rejectRequest(socket, ack, 'USER_NOT_FOUND');
+            }
+
+            this.acknowledge(ack, { username: target.username, mutedUntil: result.user.mutedUntil });
+            this.logger.info(`User ${target.username} (${target.id}) muted in room ${roomCode} by ${socket.id}${duration ? ` for ${duration} minutes` : ''}`);
+        } catch (error) {
+            this.logger.error(`Error muting user: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to mute user. Please try again.');
+        }
+    }
+
+    /**
+     * Handles a moderator lifting a member's mute
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Unmute data (roomCode, username, csrfToken)
+     * @param {Function} [ack] - Optional acknowledgement callback
+     */
+    handleUnmuteUser(socket, data, ack) {
+        try {
+            const { roomCode, username, csrfToken } = data || {};
+
+            const target = this.findModerationTarget(socket, ack, { roomCode, username, csrfToken }, 'muteUsers');
+            if (!target) return;
+
+            if (!this.roomManager.unmuteUser(roomCode, target.username)) {
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'This user is not muted');
+            }
+
+            this.acknowledge(ack, { username: target.username });
+            this.logger.info(`User ${target.username} (${target.id}) unmuted in room ${roomCode} by ${socket.id}`);
+        } catch (error) {
+            this.logger.error(`Error unmuting user: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to unmute user. Please try again.');
+        }
+    }
+
+    /**
+     * Handles the room owner requesting the ban list. Entries only carry the
+     * username at the time of the ban and the expiry, never the IP hash.
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Request data (roomCode, csrfToken)
+     * @param {Function} [ack] - Optional acknowledgement callback, answered with the bans
+     */
+    handleListBans(socket, data, ack) {
+        try {
+            const { roomCode, csrfToken } = data || {};
+
+            const room = this.getBanManagedRoom(socket, ack, roomCode, csrfToken);
+            if (!room) return;
+
+            const bans = room.getBans();
+            socket.emit('banList', { bans });
+            this.acknowledge(ack, { bans });
+        } catch (error) {
+            this.logger.error(`Error listing bans: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to load the ban list. Please try again.');
+        }
+    }
+
+    /**
+     * Handles the room owner lifting a ban before it runs out
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Unban data (roomCode, banId, csrfToken)
+     * @param {Function} [ack] - Optional acknowledgement callback, answered with the remaining bans
+     */
+    handleUnbanUser(socket, data, ack) {
+        try {
+            const { roomCode, banId, csrfToken } = data || {};
+
+            if (!banId || typeof banId !== 'string') {
+                return this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Ban ID is required');
+            }
+
+            const room = this.getBanManagedRoom(socket, ack, roomCode, csrfToken);
+            if (!room) return;
+
+            const ban = this.roomManager.unbanUser(roomCode, banId);
+            if (!ban) {
+                return this.rejectRequest(socket, ack, 'BAN_NOT_FOUND');
+            }
+
+            const bans = room.getBans();
+            socket.emit('banList', { bans });
+            this.acknowledge(ack, { bans });
+
+            this.logger.info(`Ban lifted in room ${roomCode} by ${socket.id}`);
+        } catch (error) {
+            this.logger.error(`Error lifting ban: ${error.message}`);
+            this.rejectRequest(socket, ack, 'INTERNAL_ERROR', 'Failed to lift the ban. Please try again.');
+        }
+    }
+
+    /**
+     * Validates a ban list request and returns the room, rejecting the
+     * request unless it comes from a member allowed to manage bans
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Function} [ack] - Acknowledgement callback of the request
+     * @param {string} roomCode - Code of the room
+     * @param {string} csrfToken - CSRF token of the requester
+     * @returns {Room|null} Room, or null if the request was rejected
+     * @private
+     */
+    getBanManagedRoom(socket, ack, roomCode, csrfToken) {
+        if (!SecurityUtils.isValidRoomCode(roomCode)) {
+            this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
+            return null;
+        }
+
+        // Validate CSRF and room membership
+        if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+            this.rejectRequest(socket, ack, 'INVALID_TOKEN', 'Invalid security token or room access');
+            return null;
+        }
+
+        const room = this.roomManager.getRoom(roomCode);
+        if (!room) {
+            this.rejectRequest(socket, ack, 'ROOM_NOT_FOUND');
+            return null;
+        }
+
+        if (!room.can(socket.id, 'banUsers')) {
+            this.rejectRequest(socket, ack, 'NOT_PERMITTED', 'Only the room owner can manage bans');
+            return null;
+        }
+
+        return room;
+    }
+
+    /**
+     * Validates a moderation request and looks up the member it targets,
+     * rejecting the request if the requester lacks the capability or rank
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Function} [ack] - Acknowledgement callback of the request
+     * @param {Object} data - Request data (roomCode, username, csrfToken)
+     * @param {string} capability - Capability from User.ROLE_CAPABILITIES
+     * @returns {User|null} Target user, or null if the request was rejected
+     * @private
+     */
+    findModerationTarget(socket, ack, { roomCode, username, csrfToken }, capability) {
+        if (!SecurityUtils.isValidRoomCode(roomCode)) {
+            this.rejectRequest(socket, ack, 'INVALID_ROOM_CODE');
+            return null;
+        }
+
+        if (!username || typeof username !== 'string') {
+            this.rejectRequest(socket, ack, 'INVALID_INPUT', 'Username is required');
+            return null;
+        }
+
+        // Validate CSRF and room membership
+        if (!this.validateAction(socket.id, roomCode, csrfToken)) {
+            this.rejectRequest(socket, ack, 'INVALID_TOKEN', 'Invalid security token or room access');
+            return null;
+        }
+
+        const room = this.roomManager.getRoom(roomCode);
+        if (!room) {
+            this.rejectRequest(socket, ack, 'ROOM_NOT_FOUND');
+            return null;
+        }
+
+        if (!room.can(socket.id, capability)) {
+            this.rejectRequest(socket, ack, 'NOT_PERMITTED', 'Only the room owner and moderators can do that');
+            return null;
+        }
+
+        const target = room.getUserByUsername(username);
+        if (!target) {
+            this.rejectRequest(socket, ack, 'USER_NOT_FOUND');
+            return null;
+        }
+
+        if (!room.canModerate(socket.id, target.id, capability)) {
+            this.rejectRequest(socket, ack, 'NOT_PERMITTED', 'You can only moderate members with a lower role than yours');
+            return null;
         }
+
+        return target;
+    }
+
+    /**
+     * Voice note limits sent to clients so they can stop recording in time
+     * @returns {Object} { maxSeconds, maxBytes }
+     * @private
+     */
+    getVoiceNoteLimits() {
+        return {
+            maxSeconds: SecurityUtils.VOICE_NOTE_LIMITS.MAX_SECONDS,
+            maxBytes: SecurityUtils.VOICE_NOTE_LIMITS.MAX_BYTES
+        };
+    }
+
+    /**
+     * Describes how long a muted user has to wait, for USER_MUTED errors
+     * @param {User} user - Muted user
+     * @returns {Object} { retryAfter } in seconds for timed mutes, otherwise empty
+     * @private
+     */
+    getMuteDetails(user) {
+        if (!user || !user.mutedUntil) return {};
+        return { retryAfter: Math.max(1, Math.ceil((user.mutedUntil - Date.now()) / 1000)) };
     }
 
     /**
@@ -658,7 +2186,7 @@ class SocketHandler {
         try {
             // Validate room code
             if (!SecurityUtils.isValidRoomCode(roomCode)) {
-                return socket.emit('error', 'Invalid room code format');
+                return this.emitError(socket, 'INVALID_ROOM_CODE');
             }
 
             const userData = this.userSockets.get(socket.id);
@@ -669,6 +2197,8 @@ class SocketHandler {
             // Store the username before leaving the room
             const username = userData.username;
 
+            this.stopTyping(socket.id);
+
             // Process user leaving
             const result = this.roomManager.leaveRoom(socket.id);
             if (!result) return;
@@ -695,20 +2225,22 @@ class SocketHandler {
                 // Notify about user leaving and potential ownership changes
                 this.io.to(roomCode).emit('userLeft', {
                     username: username,
-                    users: Array.from(room.users.values()).map(u => u.toJSON().username),
+                    ...this.getUserListPayload(room),
                     newOwner: result.newOwnerId
                 });
+                this.broadcastViewOnceConsumed(roomCode, result.consumedMessageIds);
             }
 
             this.logger.info(`User ${username} (${socket.id}) left room: ${roomCode}`);
         } catch (error) {
             this.logger.error(`Error leaving room: ${error.message}`);
-            socket.emit('error', 'Failed to leave room properly. Please refresh the page.');
+            this.emitError(socket, 'INTERNAL_ERROR', 'Failed to leave room properly. Please refresh the page.');
         }
     }
 
     /**
-     * Handles disconnection of a socket with proper error handling
+     * Handles disconnection of a socket with proper error handling.
+     * Users in a room keep their seat for the grace period so they can resume.
      * @param {Object} socket - Socket.IO socket instance
      */
     handleDisconnect(socket) {
@@ -716,21 +2248,14 @@ class SocketHandler {
             const userData = this.userSockets.get(socket.id);
             if (!userData) return;
 
-            // If user was in a room, handle leaving
-            if (userData.roomCode) {
-                // Store username before processing leave
-                const username = userData.username;
-                const roomCode = userData.roomCode;
-
-                const result = this.roomManager.leaveRoom(socket.id);
-                if (result && this.roomManager.roomExists(result.roomCode)) {
-                    // Notify remaining users
-                    this.io.to(result.roomCode).emit('userLeft', {
-                        username: username,
-                        users: Array.from(result.room.users.values()).map(u => u.toJSON().username),
-                        newOwner: result.newOwnerId
-                    });
-                }
+            this.stopTyping(socket.id);
+
+            // Withdraw any request to join a locked room
+            this.roomManager.cancelJoinRequests(socket.id);
+
+            // If user was in a room, hold their seat instead of leaving right away
+            if (userData.roomCode && this.roomManager.roomExists(userData.roomCode)) {
+                this.holdSeatForResume(socket.id, userData);
             }
 
             // Remove from user tracking
@@ -742,6 +2267,179 @@ class SocketHandler {
         }
     }
 
+    /**
+     * Keeps a disconnected user in their room until the grace period expires
+     * @param {string} socketId - Socket ID of the dropped connection
+     * @param {Object} userData - Tracked user data for that socket
+     * @private
+     */
+    holdSeatForResume(socketId, userData) {
+        const timeoutId = setTimeout(() => this.expireDisconnectedSession(socketId), this.sessionGracePeriod);
+
+        this.pendingDisconnects.set(socketId, {
+            roomCode: userData.roomCode,
+            username: userData.username,
+            disconnectedAt: Date.now(),
+            timeoutId
+        });
+
+        this.logger.info(`Holding seat for ${socketId} in room ${userData.roomCode} for ${this.sessionGracePeriod}ms`);
+    }
+
+    /**
+     * Removes a disconnected user whose grace period ran out and notifies the room
+     * @param {string} socketId - Socket ID of the dropped connection
+     * @private
+     */
+    expireDisconnectedSession(socketId) {
+        const pending = this.pendingDisconnects.get(socketId);
+        if (!pending) return;
+
+        this.pendingDisconnects.delete(socketId);
+
+        try {
+            const result = this.roomManager.leaveRoom(socketId);
+            if (result && this.roomManager.roomExists(result.roomCode)) {
+                // Notify remaining users
+                this.io.to(result.roomCode).emit('userLeft', {
+                    username: pending.username,
+                    ...this.getUserListPayload(result.room),
+                    newOwner: result.newOwnerId
+                });
+                this.broadcastViewOnceConsumed(result.roomCode, result.consumedMessageIds);
+            }
+
+            this.logger.info(`Session grace period expired for ${socketId} in room ${pending.roomCode}`);
+        } catch (error) {
+            this.logger.error(`Error expiring disconnected session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tells a client its session could not be resumed
+     * @param {Object} socket - Socket.IO socket
+     * @param {string} [roomCode] - Room the client tried to resume
+     * @param {string} code - Error code from ErrorCodes
+     * @param {string} [reason] - Overrides the default message for the code
+     * @private
+     */
+    failResume(socket, roomCode, code, reason = null) {
+        const error = createError(code, reason);
+        socket.emit('sessionResumeFailed', { roomCode, code: error.code, reason: error.message });
+    }
+
+    /**
+     * Handles a client resuming its room session on a new socket after a transient disconnect
+     * @param {Object} socket - Socket.IO socket instance
+     * @param {Object} data - Resume data (roomCode, sessionToken, lastMessageId)
+     */
+    handleResumeSession(socket, data) {
+        try {
+            const { roomCode, sessionToken, lastMessageId } = data || {};
+
+            // Basic input validation
+            if (!roomCode || !sessionToken || !SecurityUtils.isValidRoomCode(roomCode)) {
+                return this.failResume(socket, roomCode, 'INVALID_INPUT', 'Invalid session data');
+            }
+
+            // The token identifies the socket the session was issued to
+            const tokenInfo = SecurityUtils.parseSessionToken(sessionToken);
+            if (!tokenInfo || tokenInfo.roomCode !== roomCode || tokenInfo.socketId === socket.id) {
+                this.logger.warn(`Invalid resume token from ${socket.id} for room ${roomCode}`);
+                return this.failResume(socket, roomCode, 'SESSION_EXPIRED');
+            }
+
+            const previousId = tokenInfo.socketId;
+            const pending = this.pendingDisconnects.get(previousId);
+            const previousData = this.userSockets.get(previousId);
+
+            // The old socket must still hold the seat: either waiting out the grace
+            // period or not yet detected as dead by the server
+            const holdsSeat = pending || (previousData && previousData.roomCode === roomCode);
+            const room = this.roomManager.getRoom(roomCode);
+            if (!holdsSeat || !room || !room.getUser(previousId)) {
+                return this.failResume(socket, roomCode, 'SESSION_EXPIRED');
+            }
+
+            if (pending) {
+                clearTimeout(pending.timeoutId);
+                this.pendingDisconnects.delete(previousId);
+            }
+
+            // Drop the stale socket before rebinding so its disconnect is a no-op
+            if (previousData) {
+                this.userSockets.delete(previousId);
+                const previousSocket = this.io.sockets.sockets.get(previousId);
+                if (previousSocket) {
+                    previousSocket.leave(roomCode);
+                    previousSocket.disconnect(true);
+                }
+            }
+
+            const clientIp = this.getClientIp(socket);
+            const user = this.roomManager.resumeUser(roomCode, previousId, socket.id, clientIp);
+            if (!user) {
+                return this.failResume(socket, roomCode, 'SESSION_EXPIRED');
+            }
+
+            // A session token can only be used to resume once
+            SecurityUtils.revokeSessionToken(sessionToken);
+
+            // Issue fresh tokens bound to the new socket
+            const newSessionToken = SecurityUtils.generateSessionToken(socket.id, room.code);
+            const csrfToken = SecurityUtils.generateCSRFToken(socket.id);
+
+            this.userSockets.set(socket.id, {
+                id: socket.id,
+                roomCode: room.code,
+                username: user.username,
+                ip: clientIp,
+                lastActivity: Date.now(),
+                sessionToken: newSessionToken,
+                csrfToken: csrfToken
+            });
+
+            // Join the socket to the room
+            socket.join(room.code);
+
+            socket.emit('sessionResumed', {
+                roomCode: room.code,
+                ...this.getUserListPayload(room),
+                messageSizeLimit: SecurityUtils.SIZE_LIMITS.MESSAGE,
+                attachmentSizeLimit: SecurityUtils.ATTACHMENT_LIMITS.MAX_BYTES,
+                voiceNoteLimits: this.getVoiceNoteLimits(),
+                sessionToken: newSessionToken,
+                csrfToken: csrfToken,
+                isRoomOwner: room.isOwner(socket.id),
+                encryptionEnabled: room.encryptionEnabled || false,
+                readReceipts: room.readReceipts,
+                readPositions: room.getReadPositions(socket.id),
+                pinned: room.getPinnedMessages(),
+                settings: room.getSettings()
+            });
+
+            // Replay messages the client missed while it was away (view-once only if still unopened)
+            const since = pending ? pending.disconnectedAt : Date.now();
+            const missedMessages = room.getMessagesSince(lastMessageId, since)
+                .filter(message => message.isViewableBy(socket.id));
+            // Flagged so the client treats them as history rather than notifying about each one; our own
+            // messages carry their nonce like the live broadcast so the client can replace its pending copies
+            const nonces = room.getMessageNonces(socket.id);
+            for (const message of missedMessages) {
+                const payload = { ...message.toJSON(room.serverEncryptionKey), replayed: true };
+                if (nonces.has(message.id)) {
+                    payload.nonce = nonces.get(message.id);
+                }
+                socket.emit('newMessage', payload);
+            }
+
+            this.logger.info(`User ${user.username} resumed session in room ${room.code} (${previousId} -> ${socket.id}), replayed ${missedMessages.length} messages`);
+        } catch (error) {
+            this.logger.error(`Error resuming session: ${error.message}`);
+            this.failResume(socket, data && data.roomCode, 'INTERNAL_ERROR', 'Failed to resume session. Please rejoin the room.');
+        }
+    }
+
     /**
      * Enhanced CSRF token validation with timing-safe comparison
      * @param {string} socketId - Socket ID to validate against
@@ -5,12 +5,17 @@ const SecurityUtils = require('../utils/SecurityUtils');
 const crypto = require('crypto');
 
 class Message {
+    /**
+     * Reactions users may add to messages
+     */
+    static ALLOWED_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
     /**
      * Creates a new message with security validation
      * @param {string} id - Unique message identifier
      * @param {string} username - Username of the sender (sanitized)
      * @param {string} text - Message content (sanitized)
-     * @param {Object} options - Optional parameters (isEncrypted, roomKey)
+     * @param {Object} options - Optional parameters (isEncrypted, roomKey, encryptionMeta, authorId, replyTo, viewOnce, attachment)
      */
     constructor(id, username, text, options = {}) {
         // Generate ID if not provided
@@ -19,10 +24,48 @@ class Message {
         // Apply strict sanitization to username
         this.username = SecurityUtils.sanitizeText(username, SecurityUtils.SIZE_LIMITS.USERNAME);
 
+        // Socket ID of the sender, kept server-side as proof of authorship (never transmitted)
+        this.authorId = options.authorId || null;
+
         // Check if this is an already encrypted message from client
         this.isClientEncrypted = options.isEncrypted || false;
 
-        // Sanitize and validate message text if not already encrypted
+        // Sanitize, validate and store the content
+        this.setContent(text, options);
+
+        // Create timestamp (milliseconds for precision)
+        this.timestamp = Date.now();
+
+        // Set when the author replaces the content
+        this.editedAt = null;
+
+        // ID of the message this one replies to (validated by the room before creation)
+        this.replyTo = typeof options.replyTo === 'string' ? options.replyTo : null;
+
+        // Reaction emoji -> Set of user IDs who reacted with it
+        this.reactions = new Map();
+
+        // View-once messages are shown to each recipient a single time and never replayed
+        this.viewOnce = options.viewOnce === true;
+
+        // Encrypted file uploaded beforehand: { id, size, chunkCount, meta } (validated by the room before creation)
+        this.attachment = options.attachment || null;
+
+        // Socket IDs of recipients who have not opened a view-once message yet (never transmitted)
+        this.pendingViewers = new Set();
+
+        // Flag for system messages - explicitly set for system messages
+        this.isSystem = username === 'System';
+    }
+
+    /**
+     * Stores message content, sanitizing plaintext and encrypting it for storage
+     * when a room key is provided. Client-encrypted content is stored as-is.
+     * @param {string} text - Message content
+     * @param {Object} options - Optional parameters (roomKey, encryptionMeta)
+     * @private
+     */
+    setContent(text, options = {}) {
         if (!this.isClientEncrypted) {
             this.text = this.sanitizeAndValidateText(text);
 
@@ -38,18 +81,105 @@ class Message {
             this.text = text;
         }
 
-        // Create timestamp (milliseconds for precision)
-        this.timestamp = Date.now();
-
-        // Flag for system messages - explicitly set for system messages
-        this.isSystem = username === 'System';
-
         // Store metadata about encryption
         if (options.encryptionMeta) {
             this.encryptionMeta = options.encryptionMeta;
         }
     }
 
+    /**
+     * Replaces the message content. Client-encrypted messages can only be
+     * replaced with a new encrypted payload, never edited as plaintext.
+     * @param {string} text - New message content
+     * @param {Object} options - Optional parameters (isEncrypted, roomKey, encryptionMeta)
+     * @throws {Error} If the new content is invalid or the encryption mode changes
+     */
+    edit(text, options = {}) {
+        if (this.isSystem) {
+            throw new Error('System messages cannot be edited');
+        }
+
+        if (Boolean(options.isEncrypted) !== this.isClientEncrypted) {
+            throw new Error('Edited message must keep the original encryption mode');
+        }
+
+        this.setContent(text, options);
+        this.editedAt = Date.now();
+    }
+
+    /**
+     * Adds the user's reaction, or removes it if already present
+     * @param {string} emoji - Reaction from ALLOWED_REACTIONS
+     * @param {string} userId - Socket ID of the reacting user
+     * @returns {boolean} True if the reaction was added, false if removed
+     * @throws {Error} If the reaction is not allowed
+     */
+    toggleReaction(emoji, userId) {
+        if (!Message.ALLOWED_REACTIONS.includes(emoji)) {
+            throw new Error('Reaction not allowed');
+        }
+
+        const users = this.reactions.get(emoji) || new Set();
+        const added = !users.has(userId);
+
+        if (added) {
+            users.add(userId);
+            this.reactions.set(emoji, users);
+        } else {
+            users.delete(userId);
+            if (users.size === 0) {
+                this.reactions.delete(emoji);
+            }
+        }
+
+        return added;
+    }
+
+    /**
+     * Moves a user's reactions to a new user ID (used on session resumption)
+     * @param {string} oldUserId - Previous socket ID
+     * @param {string} newUserId - New socket ID
+     */
+    rebindReactions(oldUserId, newUserId) {
+        for (const users of this.reactions.values()) {
+            if (users.delete(oldUserId)) {
+                users.add(newUserId);
+            }
+        }
+    }
+
+    /**
+     * Gets reaction counts without exposing who reacted
+     * @returns {Object} Map of emoji to count
+     */
+    getReactionCounts() {
+        const counts = {};
+        for (const [emoji, users] of this.reactions) {
+            counts[emoji] = users.size;
+        }
+        return counts;
+    }
+
+    /**
+     * Checks if the given user may still receive this message. View-once
+     * messages are only delivered to their author and recipients who have
+     * not opened them yet.
+     * @param {string} userId - Socket ID of the user
+     * @returns {boolean} True if the message can be sent to the user
+     */
+    isViewableBy(userId) {
+        return !this.viewOnce || this.isAuthoredBy(userId) || this.pendingViewers.has(userId);
+    }
+
+    /**
+     * Checks if the given user sent this message
+     * @param {string} userId - Socket ID of the user
+     * @returns {boolean} True if the user is the author
+     */
+    isAuthoredBy(userId) {
+        return Boolean(this.authorId && userId && this.authorId === userId);
+    }
+
     /**
      * Sanitizes and validates message text with enhanced security
      * @param {string} text - Raw message text
@@ -140,7 +270,12 @@ class Message {
             timestamp: this.timestamp,
             isSystem: this.isSystem,
             isEncrypted: this.isClientEncrypted,
-            encryptionMeta: this.encryptionMeta
+            encryptionMeta: this.encryptionMeta,
+            editedAt: this.editedAt,
+            replyTo: this.replyTo,
+            viewOnce: this.viewOnce,
+            attachment: this.attachment,
+            reactions: this.getReactionCounts()
         };
     }
 }
@@ -3,6 +3,7 @@
  * and end-to-end encryption
  */
 const SecurityUtils = require('../utils/SecurityUtils');
+const crypto = require('crypto');
 
 class Room {
     /**
@@ -22,6 +23,7 @@ class Room {
 
         this.code = code.toUpperCase(); // Ensure consistent uppercase format
         this.owner = owner;
+        this.owner.setRole('owner');
         this.users = new Map([[owner.id, owner]]);
         this.messages = [];
         this.createdAt = Date.now();
@@ -34,13 +36,34 @@ class Room {
         // Privacy and security settings
         this.isPrivate = options.isPrivate || false;
         this.expiryTime = options.expiryTime || null; // Optional auto-expiry
+        this.messageTtl = options.messageTtl || null; // Optional message lifetime in seconds
+        this.slowMode = options.slowMode || null; // Optional seconds each member waits between messages
+        this.contentFilter = options.contentFilter || null; // Optional word filter (see SecurityUtils.validateContentFilter)
 
         // Track banned users to prevent immediate rejoin
-        this.bannedUsers = new Set(); // Store IP hashes, never actual IPs
+        this.bannedUsers = new Map(); // IP hash (never actual IPs) -> { id, username, bannedAt, expiresAt }
+
+        // Mutes in force, kept so leaving or being kicked and rejoining doesn't lift them
+        this.activeMutes = new Map(); // IP hash -> { username, mutedUntil }
+
+        // Locked rooms park new joiners until the owner or a moderator lets them in
+        this.locked = false;
+        this.joinRequests = new Map(); // Request ID -> { id, user, ipHash, requestedAt, expiresAt }
 
         // Track rate limit violations
         this.rateLimitViolations = new Map();
 
+        // Pinned messages are held by reference so they outlive history truncation
+        this.pinnedMessages = new Map(); // Message ID -> { message, pinnedBy, pinnedAt }
+
+        // Encrypted attachments, uploaded in chunks before the message that carries them is sent
+        this.attachments = new Map(); // Attachment ID -> { id, uploaderId, size, meta, chunkCount, chunks, received, messageId, createdAt }
+        this.attachmentBytes = 0; // Bytes reserved by uploads, counted against the room's quota
+        this.voiceNoteBytes = 0; // Share of attachmentBytes taken by voice notes
+
+        // Recently used client nonces so retried sends are not stored twice
+        this.messageNonces = new Map(); // "authorId:nonce" -> { messageId, authorId, expiresAt }
+
         // Memory management tracking
         this.memoryStats = {
             peakMessageCount: 0,
@@ -57,6 +80,17 @@ class Room {
         // Store encryption settings
         this.encryptionEnabled = options.encryptionEnabled !== undefined ?
             options.encryptionEnabled : true;
+
+        // Optional scrypt hash of the room password (the password itself is never stored)
+        this.passwordHash = options.passwordHash || null;
+
+        // Read receipts are off until the owner enables them; names stay hidden unless allowed
+        this.readReceipts = {
+            enabled: false,
+            showNames: false
+        };
+        // Keys the reader IDs sent with read positions, so they can't be matched to usernames
+        this.readerKeySecret = crypto.randomBytes(16);
     }
 
     /**
@@ -114,9 +148,11 @@ class Room {
     }
 
     /**
-     * Removes a user from the room
+     * Removes a user from the room. View-once messages the user never opened
+     * stop waiting for them and are dropped once nobody else is pending.
      * @param {string} userId - ID of the user to remove
-     * @returns {Object|null} Removed user data or null if not found
+     * @returns {Object|null} Removed user data (with IDs of view-once messages
+     * consumed by the departure) or null if not found
      */
     removeUser(userId) {
         const user = this.getUser(userId);
@@ -134,7 +170,58 @@ class Room {
             }
         }
 
-        return { userData, wasOwner: this.isOwner(userId) };
+        const consumedMessageIds = this.messages
+            .filter(msg => msg.viewOnce && msg.pendingViewers.delete(userId) && msg.pendingViewers.size === 0)
+            .map(msg => msg.id);
+        consumedMessageIds.forEach(id => this.removeMessage(id));
+
+        return { userData, wasOwner: this.isOwner(userId), consumedMessageIds };
+    }
+
+    /**
+     * Moves an existing user to a new socket ID, keeping their seat, ownership
+     * and position in the join order
+     * @param {string} oldUserId - Socket ID the user was known by
+     * @param {string} newUserId - Socket ID of the resumed connection
+     * @returns {User|null} Rebound user or null if not found
+     */
+    rebindUser(oldUserId, newUserId) {
+        const user = this.getUser(oldUserId);
+        if (!user || this.users.has(newUserId)) return null;
+
+        // Rebuild the map so join order (used for owner succession) is preserved
+        this.users = new Map(Array.from(this.users.entries(), ([id, existing]) =>
+            id === oldUserId ? [newUserId, existing] : [id, existing]
+        ));
+        user.id = newUserId;
+
+        // Keep authorship and reactions of earlier messages with the resumed user
+        for (const message of this.messages) {
+            if (message.authorId === oldUserId) {
+                message.authorId = newUserId;
+            }
+            message.rebindReactions(oldUserId, newUserId);
+            if (message.pendingViewers.delete(oldUserId)) {
+                message.pendingViewers.add(newUserId);
+            }
+        }
+
+        // Carry over rate limit state so reconnecting can't be used to reset it
+        if (this.rateLimitViolations.has(oldUserId)) {
+            this.rateLimitViolations.set(newUserId, this.rateLimitViolations.get(oldUserId));
+            this.rateLimitViolations.delete(oldUserId);
+        }
+
+        // Retries after reconnecting still match the messages they already sent
+        this.messageNonces = new Map(Array.from(this.messageNonces.entries(), ([key, entry]) => {
+            if (entry.authorId !== oldUserId) return [key, entry];
+            entry.authorId = newUserId;
+            return [`${newUserId}:${key.slice(oldUserId.length + 1)}`, entry];
+        }));
+
+        user.updateActivity();
+        this.updateActivity();
+        return user;
     }
 
     /**
@@ -147,29 +234,209 @@ class Room {
         // Get the first user (oldest in the room) as new owner
         const [firstUserId] = this.users.keys();
         this.owner = this.users.get(firstUserId);
+        this.owner.setRole('owner');
         return this.owner;
     }
 
     /**
-     * Temporarily bans a user from rejoining the room
+     * Checks if a user's role allows an action
+     * @param {string} userId - Socket ID of the user
+     * @param {string} capability - Capability from User.ROLE_CAPABILITIES
+     * @returns {boolean} True if the user is in the room and allowed
+     */
+    can(userId, capability) {
+        const user = this.getUser(userId);
+        return Boolean(user && user.can(capability));
+    }
+
+    /**
+     * Checks if a user may apply a moderation action to another user. The
+     * actor needs the capability and must outrank the target, if still present.
+     * @param {string} actorId - Socket ID of the user taking the action
+     * @param {string|null} targetId - Socket ID of the affected user
+     * @param {string} capability - Capability from User.ROLE_CAPABILITIES
+     * @returns {boolean} True if the action is allowed
+     */
+    canModerate(actorId, targetId, capability) {
+        if (!this.can(actorId, capability)) return false;
+
+        const target = this.getUser(targetId);
+        return !target || this.getUser(actorId).outranks(target);
+    }
+
+    /**
+     * Gets each member's role by username
+     * @returns {Object} Map of username to role
+     */
+    getRoles() {
+        const roles = {};
+        for (const user of this.users.values()) {
+            roles[user.username] = user.role;
+        }
+        return roles;
+    }
+
+    /**
+     * Temporarily bans a user from rejoining the room. Lifting the ban when
+     * it runs out is up to the caller (see RoomManager.banUser).
      * @param {User} user - User to ban
-     * @returns {boolean} True if banned, false if already banned
+     * @param {number} durationMs - How long the ban lasts
+     * @returns {Object|null} Ban entry, or null if the user has no IP hash
      */
-    banUser(user) {
-        if (!user || !user.ipHash) return false;
+    banUser(user, durationMs) {
+        if (!user || !user.ipHash) return null;
+
+        const now = Date.now();
+        const expiresAt = now + durationMs;
 
+        // Someone from the same address is already banned; the later expiry wins
+        const existing = this.bannedUsers.get(user.ipHash);
+        if (existing) {
+            existing.expiresAt = Math.max(existing.expiresAt, expiresAt);
+            return existing;
+        }
+
+        const ban = {
+            id: crypto.randomBytes(8).toString('hex'),
+            username: user.username,
+            bannedAt: now,
+            expiresAt
+        };
+        this.bannedUsers.set(user.ipHash, ban);
+
+        return ban;
+    }
+
+    /**
+     * Lifts a ban
+     * @param {string} banId - ID of the ban entry
+     * @returns {Object|null} Removed ban entry or null if not found
+     */
+    unbanUser(banId) {
+        for (const [ipHash, ban] of this.bannedUsers) {
+            if (ban.id === banId) {
+                this.bannedUsers.delete(ipHash);
+                return ban;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the ban list without the IP hashes
+     * @returns {Array} Ban entries (id, username at time of ban, bannedAt, expiresAt)
+     */
+    getBans() {
+        return Array.from(this.bannedUsers.values(), ({ id, username, bannedAt, expiresAt }) => ({
+            id,
+            username,
+            bannedAt,
+            expiresAt
+        }));
+    }
+
+    /**
+     * Remembers a member's mute so it is applied again if they rejoin
+     * @param {User} user - Muted user
+     */
+    rememberMute(user) {
+        if (!user || !user.ipHash) return;
+        this.activeMutes.set(user.ipHash, { username: user.username, mutedUntil: user.mutedUntil });
+    }
+
+    /**
+     * Forgets a lifted mute
+     * @param {string} ipHash - IP hash of the member the mute was given to
+     */
+    forgetMute(ipHash) {
+        this.activeMutes.delete(ipHash);
+    }
+
+    /**
+     * Finds a mute still in force for a joining user, matched by IP hash only
+     * since anyone can pick a muted member's username
+     * @param {User} user - Joining user
+     * @returns {Object|null} { username, mutedUntil } or null if they aren't muted
+     */
+    getActiveMute(user) {
+        const now = Date.now();
+        for (const [key, mute] of this.activeMutes) {
+            // Timed mutes of members who left run out here rather than on a timer
+            if (mute.mutedUntil && mute.mutedUntil <= now) {
+                this.activeMutes.delete(key);
+            }
+        }
+        return this.activeMutes.get(user.ipHash) || null;
+    }
+
+    /**
+     * Locks or unlocks the room
+     * @param {boolean} locked - Whether new joiners need approval
+     * @returns {boolean} The new lock state
+     */
+    setLocked(locked) {
+        this.locked = Boolean(locked);
+        return this.locked;
+    }
+
+    /**
+     * Parks a user who asked to join the locked room. Dropping the request
+     * when it runs out is up to the caller (see RoomManager.requestJoin).
+     * @param {User} user - User waiting to join (not yet in the room)
+     * @param {string} ipHash - Hashed IP address the request came from
+     * @param {number} timeoutMs - How long the request stays open
+     * @returns {Object|null} Join request, or null if banned, the queue is full or the user is already waiting
+     */
+    addJoinRequest(user, ipHash, timeoutMs) {
         if (this.bannedUsers.has(user.ipHash)) {
-            return false;
+            return null;
         }
 
-        this.bannedUsers.add(user.ipHash);
+        if (this.joinRequests.size >= SecurityUtils.JOIN_REQUEST_LIMITS.MAX_PENDING_PER_ROOM) {
+            return null;
+        }
 
-        // Auto-expire ban after 1 hour (prevent permanent ban on ephemeral system)
-        setTimeout(() => {
-            this.bannedUsers.delete(user.ipHash);
-        }, 60 * 60 * 1000); // 1 hour
+        // One request per connection and username
+        const username = user.username.toLowerCase();
+        for (const request of this.joinRequests.values()) {
+            if (request.user.id === user.id || request.user.username.toLowerCase() === username) {
+                return null;
+            }
+        }
 
-        return true;
+        const now = Date.now();
+        const request = {
+            id: crypto.randomBytes(8).toString('hex'),
+            user,
+            ipHash,
+            requestedAt: now,
+            expiresAt: now + timeoutMs
+        };
+        this.joinRequests.set(request.id, request);
+
+        return request;
+    }
+
+    /**
+     * Gets a pending join request
+     * @param {string} requestId - ID of the request
+     * @returns {Object|null} Join request or null if not found
+     */
+    getJoinRequest(requestId) {
+        return this.joinRequests.get(requestId) || null;
+    }
+
+    /**
+     * Removes a pending join request once it is answered, expires or is withdrawn
+     * @param {string} requestId - ID of the request
+     * @returns {Object|null} Removed request or null if not found
+     */
+    removeJoinRequest(requestId) {
+        const request = this.joinRequests.get(requestId);
+        if (!request) return null;
+
+        this.joinRequests.delete(requestId);
+        return request;
     }
 
     /**
@@ -185,14 +452,18 @@ class Room {
         // System messages bypass normal limits
         if (!isSysMsg) {
             // Check rate limiting
-            const userId = message.id.split('-')[0]; // Extract user ID if in format "userId-messageId"
+            const userId = message.authorId || message.id.split('-')[0]; // Fall back to "userId-messageId" format
             const user = this.getUser(userId);
 
             if (user) {
-                user.trackMessageSent();
+                const now = Date.now();
+
+                // Slow mode: members wait between messages unless their role is exempt
+                if (this.getSlowModeRemaining(userId, now) > 0) {
+                    return false;
+                }
 
                 // Check for rate limit violations
-                const now = Date.now();
                 const messageRateWindow = 5000; // 5 second window
                 const messageRateLimit = 10; // Max 10 messages per window
 
@@ -217,6 +488,9 @@ class Room {
                         }
                     }
                 }
+
+                // Only accepted messages start the next slow mode interval
+                user.trackMessageSent();
             }
         }
 
@@ -237,6 +511,7 @@ class Room {
         if (this.messages.length > this.maxMessages) {
             // Remove oldest messages
             this.messages = this.messages.slice(-this.maxMessages);
+            this.releaseOrphanedAttachments();
 
             // Update truncation stats
             this.memoryStats.truncationCount++;
@@ -246,6 +521,527 @@ class Room {
         return true;
     }
 
+    /**
+     * Remembers the nonce a client sent with a message
+     * @param {string} nonce - Client generated nonce
+     * @param {string} messageId - ID of the stored message
+     * @param {string} authorId - ID of the sending user
+     */
+    rememberNonce(nonce, messageId, authorId) {
+        const now = Date.now();
+
+        // Entries are in insertion order, so expired ones are at the front
+        for (const [key, entry] of this.messageNonces) {
+            if (entry.expiresAt > now) break;
+            this.messageNonces.delete(key);
+        }
+
+        this.messageNonces.set(`${authorId}:${nonce}`, {
+            messageId,
+            authorId,
+            expiresAt: now + SecurityUtils.TIMEOUTS.MESSAGE_NONCE
+        });
+    }
+
+    /**
+     * Finds a message already sent by a user with the given nonce
+     * @param {string} nonce - Client generated nonce
+     * @param {string} authorId - ID of the sending user
+     * @returns {string|null} ID of the message or null if the nonce is unused
+     */
+    findMessageByNonce(nonce, authorId) {
+        const entry = this.messageNonces.get(`${authorId}:${nonce}`);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            return null;
+        }
+
+        return entry.messageId;
+    }
+
+    /**
+     * Gets the nonces a user sent with their recent messages
+     * @param {string} authorId - ID of the sending user
+     * @returns {Map<string, string>} Nonce by message ID
+     */
+    getMessageNonces(authorId) {
+        const now = Date.now();
+        const nonces = new Map();
+
+        for (const [key, entry] of this.messageNonces) {
+            if (entry.authorId === authorId && entry.expiresAt > now) {
+                nonces.set(entry.messageId, key.slice(authorId.length + 1));
+            }
+        }
+
+        return nonces;
+    }
+
+    /**
+     * Gets the number of seconds until a user's message rate window resets
+     * @param {string} userId - ID of the user
+     * @returns {number} Seconds until the window resets (0 if not limited)
+     */
+    getMessageRetryAfter(userId) {
+        const violation = this.rateLimitViolations.get(userId);
+        if (!violation) {
+            return 0;
+        }
+
+        return Math.max(0, Math.ceil((violation.window - Date.now()) / 1000));
+    }
+
+    /**
+     * Gets how long a user still has to wait before slow mode lets them post
+     * @param {string} userId - ID of the user
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {number} Milliseconds left (0 if slow mode is off or the user may post)
+     */
+    getSlowModeRemaining(userId, now = Date.now()) {
+        if (!this.slowMode) {
+            return 0;
+        }
+
+        const user = this.getUser(userId);
+        if (!user || !user.lastMessageTime || user.can('bypassSlowMode')) {
+            return 0;
+        }
+
+        return Math.max(0, user.lastMessageTime + this.slowMode * 1000 - now);
+    }
+
+    /**
+     * Gets a message from the room's history
+     * @param {string} messageId - ID of the message
+     * @returns {Message|null} Message or null if not found
+     */
+    getMessage(messageId) {
+        if (!messageId) return null;
+        return this.messages.find(msg => msg.id === messageId) || null;
+    }
+
+    /**
+     * Checks if a message can be replied to (exists in history and is not a system message)
+     * @param {string} messageId - ID of the message being replied to
+     * @returns {boolean} True if the message is a valid reply target
+     */
+    canReplyTo(messageId) {
+        if (typeof messageId !== 'string') return false;
+        const message = this.getMessage(messageId);
+        return Boolean(message && !message.isSystem && !message.viewOnce);
+    }
+
+    /**
+     * Records that a recipient opened a view-once message. The message is
+     * removed from history once every recipient present at send time has.
+     * @param {string} userId - Socket ID of the viewer
+     * @param {string} messageId - ID of the view-once message
+     * @returns {Object|null} { consumed } or null if the user was not a pending viewer
+     */
+    markViewed(userId, messageId) {
+        const message = this.getMessage(messageId);
+        if (!message || !message.viewOnce || !message.pendingViewers.delete(userId)) {
+            return null;
+        }
+
+        const consumed = message.pendingViewers.size === 0;
+        if (consumed) {
+            this.removeMessage(messageId);
+        }
+
+        return { consumed };
+    }
+
+    /**
+     * Pins a message from the history to the top of the chat
+     * @param {string} messageId - ID of the message
+     * @param {string} pinnedBy - Username of the member pinning it
+     * @returns {Object|null} Pin entry, or null if the message can't be pinned or is already pinned
+     */
+    pinMessage(messageId, pinnedBy) {
+        const message = this.getMessage(messageId);
+        if (!message || message.isSystem || message.viewOnce || this.pinnedMessages.has(messageId)) {
+            return null;
+        }
+
+        const pin = { message, pinnedBy, pinnedAt: Date.now() };
+        this.pinnedMessages.set(messageId, pin);
+        this.updateActivity();
+        return pin;
+    }
+
+    /**
+     * Unpins a message
+     * @param {string} messageId - ID of the pinned message
+     * @returns {Object|null} Removed pin entry or null if the message was not pinned
+     */
+    unpinMessage(messageId) {
+        const pin = this.pinnedMessages.get(messageId);
+        if (!pin) return null;
+
+        this.pinnedMessages.delete(messageId);
+        // A pin may be all that kept a truncated message's attachments around
+        this.releaseOrphanedAttachments();
+        this.updateActivity();
+        return pin;
+    }
+
+    /**
+     * Gets the pinned messages safe for transmitting to clients, oldest pin first
+     * @returns {Array} Messages with pinnedBy and pinnedAt
+     */
+    getPinnedMessages() {
+        return Array.from(this.pinnedMessages.values()).map(({ message, pinnedBy, pinnedAt }) => ({
+            ...message.toJSON(this.serverEncryptionKey),
+            pinnedBy,
+            pinnedAt
+        }));
+    }
+
+    /**
+     * Reserves space for an encrypted attachment. The chunks are uploaded
+     * separately and the attachment can be sent once all of them are in.
+     * @param {string} uploaderId - Socket ID of the uploader
+     * @param {number} size - Size of the encrypted file in bytes
+     * @param {string} meta - Encrypted file name and type, opaque to the server
+     * @param {number|null} [duration] - Length in seconds if the attachment is a voice note
+     * @returns {Object} Attachment entry
+     */
+    startAttachment(uploaderId, size, meta, duration = null) {
+        const chunkCount = Math.ceil(size / SecurityUtils.ATTACHMENT_LIMITS.CHUNK_BYTES);
+        const attachment = {
+            id: crypto.randomUUID(),
+            uploaderId,
+            size,
+            meta,
+            kind: duration === null ? 'file' : 'voice',
+            duration,
+            chunkCount,
+            chunks: new Array(chunkCount).fill(null),
+            received: 0,
+            messageId: null,
+            createdAt: Date.now()
+        };
+
+        this.attachments.set(attachment.id, attachment);
+        this.attachmentBytes += size;
+        if (attachment.kind === 'voice') {
+            this.voiceNoteBytes += size;
+        }
+        this.updateActivity();
+        return attachment;
+    }
+
+    /**
+     * Stores one chunk of an attachment upload. Every chunk but the last is
+     * exactly CHUNK_BYTES long, so the upload can't grow past its reservation.
+     * @param {string} attachmentId - ID of the attachment
+     * @param {string} uploaderId - Socket ID of the uploader
+     * @param {number} index - Position of the chunk
+     * @param {Buffer} data - Encrypted chunk
+     * @returns {Object|null} Attachment entry, or null if the chunk doesn't belong to an upload of this user
+     */
+    addAttachmentChunk(attachmentId, uploaderId, index, data) {
+        const attachment = this.attachments.get(attachmentId);
+        if (!attachment || attachment.uploaderId !== uploaderId || attachment.messageId) return null;
+        if (!Number.isInteger(index) || index < 0 || index >= attachment.chunkCount) return null;
+
+        const chunkBytes = SecurityUtils.ATTACHMENT_LIMITS.CHUNK_BYTES;
+        const expectedBytes = index === attachment.chunkCount - 1 ? attachment.size - index * chunkBytes : chunkBytes;
+        if (!Buffer.isBuffer(data) || data.length !== expectedBytes) return null;
+
+        // Resent chunks replace the earlier copy
+        if (!attachment.chunks[index]) {
+            attachment.received++;
+        }
+        attachment.chunks[index] = data;
+        this.updateActivity();
+        return attachment;
+    }
+
+    /**
+     * Gets an attachment
+     * @param {string} attachmentId - ID of the attachment
+     * @returns {Object|null} Attachment entry or null if not found
+     */
+    getAttachment(attachmentId) {
+        if (typeof attachmentId !== 'string') return null;
+        return this.attachments.get(attachmentId) || null;
+    }
+
+    /**
+     * Checks if an upload can be sent with a message by this user
+     * @param {string} attachmentId - ID of the attachment
+     * @param {string} uploaderId - Socket ID of the sender
+     * @returns {boolean} True if the upload is complete, theirs and not sent yet
+     */
+    canSendAttachment(attachmentId, uploaderId) {
+        const attachment = this.getAttachment(attachmentId);
+        return Boolean(attachment && attachment.uploaderId === uploaderId && !attachment.messageId &&
+            attachment.received === attachment.chunkCount);
+    }
+
+    /**
+     * Counts a user's uploads that haven't been sent with a message yet
+     * @param {string} uploaderId - Socket ID of the uploader
+     * @returns {number} Number of pending uploads
+     */
+    countPendingAttachments(uploaderId) {
+        let pending = 0;
+        for (const attachment of this.attachments.values()) {
+            if (attachment.uploaderId === uploaderId && !attachment.messageId) {
+                pending++;
+            }
+        }
+        return pending;
+    }
+
+    /**
+     * Gets the part of an attachment that travels with its message
+     * @param {string} attachmentId - ID of the attachment
+     * @returns {Object|null} { id, size, chunkCount, meta, kind, duration } or null if not found
+     */
+    getAttachmentSummary(attachmentId) {
+        const attachment = this.getAttachment(attachmentId);
+        if (!attachment) return null;
+
+        const { id, size, chunkCount, meta, kind, duration } = attachment;
+        return { id, size, chunkCount, meta, kind, duration };
+    }
+
+    /**
+     * Ties an uploaded attachment to the message that carries it
+     * @param {string} attachmentId - ID of the attachment
+     * @param {string} messageId - ID of the message
+     */
+    linkAttachment(attachmentId, messageId) {
+        const attachment = this.getAttachment(attachmentId);
+        if (attachment) {
+            attachment.messageId = messageId;
+        }
+    }
+
+    /**
+     * Removes attachments and frees their share of the room's quota
+     * @param {string[]} attachmentIds - IDs of the attachments
+     * @returns {number} Bytes freed
+     */
+    removeAttachments(attachmentIds) {
+        let freedBytes = 0;
+        let freedVoiceBytes = 0;
+
+        for (const attachmentId of attachmentIds) {
+            const attachment = this.attachments.get(attachmentId);
+            if (!attachment) continue;
+
+            this.attachments.delete(attachmentId);
+            freedBytes += attachment.size;
+            if (attachment.kind === 'voice') {
+                freedVoiceBytes += attachment.size;
+            }
+        }
+
+        this.attachmentBytes = Math.max(0, this.attachmentBytes - freedBytes);
+        this.voiceNoteBytes = Math.max(0, this.voiceNoteBytes - freedVoiceBytes);
+        return freedBytes;
+    }
+
+    /**
+     * Drops attachments whose message has left the history (deleted, expired
+     * or truncated) unless it is still pinned
+     * @returns {string[]} IDs of the dropped attachments
+     */
+    releaseOrphanedAttachments() {
+        if (this.attachments.size === 0) return [];
+
+        const liveMessageIds = new Set(this.messages.map(msg => msg.id));
+        const orphaned = [];
+        for (const attachment of this.attachments.values()) {
+            if (attachment.messageId && !liveMessageIds.has(attachment.messageId) &&
+                !this.pinnedMessages.has(attachment.messageId)) {
+                orphaned.push(attachment.id);
+            }
+        }
+
+        this.removeAttachments(orphaned);
+        return orphaned;
+    }
+
+    /**
+     * Drops the oldest attachments until the room uses at most the given number of bytes
+     * @param {number} maxBytes - Bytes the room may keep
+     * @returns {string[]} IDs of the dropped attachments
+     */
+    evictAttachments(maxBytes) {
+        const evicted = [];
+        let remainingBytes = this.attachmentBytes;
+
+        // Map iteration follows insertion order, so the oldest uploads come first
+        for (const attachment of this.attachments.values()) {
+            if (remainingBytes <= maxBytes) break;
+            evicted.push(attachment.id);
+            remainingBytes -= attachment.size;
+        }
+
+        this.removeAttachments(evicted);
+        return evicted;
+    }
+
+    /**
+     * Gets the settings the owner can configure
+     * @returns {Object} Capacity, history length, expiry time, message TTL, slow mode, word filter (null if off) and lock
+     *  state, plus the server's clock so clients can correct the expiry time for their own
+     */
+    getSettings() {
+        return {
+            maxUsers: this.maxUsers,
+            maxMessages: this.maxMessages,
+            expiryTime: this.expiryTime,
+            messageTtl: this.messageTtl,
+            slowMode: this.slowMode,
+            contentFilter: this.contentFilter,
+            locked: this.locked,
+            serverTime: Date.now()
+        };
+    }
+
+    /**
+     * Applies settings already validated against the server-side bounds
+     * @param {Object} settings - maxUsers, maxMessages, expiryMinutes, messageTtl, slowMode and/or contentFilter (null turns them off)
+     * @returns {Object} Updated settings
+     */
+    updateSettings({ maxUsers, maxMessages, expiryMinutes, messageTtl, slowMode, contentFilter }) {
+        if (maxUsers !== undefined) {
+            this.maxUsers = maxUsers;
+        }
+
+        if (maxMessages !== undefined) {
+            this.maxMessages = maxMessages;
+
+            // A shorter history applies right away
+            this.truncateMessages(this.maxMessages);
+        }
+
+        if (expiryMinutes !== undefined) {
+            this.expiryTime = expiryMinutes ? Date.now() + expiryMinutes * 60000 : null;
+        }
+
+        if (messageTtl !== undefined) {
+            this.messageTtl = messageTtl;
+        }
+
+        if (slowMode !== undefined) {
+            this.slowMode = slowMode;
+        }
+
+        if (contentFilter !== undefined) {
+            this.contentFilter = contentFilter;
+        }
+
+        return this.getSettings();
+    }
+
+    /**
+     * Updates the room's read receipt settings. Disabling receipts forgets
+     * everything users have marked as read.
+     * @param {Object} settings - Settings (enabled, showNames)
+     * @returns {Object} Updated settings
+     */
+    setReadReceipts({ enabled, showNames }) {
+        this.readReceipts = {
+            enabled: Boolean(enabled),
+            showNames: Boolean(enabled && showNames)
+        };
+
+        if (!this.readReceipts.enabled) {
+            for (const user of this.users.values()) {
+                user.lastReadMessageId = null;
+            }
+        }
+
+        return this.readReceipts;
+    }
+
+    /**
+     * Records the last message a user has seen. Read positions only move forward.
+     * @param {string} userId - Socket ID of the reader
+     * @param {string} messageId - ID of the newest message they have seen
+     * @returns {boolean} True if the user's read position advanced
+     */
+    markRead(userId, messageId) {
+        if (!this.readReceipts.enabled) return false;
+
+        const user = this.getUser(userId);
+        if (!user) return false;
+
+        const index = this.messages.findIndex(msg => msg.id === messageId);
+        if (index === -1) return false;
+
+        const currentIndex = user.lastReadMessageId
+            ? this.messages.findIndex(msg => msg.id === user.lastReadMessageId)
+            : -1;
+        if (index <= currentIndex) return false;
+
+        user.lastReadMessageId = messageId;
+        return true;
+    }
+
+    /**
+     * Gets a member's read position as sent to the rest of the room. Readers are
+     * identified by a key derived from their username, so a reconnect doesn't
+     * count them twice; their name is only included when the room allows it.
+     * @param {User} user - Reader
+     * @returns {Object|null} { reader, messageId, name? } or null if they haven't read anything
+     */
+    getReadPosition(user) {
+        if (!this.readReceipts.enabled || !user || !user.lastReadMessageId) return null;
+
+        const position = {
+            reader: crypto.createHmac('sha256', this.readerKeySecret)
+                .update(user.username.toLowerCase())
+                .digest('hex')
+                .substring(0, 16),
+            messageId: user.lastReadMessageId
+        };
+        if (this.readReceipts.showNames) {
+            position.name = user.username;
+        }
+
+        return position;
+    }
+
+    /**
+     * Gets the read positions one member is shown: everyone's but their own,
+     * since receipts only appear on their own messages
+     * @param {string} userId - Socket ID of the member
+     * @returns {Array} Read positions (see getReadPosition)
+     */
+    getReadPositions(userId) {
+        const positions = [];
+        for (const user of this.users.values()) {
+            if (user.id === userId) continue;
+
+            const position = this.getReadPosition(user);
+            if (position) positions.push(position);
+        }
+        return positions;
+    }
+
+    /**
+     * Removes a message from the room's history
+     * @param {string} messageId - ID of the message to remove
+     * @returns {Message|null} Removed message or null if not found
+     */
+    removeMessage(messageId) {
+        const index = this.messages.findIndex(msg => msg.id === messageId);
+        if (index === -1) return null;
+
+        const [removed] = this.messages.splice(index, 1);
+        this.pinnedMessages.delete(messageId);
+        this.releaseOrphanedAttachments();
+        this.updateActivity();
+        return removed;
+    }
+
     /**
      * Truncates message history to reduce memory usage while preserving 
      * recent messages and system announcements
@@ -285,6 +1081,7 @@ class Room {
             // Keep the most recent messages plus important system messages
             const recentMessages = this.messages.slice(-effectiveKeepCount);
             this.messages = [...importantSystemMessages, ...recentMessages];
+            this.releaseOrphanedAttachments();
 
             // Update truncation stats
             this.memoryStats.truncationCount++;
@@ -294,6 +1091,31 @@ class Room {
         return truncateCount;
     }
 
+    /**
+     * Removes messages older than the room's message TTL
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {string[]} IDs of the removed messages
+     */
+    pruneExpiredMessages(now = Date.now()) {
+        if (!this.messageTtl) return [];
+
+        const cutoff = now - this.messageTtl * 1000;
+        const expired = this.messages.filter(msg => msg.timestamp <= cutoff);
+        if (expired.length === 0) return [];
+
+        this.messages = this.messages.filter(msg => msg.timestamp > cutoff);
+
+        // Unlike truncation, the TTL applies to pinned messages as well
+        expired.forEach(msg => this.pinnedMessages.delete(msg.id));
+        this.releaseOrphanedAttachments();
+
+        // Same bookkeeping as truncateMessages
+        this.memoryStats.truncationCount++;
+        this.memoryStats.lastTruncation = now;
+
+        return expired.map(msg => msg.id);
+    }
+
     /**
      * Checks if a user is the room owner
      * @param {string} userId - User ID to check
@@ -303,6 +1125,14 @@ class Room {
         return this.owner && this.owner.id === userId;
     }
 
+    /**
+     * Checks if joining requires a password
+     * @returns {boolean} True if the room is password protected
+     */
+    hasPassword() {
+        return Boolean(this.passwordHash);
+    }
+
     /**
      * Updates the room's activity timestamp
      * @returns {number} New timestamp
@@ -331,13 +1161,37 @@ class Room {
     }
 
     /**
-     * Gets the most recent messages, limited to a specified amount
+     * Gets the most recent messages, limited to a specified amount.
+     * View-once messages are never part of the history.
      * @param {number} limit - Maximum number of messages to return
      * @returns {Array} Limited messages array
      */
     getRecentMessages(limit = 50) {
         const safeLimit = Math.min(limit, this.maxMessages);
-        return this.messages.slice(-safeLimit);
+        return this.messages.filter(msg => !msg.viewOnce).slice(-safeLimit);
+    }
+
+    /**
+     * Gets messages added after a known message, used to replay history
+     * a reconnecting client missed
+     * @param {string|null} lastMessageId - ID of the last message the client saw
+     * @param {number} since - Fallback timestamp if the message ID is unknown
+     * @param {number} limit - Maximum number of messages to return
+     * @returns {Array} Messages newer than the reference point
+     */
+    getMessagesSince(lastMessageId, since = 0, limit = 50) {
+        let missed;
+
+        const index = lastMessageId ?
+            this.messages.findIndex(msg => msg.id === lastMessageId) : -1;
+
+        if (index !== -1) {
+            missed = this.messages.slice(index + 1);
+        } else {
+            missed = this.messages.filter(msg => msg.timestamp >= since);
+        }
+
+        return missed.slice(-Math.min(limit, this.maxMessages));
     }
 
     /**
@@ -356,7 +1210,8 @@ class Room {
             createdAt: this.createdAt,
             lastActivity: this.lastActivity,
             ownerId: this.owner ? this.owner.id : null,
-            encryptionEnabled: this.encryptionEnabled
+            encryptionEnabled: this.encryptionEnabled,
+            hasPassword: this.hasPassword()
         };
 
         // Only include recent messages if specifically requested
@@ -398,14 +1253,48 @@ class Room {
             return total + msgSize;
         }, 0);
 
-        // Add banned users set memory
-        const bannedUsersMemory = this.bannedUsers.size * 10;
+        // Add reaction memory estimation (~50 bytes per emoji entry + ~40 bytes per reacting user)
+        const reactionsMemory = this.messages.reduce((total, msg) => {
+            if (!msg.reactions) return total;
+            for (const users of msg.reactions.values()) {
+                total += 50 + users.size * 40;
+            }
+            return total;
+        }, 0);
+
+        // Add pinned messages, counted in full since they may have left the history
+        let pinnedMemory = 0;
+        for (const { message } of this.pinnedMessages.values()) {
+            pinnedMemory += 150 + (message.text ? message.text.length * 2 : 0);
+        }
+
+        // Add attachments (reserved bytes plus ~200 bytes of bookkeeping each)
+        const attachmentsMemory = this.attachmentBytes + this.attachments.size * 200;
+
+        // Voice notes are part of the attachments, broken out since they have their own quota
+        const voiceNotesMemory = this.voiceNoteBytes;
+
+        // Add ban list memory (~100 bytes per entry)
+        const bannedUsersMemory = this.bannedUsers.size * 100;
+
+        // Add remembered mutes (~100 bytes each)
+        const mutesMemory = this.activeMutes.size * 100;
+
+        // Add pending join requests (a parked user plus ~100 bytes of request data)
+        const joinRequestsMemory = this.joinRequests.size * 350;
 
         return {
-            total: memoryUsage + usersMemory + messagesMemory + bannedUsersMemory,
+            total: memoryUsage + usersMemory + messagesMemory + reactionsMemory + pinnedMemory + attachmentsMemory +
+                bannedUsersMemory + mutesMemory + joinRequestsMemory,
             users: usersMemory,
             messages: messagesMemory,
+            reactions: reactionsMemory,
+            pinned: pinnedMemory,
+            attachments: attachmentsMemory,
+            voiceNotes: voiceNotesMemory,
             banned: bannedUsersMemory,
+            mutes: mutesMemory,
+            joinRequests: joinRequestsMemory,
             base: memoryUsage
         };
     }
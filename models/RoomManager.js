@@ -34,7 +34,12 @@ class RoomManager {
                 parseInt(process.env.MEMORY_MONITORING_INTERVAL) : 60000), // 1 minute
             memoryWarningThreshold: options.memoryWarningThreshold || (process.env.MEMORY_WARNING_THRESHOLD ?
                 parseInt(process.env.MEMORY_WARNING_THRESHOLD) : 1024), // 1GB in MB
-            encryptionEnabled: options.encryptionEnabled || (process.env.SERVER_ENCRYPTION_ENABLED === 'true') // Server-side encryption
+            encryptionEnabled: options.encryptionEnabled || (process.env.SERVER_ENCRYPTION_ENABLED === 'true'), // Server-side encryption
+            expiryWarningOffsets: options.expiryWarningOffsets || (process.env.ROOM_EXPIRY_WARNINGS ?
+                process.env.ROOM_EXPIRY_WARNINGS.split(',').map(v => parseInt(v)).filter(v => v > 0) :
+                [600000, 60000, 10000]), // Warn 10 minutes, 1 minute and 10 seconds before a room self-destructs
+            messagePruneInterval: options.messagePruneInterval || (process.env.MESSAGE_PRUNE_INTERVAL ?
+                parseInt(process.env.MESSAGE_PRUNE_INTERVAL) : 1000) // How often rooms with a message TTL are pruned
         };
 
         // Track room creation by IP hash for rate limiting
@@ -109,12 +114,24 @@ class RoomManager {
                 maxUsers: options.maxUsers || 50,
                 maxMessages: options.maxMessages || 200,
                 isPrivate: options.isPrivate || false,
-                encryptionEnabled: encryptionEnabled
+                expiryTime: options.expiryMinutes ? Date.now() + options.expiryMinutes * 60000 : null,
+                messageTtl: options.messageTtl || null,
+                slowMode: options.slowMode || null,
+                contentFilter: options.contentFilter || null,
+                encryptionEnabled: encryptionEnabled,
+                passwordHash: options.passwordHash || null
             };
 
             const room = new Room(roomCode, owner, roomOptions);
             this.rooms.set(roomCode, room);
 
+            if (room.expiryTime) {
+                this.scheduleRoomExpiry(roomCode);
+            }
+            if (room.messageTtl) {
+                this.scheduleMessagePruning(roomCode);
+            }
+
             // Track room creation for this IP
             this.incrementRoomCounter(ipHash);
 
@@ -233,6 +250,9 @@ class RoomManager {
                 return null;
             }
 
+            // A mute given before they left still applies
+            this.restoreMute(room, user);
+
             // Update memory stats
             this.memoryStats.userCount += 1;
 
@@ -276,6 +296,9 @@ class RoomManager {
                     wasOwner
                 };
 
+                // The mute itself is remembered by the room; its timer is set again if they rejoin
+                this.clearRoomTimers('unmute', roomCode, userData.username);
+
                 // Update memory stats
                 this.memoryStats.userCount = Math.max(0, this.memoryStats.userCount - 1);
 
@@ -313,7 +336,8 @@ class RoomManager {
                     roomCode,
                     userData,
                     room,
-                    newOwnerId
+                    newOwnerId,
+                    consumedMessageIds: result.consumedMessageIds
                 };
             }
 
@@ -324,42 +348,76 @@ class RoomManager {
         }
     }
 
+    /**
+     * Rebinds a user who reconnected within the grace window to their new socket
+     * @param {string} roomCode - Code of the room the user is in
+     * @param {string} oldUserId - Socket ID of the dropped connection
+     * @param {string} newUserId - Socket ID of the new connection
+     * @param {string} ip - IP address of the new connection
+     * @returns {User|null} The resumed user or null if the seat no longer exists
+     */
+    resumeUser(roomCode, oldUserId, newUserId, ip) {
+        try {
+            const room = this.getRoom(roomCode);
+            if (!room) return null;
+
+            const user = room.rebindUser(oldUserId, newUserId);
+            if (!user) return null;
+
+            // The network may have changed (e.g. Wi-Fi to mobile data)
+            if (ip && ip !== user.ip) {
+                user.ip = ip;
+                user.ipHash = user.hashIdentifier(ip);
+            }
+
+            // Emit event for monitoring
+            this.emit('userResumed', {
+                roomCode: room.code,
+                userHash: this.hashIdentifier(newUserId)
+            });
+
+            this.logger.info(`User ${user.username} (${this.hashIdentifier(newUserId)}) resumed session in room: ${room.code}`);
+            return user;
+        } catch (error) {
+            this.logger.error(`Error resuming user ${this.hashIdentifier(oldUserId)}: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * Kicks a user from a room with optional ban
      * @param {string} roomCode - Room code
-     * @param {string} requesterId - ID of the user requesting the kick (must be owner)
+     * @param {string} requesterId - ID of the user requesting the kick (must outrank the target)
      * @param {string} targetUsername - Username of user to kick
      * @param {boolean} ban - Whether to ban the user from rejoining
+     * @param {number} [banDurationMs] - How long the ban lasts
      * @returns {Object|null} Kicked user info or null if failed
      * @throws {Error} If kicking fails for a critical reason
      */
-    kickUser(roomCode, requesterId, targetUsername, ban = false) {
+    kickUser(roomCode, requesterId, targetUsername, ban = false, banDurationMs = SecurityUtils.MODERATION_LIMITS.DEFAULT_BAN_MINUTES * 60 * 1000) {
         try {
             const room = this.getRoom(roomCode);
             if (!room) return null;
 
-            // Check if requester is room owner
-            if (!room.isOwner(requesterId)) {
-                return null;
-            }
-
             // Find target user by username
             const targetUser = room.getUserByUsername(targetUsername);
             if (!targetUser) return null;
 
-            // Prevent kicking yourself
-            if (targetUser.id === requesterId) {
+            // Requester must be allowed to kick and outrank the target (which also prevents kicking yourself)
+            if (!room.canModerate(requesterId, targetUser.id, 'kickUsers')) {
                 return null;
             }
 
-            // Ban user if requested
-            if (ban && targetUser.ipHash) {
-                room.banUser(targetUser);
+            // Ban user if requested (only the owner may ban)
+            if (ban) {
+                if (!room.can(requesterId, 'banUsers')) return null;
+                this.banUser(roomCode, targetUser, banDurationMs);
             }
 
             // Remove user
             const result = room.removeUser(targetUser.id);
             if (!result) return null;
+            this.clearRoomTimers('unmute', roomCode, targetUser.username);
 
             // Update memory stats
             this.memoryStats.userCount = Math.max(0, this.memoryStats.userCount - 1);
@@ -379,7 +437,8 @@ class RoomManager {
             return {
                 userId: targetUser.id,
                 username: targetUser.username,
-                banned: ban
+                banned: ban,
+                consumedMessageIds: result.consumedMessageIds
             };
         } catch (error) {
             this.logger.error(`Error kicking user ${targetUsername}: ${error.message}`);
@@ -427,6 +486,11 @@ class RoomManager {
             const user = room.getUser(userId);
             if (!user) return null;
 
+            if (options.replyTo && !room.canReplyTo(options.replyTo)) {
+                this.logger.warn(`Reply target not found in room ${roomCode}`);
+                return null;
+            }
+
             // Generate a unique message ID that includes sender ID for traceability
             const messageId = `${userId}-${crypto.randomUUID()}`;
 
@@ -438,7 +502,9 @@ class RoomManager {
                 {
                     isEncrypted: options.isEncrypted || false,
                     roomKey: room.serverEncryptionKey,
-                    encryptionMeta: options.encryptionMeta
+                    encryptionMeta: options.encryptionMeta,
+                    authorId: userId,
+                    replyTo: options.replyTo
                 }
             );
 
@@ -470,6 +536,726 @@ class RoomManager {
         }
     }
 
+    /**
+     * Replaces the content of a message. Only the author may edit a message.
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the requester
+     * @param {string} messageId - ID of the message to edit
+     * @param {string} text - New message content (an encrypted payload for client-encrypted messages)
+     * @param {Object} options - Additional options (isEncrypted, encryptionMeta)
+     * @returns {Message|null} The edited message or null if not found or not permitted
+     */
+    editMessage(roomCode, userId, messageId, text, options = {}) {
+        try {
+            const room = this.getRoom(roomCode);
+            if (!room || !room.getUser(userId)) return null;
+
+            // View-once messages can't be edited, or recipients would see new content
+            const message = room.getMessage(messageId);
+            if (!message || message.isSystem || message.viewOnce || !message.isAuthoredBy(userId)) {
+                return null;
+            }
+
+            message.edit(text, {
+                isEncrypted: options.isEncrypted || false,
+                roomKey: room.serverEncryptionKey,
+                encryptionMeta: options.encryptionMeta
+            });
+            room.updateActivity();
+
+            // Emit event for monitoring (don't log message content)
+            this.emit('messageEdited', {
+                roomCode,
+                userHash: this.hashIdentifier(userId)
+            });
+
+            return message;
+        } catch (error) {
+            this.logger.warn(`Failed to edit message in room ${roomCode}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Removes a message from a room. The author or a moderator who outranks them may delete a message.
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the requester
+     * @param {string} messageId - ID of the message to delete
+     * @returns {Message|null} The removed message or null if not found or not permitted
+     */
+    deleteMessage(roomCode, userId, messageId) {
+        try {
+            const room = this.getRoom(roomCode);
+            if (!room || !room.getUser(userId)) return null;
+
+            const message = room.getMessage(messageId);
+            if (!message || message.isSystem) return null;
+
+            if (!message.isAuthoredBy(userId) && !room.canModerate(userId, message.authorId, 'deleteAnyMessage')) {
+                return null;
+            }
+
+            room.removeMessage(messageId);
+
+            // Update memory stats
+            this.memoryStats.messageCount = Math.max(0, this.memoryStats.messageCount - 1);
+
+            // Emit event for monitoring
+            this.emit('messageDeleted', {
+                roomCode,
+                userHash: this.hashIdentifier(userId),
+                byModerator: !message.isAuthoredBy(userId)
+            });
+
+            return message;
+        } catch (error) {
+            this.logger.warn(`Failed to delete message in room ${roomCode}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Toggles a user's reaction on a message
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the reacting user
+     * @param {string} messageId - ID of the message
+     * @param {string} emoji - Reaction from Message.ALLOWED_REACTIONS
+     * @returns {Object|null} { message, added } or null if not permitted
+     */
+    toggleReaction(roomCode, userId, messageId, emoji) {
+        try {
+            const room = this.getRoom(roomCode);
+            if (!room) return null;
+
+            const user = room.getUser(userId);
+            if (!user) return null;
+
+            const message = room.getMessage(messageId);
+            if (!message || message.isSystem) return null;
+
+            const added = message.toggleReaction(emoji, userId);
+
+            user.updateActivity();
+            room.updateActivity();
+
+            // Emit event for monitoring
+            this.emit('reactionToggled', {
+                roomCode,
+                userHash: this.hashIdentifier(userId),
+                added
+            });
+
+            return { message, added };
+        } catch (error) {
+            this.logger.warn(`Failed to toggle reaction in room ${roomCode}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Pins or unpins a message. Only the owner and moderators may do this.
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the requester
+     * @param {string} messageId - ID of the message
+     * @param {boolean} pinned - Whether to pin or unpin the message
+     * @returns {Object|null} { pin, message } with the announcement, or null if nothing changed
+     */
+    setMessagePinned(roomCode, userId, messageId, pinned) {
+        const room = this.getRoom(roomCode);
+        if (!room || !room.can(userId, 'pinMessages')) return null;
+
+        const user = room.getUser(userId);
+        const pin = pinned ? room.pinMessage(messageId, user.username) : room.unpinMessage(messageId);
+        if (!pin) return null;
+
+        const message = this.addSystemMessage(roomCode, pinned ?
+            `${user.username} pinned a message from ${pin.message.username}.` :
+            `${user.username} unpinned a message from ${pin.message.username}.`);
+
+        // Emit event for monitoring
+        this.emit('messagePinned', {
+            roomCode: room.code,
+            userHash: this.hashIdentifier(userId),
+            pinned,
+            pinnedCount: room.pinnedMessages.size
+        });
+
+        return { pin, message };
+    }
+
+    /**
+     * Reserves room quota for an encrypted attachment upload. Uploads that
+     * aren't sent with a message in time are dropped.
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the uploader
+     * @param {number} size - Size of the encrypted file in bytes
+     * @param {string} meta - Encrypted file name and type
+     * @param {number|null} [duration] - Length in seconds if the attachment is a voice note
+     * @returns {Object|null} Attachment entry or null if the room is gone
+     */
+    startAttachment(roomCode, userId, size, meta, duration = null) {
+        const room = this.getRoom(roomCode);
+        if (!room || !room.getUser(userId)) return null;
+
+        const attachment = room.startAttachment(userId, size, meta, duration);
+
+        const code = room.code;
+        const key = `attachment:${code}:${attachment.id}`;
+        this.timeouts.set(key, setTimeout(() => {
+            this.timeouts.delete(key);
+            const current = this.getRoom(code);
+            const pending = current ? current.getAttachment(attachment.id) : null;
+            if (pending && !pending.messageId) {
+                current.removeAttachments([attachment.id]);
+                this.logger.info(`Unsent attachment dropped in room ${code}`);
+            }
+        }, SecurityUtils.TIMEOUTS.ATTACHMENT_UPLOAD));
+
+        // Emit event for monitoring
+        this.emit('attachmentStarted', {
+            roomCode: code,
+            userHash: this.hashIdentifier(userId),
+            size,
+            kind: attachment.kind,
+            roomBytes: room.attachmentBytes
+        });
+
+        return attachment;
+    }
+
+    /**
+     * Ties a completed upload to the message that carries it, so it stays
+     * for as long as the message does
+     * @param {string} roomCode - Code of the room
+     * @param {string} attachmentId - ID of the attachment
+     * @param {string} messageId - ID of the message
+     */
+    claimAttachment(roomCode, attachmentId, messageId) {
+        const room = this.getRoom(roomCode);
+        if (!room) return;
+
+        room.linkAttachment(attachmentId, messageId);
+        this.clearRoomTimers('attachment', room.code, attachmentId);
+    }
+
+    /**
+     * Gets the bytes reserved by attachments across all rooms
+     * @returns {number} Total attachment bytes
+     */
+    getAttachmentBytes() {
+        let total = 0;
+        for (const room of this.rooms.values()) {
+            total += room.attachmentBytes;
+        }
+        return total;
+    }
+
+    /**
+     * Gets the bytes reserved by voice notes across all rooms
+     * @returns {number} Total voice note bytes
+     */
+    getVoiceNoteBytes() {
+        let total = 0;
+        for (const room of this.rooms.values()) {
+            total += room.voiceNoteBytes;
+        }
+        return total;
+    }
+
+    /**
+     * Drops the oldest attachments in every room to free memory
+     * @param {number} percentToKeep - Percentage of each room's attachment bytes to keep
+     * @returns {number} Bytes freed
+     */
+    evictAttachments(percentToKeep = 50) {
+        let freedBytes = 0;
+
+        for (const room of this.rooms.values()) {
+            if (room.attachments.size === 0) continue;
+
+            const before = room.attachmentBytes;
+            const evicted = room.evictAttachments(Math.floor(before * percentToKeep / 100));
+            if (evicted.length === 0) continue;
+
+            evicted.forEach(attachmentId => this.clearRoomTimers('attachment', room.code, attachmentId));
+            freedBytes += before - room.attachmentBytes;
+
+            // Emit event for monitoring
+            this.emit('attachmentsEvicted', {
+                roomCode: room.code,
+                count: evicted.length,
+                bytes: before - room.attachmentBytes
+            });
+        }
+
+        if (freedBytes > 0) {
+            this.logger.info(`Evicted ${Math.round(freedBytes / 1024)} KB of attachments`);
+        }
+
+        return freedBytes;
+    }
+
+    /**
+     * Changes a room's read receipt settings. Only the room owner may do this.
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the requester
+     * @param {Object} settings - Settings (enabled, showNames)
+     * @returns {Object|null} Updated settings or null if not permitted
+     */
+    setReadReceipts(roomCode, userId, settings) {
+        const room = this.getRoom(roomCode);
+        if (!room || !room.isOwner(userId)) return null;
+
+        const updated = room.setReadReceipts(settings || {});
+        room.updateActivity();
+
+        this.emit('readReceiptsChanged', {
+            roomCode,
+            enabled: updated.enabled,
+            showNames: updated.showNames
+        });
+
+        return updated;
+    }
+
+    /**
+     * Changes a room's settings (owner only)
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the user making the change
+     * @param {Object} settings - Validated settings (maxUsers, maxMessages, expiryMinutes, messageTtl, slowMode, contentFilter)
+     * @returns {Object|null} Updated settings or null if not allowed
+     */
+    updateRoomSettings(roomCode, userId, settings) {
+        const room = this.getRoom(roomCode);
+        if (!room || !room.isOwner(userId)) return null;
+
+        const messageCount = room.messages.length;
+        const updated = room.updateSettings(settings);
+        room.updateActivity();
+
+        // A lower history limit drops messages right away
+        this.memoryStats.messageCount = Math.max(0, this.memoryStats.messageCount - (messageCount - room.messages.length));
+
+        if (settings.expiryMinutes !== undefined) {
+            this.scheduleRoomExpiry(roomCode);
+        }
+        if (settings.messageTtl !== undefined) {
+            this.scheduleMessagePruning(roomCode);
+        }
+
+        this.emit('roomSettingsChanged', {
+            roomCode,
+            maxUsers: updated.maxUsers,
+            maxMessages: updated.maxMessages,
+            expiryTime: updated.expiryTime,
+            messageTtl: updated.messageTtl,
+            slowMode: updated.slowMode,
+            contentFilter: Boolean(updated.contentFilter)
+        });
+
+        return updated;
+    }
+
+    /**
+     * Records that a user has seen messages up to the given one
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the reader
+     * @param {string} messageId - ID of the newest message seen
+     * @returns {boolean} True if the read position advanced
+     */
+    markMessageRead(roomCode, userId, messageId) {
+        const room = this.getRoom(roomCode);
+        if (!room) return false;
+
+        return room.markRead(userId, messageId);
+    }
+
+    /**
+     * Changes a member's role and announces it in the room
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the member
+     * @param {string} role - New role ('moderator' or 'member')
+     * @returns {Object|null} { user, message } with the announcement, or null if not found
+     */
+    setUserRole(roomCode, userId, role) {
+        const room = this.getRoom(roomCode);
+        if (!room) return null;
+
+        const user = room.getUser(userId);
+        if (!user || room.isOwner(userId)) return null;
+
+        user.setRole(role);
+        room.forgetMute(user.ipHash);
+        room.updateActivity();
+
+        const message = this.addSystemMessage(roomCode, role === 'moderator' ?
+            `${user.username} is now a moderator.` :
+            `${user.username} is no longer a moderator.`);
+
+        // Emit event for monitoring
+        this.emit('userRoleChanged', {
+            roomCode,
+            userHash: this.hashIdentifier(userId),
+            role
+        });
+
+        return { user, message };
+    }
+
+    /**
+     * Mutes a member, optionally lifting the mute automatically after a while
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the member
+     * @param {number|null} durationMs - How long the mute lasts, or null until unmuted
+     * @returns {Object|null} { user, message } with the announcement, or null if not found
+     */
+    muteUser(roomCode, userId, durationMs = null) {
+        const room = this.getRoom(roomCode);
+        if (!room) return null;
+
+        const user = room.getUser(userId);
+        if (!user || room.isOwner(userId)) return null;
+
+        // A new mute replaces any earlier one
+        this.clearRoomTimers('unmute', room.code, user.username);
+        user.mute(durationMs ? Date.now() + durationMs : null);
+        room.rememberMute(user);
+        this.scheduleUnmute(room, user);
+
+        const message = this.addSystemMessage(roomCode, durationMs ?
+            `${user.username} was muted for ${this.formatDuration(durationMs)}.` :
+            `${user.username} was muted.`);
+
+        // Emitted for monitoring and so listeners can update the room's clients
+        this.emit('userMuted', {
+            roomCode: room.code,
+            userHash: this.hashIdentifier(userId),
+            mutedUntil: user.mutedUntil,
+            message
+        });
+
+        return { user, message };
+    }
+
+    /**
+     * Lifts a member's mute, by hand or when its timer runs out
+     * @param {string} roomCode - Code of the room
+     * @param {string} username - Username of the muted member
+     * @returns {Object|null} { user, message } with the announcement, or null if not muted
+     */
+    unmuteUser(roomCode, username) {
+        const room = this.getRoom(roomCode);
+        if (!room) return null;
+
+        this.clearRoomTimers('unmute', room.code, username);
+
+        const user = room.getUserByUsername(username);
+        if (!user) return null;
+
+        room.forgetMute(user.ipHash);
+        if (!user.unmute()) return null;
+
+        const message = this.addSystemMessage(roomCode, `${user.username} is no longer muted.`);
+
+        // Emitted for monitoring and so listeners can update the room's clients
+        this.emit('userUnmuted', {
+            roomCode: room.code,
+            userHash: this.hashIdentifier(user.id),
+            message
+        });
+
+        return { user, message };
+    }
+
+    /**
+     * Mutes a joining user again if the room remembers a mute for their IP hash
+     * @param {Room} room - Room they joined
+     * @param {User} user - Joining user
+     * @private
+     */
+    restoreMute(room, user) {
+        const mute = room.getActiveMute(user);
+        if (!mute) return;
+
+        user.mute(mute.mutedUntil);
+        // Record their current name with the mute
+        room.rememberMute(user);
+        this.scheduleUnmute(room, user);
+
+        this.logger.info(`Mute restored for ${this.hashIdentifier(user.id)} rejoining room: ${room.code}`);
+    }
+
+    /**
+     * Lifts a timed mute when it runs out
+     * @param {Room} room - Room of the member
+     * @param {User} user - Muted user
+     * @private
+     */
+    scheduleUnmute(room, user) {
+        if (!user.mutedUntil) return;
+
+        const code = room.code;
+        const username = user.username;
+        const key = `unmute:${code}:${username}`;
+        this.timeouts.set(key, setTimeout(() => {
+            this.timeouts.delete(key);
+            this.unmuteUser(code, username);
+        }, Math.max(0, user.mutedUntil - Date.now())));
+    }
+
+    /**
+     * Bans a member's IP hash from rejoining a room for a while
+     * @param {string} roomCode - Code of the room
+     * @param {User} user - User to ban
+     * @param {number} durationMs - How long the ban lasts
+     * @returns {Object|null} Ban entry (the existing one, extended if needed, when their IP hash is
+     *  already banned), or null if the room is gone
+     */
+    banUser(roomCode, user, durationMs) {
+        const room = this.getRoom(roomCode);
+        if (!room) return null;
+
+        const ban = room.banUser(user, durationMs);
+        if (!ban) return null;
+
+        // Re-arm the timer, since an existing ban may just have been extended
+        const code = room.code;
+        const key = `ban:${code}:${ban.id}`;
+        this.clearRoomTimers('ban', code, ban.id);
+        this.timeouts.set(key, setTimeout(() => {
+            this.timeouts.delete(key);
+            this.unbanUser(code, ban.id);
+        }, Math.max(0, ban.expiresAt - Date.now())));
+
+        // Emit event for monitoring
+        this.emit('userBanned', {
+            roomCode: code,
+            userHash: this.hashIdentifier(user.id),
+            expiresAt: ban.expiresAt
+        });
+
+        return ban;
+    }
+
+    /**
+     * Lifts a ban, by hand or when it runs out
+     * @param {string} roomCode - Code of the room
+     * @param {string} banId - ID of the ban entry
+     * @returns {Object|null} Removed ban entry or null if not found
+     */
+    unbanUser(roomCode, banId) {
+        const room = this.getRoom(roomCode);
+        if (!room) return null;
+
+        this.clearRoomTimers('ban', room.code, banId);
+
+        const ban = room.unbanUser(banId);
+        if (ban) {
+            // Emit event for monitoring
+            this.emit('userUnbanned', { roomCode: room.code });
+        }
+
+        return ban;
+    }
+
+    /**
+     * Locks or unlocks a room and announces it
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the requester (must be the owner)
+     * @param {boolean} locked - Whether new joiners need approval
+     * @returns {Object|null} { locked, message } or null if not allowed
+     */
+    setRoomLock(roomCode, userId, locked) {
+        const room = this.getRoom(roomCode);
+        if (!room || !room.isOwner(userId)) return null;
+
+        const isLocked = room.setLocked(locked);
+        room.updateActivity();
+
+        const message = this.addSystemMessage(roomCode, isLocked ?
+            'The room is now locked. New members need approval to join.' :
+            'The room is now unlocked.');
+
+        // Emit event for monitoring
+        this.emit('roomLockChanged', { roomCode, locked: isLocked });
+
+        return { locked: isLocked, message };
+    }
+
+    /**
+     * Parks a user who asked to join a locked room until a moderator answers
+     * or the request runs out
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the joining user
+     * @param {string} username - Username of the joining user
+     * @param {string} ip - IP address of the user
+     * @returns {Object|null} Join request or null if the user cannot wait for this room
+     */
+    requestJoin(roomCode, userId, username, ip) {
+        const room = this.getRoom(roomCode);
+        if (!room) return null;
+
+        const timeoutMs = SecurityUtils.TIMEOUTS.JOIN_REQUEST;
+        const request = room.addJoinRequest(new User(userId, username, ip), this.hashIdentifier(ip), timeoutMs);
+        if (!request) {
+            this.logger.warn(`Join request from ${this.hashIdentifier(userId)} for room ${room.code} was refused`);
+            return null;
+        }
+
+        const code = room.code;
+        const key = `join-request:${code}:${request.id}`;
+        this.timeouts.set(key, setTimeout(() => {
+            this.timeouts.delete(key);
+            this.closeJoinRequest(code, request.id, 'expired');
+        }, timeoutMs));
+
+        // Emit event for monitoring
+        this.emit('joinRequested', {
+            roomCode: code,
+            userHash: this.hashIdentifier(userId)
+        });
+
+        return request;
+    }
+
+    /**
+     * Counts the join requests still waiting for an answer from an IP address
+     * @param {string} ip - IP address
+     * @returns {number} Number of pending requests across all rooms
+     */
+    countJoinRequests(ip) {
+        const ipHash = this.hashIdentifier(ip);
+        let count = 0;
+
+        for (const room of this.rooms.values()) {
+            for (const request of room.joinRequests.values()) {
+                if (request.ipHash === ipHash) count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Lets a waiting user into the room
+     * @param {string} roomCode - Code of the room
+     * @param {string} requestId - ID of the join request
+     * @returns {Object|null} { request, admitted } or null if the request is gone;
+     *  admitted is false when the room filled up or the name was taken meanwhile
+     */
+    approveJoinRequest(roomCode, requestId) {
+        const room = this.getRoom(roomCode);
+        if (!room) return null;
+
+        const request = room.removeJoinRequest(requestId);
+        if (!request) return null;
+        this.clearRoomTimers('join-request', room.code, requestId);
+
+        const admitted = room.addUser(request.user);
+        if (admitted) {
+            this.restoreMute(room, request.user);
+
+            // Update memory stats
+            this.memoryStats.userCount += 1;
+
+            // Emit event for monitoring
+            this.emit('userJoined', {
+                roomCode: room.code,
+                userHash: this.hashIdentifier(request.user.id),
+                userCount: room.users.size
+            });
+        }
+
+        return { request, admitted };
+    }
+
+    /**
+     * Drops a join request without letting the user in
+     * @param {string} roomCode - Code of the room
+     * @param {string} requestId - ID of the join request
+     * @param {string} reason - 'denied', 'expired', 'cancelled' or 'closed'
+     * @returns {Object|null} Removed request or null if not found
+     */
+    closeJoinRequest(roomCode, requestId, reason) {
+        const room = this.getRoom(roomCode);
+        if (!room) return null;
+
+        const request = room.removeJoinRequest(requestId);
+        if (!request) return null;
+        this.clearRoomTimers('join-request', room.code, requestId);
+
+        // Emit so the waiting user and the moderators can be told
+        this.emit('joinRequestClosed', {
+            roomCode: room.code,
+            requestId,
+            userId: request.user.id,
+            username: request.user.username,
+            reason
+        });
+
+        return request;
+    }
+
+    /**
+     * Withdraws every join request made from a connection (e.g. on disconnect)
+     * @param {string} userId - Socket ID of the waiting user
+     * @returns {number} Number of requests withdrawn
+     */
+    cancelJoinRequests(userId) {
+        let count = 0;
+
+        for (const room of this.rooms.values()) {
+            for (const request of Array.from(room.joinRequests.values())) {
+                if (request.user.id === userId && this.closeJoinRequest(room.code, request.id, 'cancelled')) {
+                    count++;
+                }
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Cancels a room's pending automatic unmutes, unbans or join request expiries
+     * @param {string} type - Timer type ('unmute', 'ban' or 'join-request')
+     * @param {string} roomCode - Code of the room
+     * @param {string} [id] - Only cancel the timer for this username, ban ID or request ID
+     */
+    clearRoomTimers(type, roomCode, id = null) {
+        const prefix = `${type}:${roomCode.toUpperCase()}:`;
+
+        for (const [key, timeoutId] of this.timeouts.entries()) {
+            if (key.startsWith(prefix) && (id === null || key === prefix + id)) {
+                clearTimeout(timeoutId);
+                this.timeouts.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Records that a recipient opened a view-once message
+     * @param {string} roomCode - Code of the room
+     * @param {string} userId - Socket ID of the viewer
+     * @param {string} messageId - ID of the view-once message
+     * @returns {Object|null} { consumed } or null if the user was not a pending viewer
+     */
+    markMessageViewed(roomCode, userId, messageId) {
+        const room = this.getRoom(roomCode);
+        if (!room) return null;
+
+        const result = room.markViewed(userId, messageId);
+
+        if (result && result.consumed) {
+            // Emit event for monitoring
+            this.emit('viewOnceConsumed', {
+                roomCode,
+                userHash: this.hashIdentifier(userId)
+            });
+        }
+
+        return result;
+    }
+
     /**
      * Adds a system message to a room
      * @param {string} roomCode - Code of the room
@@ -519,12 +1305,13 @@ class RoomManager {
             if (!room) return false;
 
             // Add system message
-            this.addSystemMessage(roomCode, `NOTICE: ${reason || 'This room will be deleted soon.'}`);
+            const message = this.addSystemMessage(roomCode, `NOTICE: ${reason || 'This room will be deleted soon.'}`);
 
-            // Emit event
+            // Emit event (the message lets the socket layer show the notice to the room)
             this.emit('roomDeletionNotice', {
                 roomCode,
                 reason,
+                message,
                 timestamp: new Date().toISOString()
             });
 
@@ -550,6 +1337,21 @@ class RoomManager {
 
             const room = this.rooms.get(normalizedCode);
 
+            // A deleted room no longer needs its self-destruct, pruning, unmute or unban timers
+            this.clearRoomExpiry(normalizedCode);
+            this.stopMessagePruning(normalizedCode);
+            this.clearRoomTimers('unmute', normalizedCode);
+            this.clearRoomTimers('ban', normalizedCode);
+            this.clearRoomTimers('attachment', normalizedCode);
+
+            // Anyone still waiting to get in is turned away
+            for (const requestId of Array.from(room.joinRequests.keys())) {
+                this.closeJoinRequest(normalizedCode, requestId, 'closed');
+            }
+
+            // Attachments go with the room
+            const attachmentBytes = room.removeAttachments(Array.from(room.attachments.keys()));
+
             // Update memory stats
             this.memoryStats.roomCount = this.rooms.size - 1;
             this.memoryStats.userCount = Math.max(0, this.memoryStats.userCount - room.users.size);
@@ -559,7 +1361,8 @@ class RoomManager {
             this.emit('roomDeleted', {
                 roomCode: normalizedCode,
                 userCount: room.users.size,
-                messageCount: room.messages.length
+                messageCount: room.messages.length,
+                attachmentBytes
             });
 
             this.logger.info(`Room deleted: ${normalizedCode} (had ${room.users.size} users and ${room.messages.length} messages)`);
@@ -575,6 +1378,155 @@ class RoomManager {
         }
     }
 
+    /**
+     * Schedules a room's self-destruct and the warnings before it, replacing any earlier schedule
+     * @param {string} roomCode - Code of the room
+     */
+    scheduleRoomExpiry(roomCode) {
+        this.clearRoomExpiry(roomCode);
+
+        const room = this.getRoom(roomCode);
+        if (!room || !room.expiryTime) return;
+
+        const code = room.code;
+        const remaining = room.expiryTime - Date.now();
+
+        // Only warn at offsets that are still ahead of us
+        for (const offset of this.config.expiryWarningOffsets) {
+            if (offset >= remaining) continue;
+
+            const warningKey = `expiry-warning:${code}:${offset}`;
+            this.timeouts.set(warningKey, setTimeout(() => {
+                this.timeouts.delete(warningKey);
+                this.warnRoomExpiry(code);
+            }, remaining - offset));
+        }
+
+        const expiryKey = `expiry:${code}`;
+        this.timeouts.set(expiryKey, setTimeout(() => {
+            this.timeouts.delete(expiryKey);
+            this.expireRoom(code);
+        }, Math.max(0, remaining)));
+    }
+
+    /**
+     * Cancels a room's self-destruct and pending warnings
+     * @param {string} roomCode - Code of the room
+     */
+    clearRoomExpiry(roomCode) {
+        const code = roomCode.toUpperCase();
+
+        for (const [key, timeoutId] of this.timeouts.entries()) {
+            if (key === `expiry:${code}` || key.startsWith(`expiry-warning:${code}:`)) {
+                clearTimeout(timeoutId);
+                this.timeouts.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Warns a room's users that it is about to self-destruct
+     * @param {string} roomCode - Code of the room
+     * @private
+     */
+    warnRoomExpiry(roomCode) {
+        const room = this.getRoom(roomCode);
+        if (!room || !room.expiryTime) return;
+
+        const remaining = Math.max(0, room.expiryTime - Date.now());
+        this.notifyRoomDeletion(room.code, `This room will self-destruct in ${this.formatDuration(remaining)}.`);
+
+        this.emit('roomExpiringSoon', {
+            roomCode: room.code,
+            expiryTime: room.expiryTime,
+            remaining
+        });
+    }
+
+    /**
+     * Deletes a room whose self-destruct time has come
+     * @param {string} roomCode - Code of the room
+     * @returns {boolean} True if the room was deleted
+     * @private
+     */
+    expireRoom(roomCode) {
+        const room = this.getRoom(roomCode);
+        if (!room) return false;
+
+        // Emitted before deletion so listeners can still reach the room's users
+        this.emit('roomExpired', { roomCode: room.code, reason: 'expired' });
+        this.logger.info(`Room ${room.code} self-destructed`);
+
+        return this.deleteRoom(room.code);
+    }
+
+    /**
+     * Starts (or stops, if the TTL was removed) periodic pruning of a room's expired messages
+     * @param {string} roomCode - Code of the room
+     */
+    scheduleMessagePruning(roomCode) {
+        this.stopMessagePruning(roomCode);
+
+        const room = this.getRoom(roomCode);
+        if (!room || !room.messageTtl) return;
+
+        const code = room.code;
+        const intervalId = setInterval(() => this.pruneExpiredMessages(code), this.config.messagePruneInterval);
+        this.timeouts.set(`message-ttl-interval:${code}`, intervalId);
+    }
+
+    /**
+     * Stops pruning a room's messages
+     * @param {string} roomCode - Code of the room
+     */
+    stopMessagePruning(roomCode) {
+        const key = `message-ttl-interval:${roomCode.toUpperCase()}`;
+        if (this.timeouts.has(key)) {
+            clearInterval(this.timeouts.get(key));
+            this.timeouts.delete(key);
+        }
+    }
+
+    /**
+     * Removes a room's messages that outlived its message TTL
+     * @param {string} roomCode - Code of the room
+     * @returns {string[]} IDs of the removed messages
+     * @private
+     */
+    pruneExpiredMessages(roomCode) {
+        const room = this.getRoom(roomCode);
+        if (!room) {
+            this.stopMessagePruning(roomCode);
+            return [];
+        }
+
+        const messageIds = room.pruneExpiredMessages();
+        if (messageIds.length > 0) {
+            this.memoryStats.messageCount = Math.max(0, this.memoryStats.messageCount - messageIds.length);
+
+            this.emit('messagesExpired', {
+                roomCode: room.code,
+                messageIds
+            });
+        }
+
+        return messageIds;
+    }
+
+    /**
+     * Formats a duration for user-facing notices
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} E.g. "10 minutes" or "1 second"
+     * @private
+     */
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        const [value, unit] = seconds >= 3600 ? [Math.round(seconds / 3600), 'hour'] :
+            seconds >= 60 ? [Math.round(seconds / 60), 'minute'] : [seconds, 'second'];
+
+        return `${value} ${unit}${value === 1 ? '' : 's'}`;
+    }
+
     /**
      * Checks if a user is the owner of a room
      * @param {string} roomCode - Code of the room
@@ -647,6 +1599,8 @@ class RoomManager {
             roomCount: this.rooms.size,
             userCount: totalUsers,
             messageCount: totalMessages,
+            attachmentBytes: this.getAttachmentBytes(),
+            voiceNoteBytes: this.getVoiceNoteBytes(),
             oldestRoom: this.getOldestRoomAge(),
             memoryUsageMB: this.memoryStats.memoryUsage,
             uptime: process.uptime()
@@ -703,7 +1657,7 @@ class RoomManager {
                         deletedCount++;
 
                         // Emit event for monitoring
-                        this.emit('roomExpired', { roomCode });
+                        this.emit('roomExpired', { roomCode, reason: 'inactive' });
 
                         this.logger.info(`Room ${roomCode} deleted due to inactivity (${Math.round((now - room.lastActivity) / 3600000)} hours)`);
                     }
@@ -988,6 +1942,9 @@ class RoomManager {
         try {
             this.logger.warn('Low memory detected, performing emergency cleanup');
 
+            // Attachments are the largest objects we hold, so they go first
+            this.evictAttachments(0);
+
             // First, delete all empty rooms
             let totalDeleted = 0;
             const emptyRooms = [];
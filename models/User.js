@@ -5,6 +5,21 @@ const SecurityUtils = require('../utils/SecurityUtils');
 const crypto = require('crypto');
 
 class User {
+    /**
+     * Roles a user can hold in a room, mapped to the actions they allow
+     */
+    static ROLE_CAPABILITIES = Object.freeze({
+      owner: ['sendMessages', 'bypassSlowMode', 'bypassContentFilter', 'deleteAnyMessage', 'pinMessages', 'kickUsers', 'muteUsers', 'approveJoins', 'banUsers', 'manageRoles'],
+      moderator: ['sendMessages', 'bypassSlowMode', 'bypassContentFilter', 'deleteAnyMessage', 'pinMessages', 'kickUsers', 'muteUsers', 'approveJoins'],
+      member: ['sendMessages'],
+      muted: []
+    });
+
+    /**
+     * Rank of each role; moderation actions only apply to lower-ranked users
+     */
+    static ROLE_RANKS = Object.freeze({ owner: 3, moderator: 2, member: 1, muted: 1 });
+
     /**
      * Creates a new user with enhanced security validation
      * @param {string} id - Unique identifier (socket ID), not logged
@@ -30,6 +45,16 @@ class User {
       this.messageCount = 0;
       this.lastMessageTime = 0;
       
+      // Last message this user has seen, only set when they opt in to read receipts
+      this.lastReadMessageId = null;
+      
+      // Role in the room (see ROLE_CAPABILITIES); the room sets 'owner' on its owner
+      this.role = 'member';
+      
+      // While muted: the role to restore and when the mute ends (null until unmuted)
+      this.roleBeforeMute = null;
+      this.mutedUntil = null;
+      
       // Security tokens
       this.sessionToken = null;
       this.csrfToken = null;
@@ -107,6 +132,71 @@ class User {
       return Date.now() - this.lastActivity > timeoutMs;
     }
     
+    /**
+     * Changes the user's role
+     * @param {string} role - Key of ROLE_CAPABILITIES
+     * @throws {Error} If the role is unknown
+     */
+    setRole(role) {
+      if (!Object.prototype.hasOwnProperty.call(User.ROLE_CAPABILITIES, role)) {
+        throw new Error(`Unknown role: ${role}`);
+      }
+      this.role = role;
+      this.roleBeforeMute = null;
+      this.mutedUntil = null;
+    }
+    
+    /**
+     * Mutes the user, remembering their role so it can be restored
+     * @param {number|null} until - When the mute ends, or null until unmuted
+     */
+    mute(until = null) {
+      if (this.role !== 'muted') {
+        this.roleBeforeMute = this.role;
+        this.role = 'muted';
+      }
+      this.mutedUntil = until;
+    }
+    
+    /**
+     * Lifts a mute and restores the previous role
+     * @returns {boolean} True if the user was muted
+     */
+    unmute() {
+      if (this.role !== 'muted') return false;
+      
+      this.setRole(this.roleBeforeMute || 'member');
+      return true;
+    }
+    
+    /**
+     * Gets the rank used for moderation checks. Muting takes away capabilities
+     * but not rank, so a muted moderator is still out of reach of other moderators.
+     * @returns {number} Rank from ROLE_RANKS
+     */
+    getRank() {
+      const role = this.role === 'muted' ? (this.roleBeforeMute || 'member') : this.role;
+      return User.ROLE_RANKS[role];
+    }
+    
+    /**
+     * Checks if the user's role allows an action
+     * @param {string} capability - Capability from ROLE_CAPABILITIES
+     * @returns {boolean} True if allowed
+     */
+    can(capability) {
+      return User.ROLE_CAPABILITIES[this.role].includes(capability);
+    }
+    
+    /**
+     * Checks if the user ranks above another user
+     * @param {User} other - User to compare with
+     * @returns {boolean} True if this user's role ranks higher
+     */
+    outranks(other) {
+      return this.getRank() > other.getRank();
+    }
+    
     /**
      * Sets security tokens for the user session
      * @param {string} sessionToken - Authentication token
@@ -125,7 +215,8 @@ class User {
     toJSON() {
       return {
         username: this.username,
-        joinedAt: this.joinedAt
+        joinedAt: this.joinedAt,
+        role: this.role
       };
     }
     
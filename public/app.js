@@ -20,27 +20,83 @@ const leaveConfirmModal = document.getElementById('leave-confirm-modal');
 const tosModal = document.getElementById('tos-modal');
 const commandModal = document.getElementById('command-help-modal');
 const settingsModal = document.getElementById('settings-modal');
+const roomSettingsModal = document.getElementById('room-settings-modal');
 
 const usernameInput = document.getElementById('username-input');
 const continueBtn = document.getElementById('continue-btn');
 const createRoomBtn = document.getElementById('create-room-btn');
 const joinRoomBtn = document.getElementById('join-room-btn');
 const roomCodeInput = document.getElementById('room-code-input');
+const roomPasswordInput = document.getElementById('room-password-input');
+const createMaxUsersInput = document.getElementById('create-max-users');
+const createMaxMessagesInput = document.getElementById('create-max-messages');
+const createExpirySelect = document.getElementById('create-expiry-select');
+const createTtlSelect = document.getElementById('create-ttl-select');
+const joinPasswordModal = document.getElementById('join-password-modal');
+const joinPasswordInput = document.getElementById('join-password-input');
 const roomCodeDisplay = document.getElementById('room-code-display');
+const roomExpiryCountdown = document.getElementById('room-expiry-countdown');
+const roomExpiryCountdownText = document.getElementById('room-expiry-countdown-text');
 const copyRoomCodeBtn = document.getElementById('copy-room-code');
 const showUsersBtn = document.getElementById('show-users-btn');
 const leaveRoomBtn = document.getElementById('leave-room-btn');
 const deleteRoomBtn = document.getElementById('delete-room-btn');
+const readReceiptsSelect = document.getElementById('read-receipts-select');
+const roomLockToggle = document.getElementById('room-lock-toggle');
 const settingsBtn = document.getElementById('settings-btn');
+const roomSettingsBtn = document.getElementById('room-settings-btn');
+const roomSettingsForm = document.getElementById('room-settings-form');
+const roomMaxUsersInput = document.getElementById('room-max-users');
+const roomMaxMessagesInput = document.getElementById('room-max-messages');
+const roomExpirySelect = document.getElementById('room-expiry-select');
+const roomTtlSelect = document.getElementById('room-ttl-select');
+const roomSlowModeSelect = document.getElementById('room-slow-mode-select');
+const roomFilterTermsInput = document.getElementById('room-filter-terms');
+const roomFilterPatternsInput = document.getElementById('room-filter-patterns');
+const roomFilterLinksToggle = document.getElementById('room-filter-links');
+const roomFilterCapsSelect = document.getElementById('room-filter-caps');
+const roomFilterActionSelect = document.getElementById('room-filter-action');
+const saveRoomSettingsBtn = document.getElementById('save-room-settings-btn');
 const messageForm = document.getElementById('message-form');
 const messageInput = document.getElementById('message-input');
 const messagesContainer = document.getElementById('messages');
+const replyBanner = document.getElementById('reply-banner');
+const replyBannerText = document.getElementById('reply-banner-text');
+const cancelReplyBtn = document.getElementById('cancel-reply-btn');
+const pinnedBar = document.getElementById('pinned-bar');
+const pinnedList = document.getElementById('pinned-list');
+const viewOnceBtn = document.getElementById('view-once-btn');
+const attachmentInput = document.getElementById('attachment-input');
+const uploadBanner = document.getElementById('upload-banner');
+const mentionSuggestionsList = document.getElementById('mention-suggestions');
+const voiceBtn = document.getElementById('voice-btn');
+const cancelRecordingBtn = document.getElementById('cancel-recording-btn');
+const typingIndicator = document.getElementById('typing-indicator');
 const userList = document.getElementById('user-list');
 const tosLink = document.getElementById('tos-link');
 
+// Reactions accepted by the server (must match Message.ALLOWED_REACTIONS)
+const REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
 // Debug event listeners
 socket.on('connect', () => {
     console.log('Connected to server with ID:', socket.id);
+
+    // Reclaim our seat if we were in a room before the connection dropped
+    if (state.currentRoom && state.sessionToken) {
+        socket.emit('resumeSession', {
+            roomCode: state.currentRoom,
+            sessionToken: state.sessionToken,
+            lastMessageId: state.lastMessageId
+        });
+    }
+});
+
+socket.on('disconnect', (reason) => {
+    // An explicit client-side disconnect is not a transient network failure
+    if (state.currentRoom && reason !== 'io client disconnect') {
+        showToast('Connection lost. Reconnecting...', 'error');
+    }
 });
 
 socket.on('connect_error', (error) => {
@@ -56,6 +112,39 @@ const state = {
     users: [],
     csrfToken: null,
     sessionToken: null,
+    // Last message seen, used to replay missed messages after a reconnect
+    lastMessageId: null,
+    // ID of the own message currently being edited, if any
+    editingMessageId: null,
+    // ID of the message the next outgoing message replies to, if any
+    replyingTo: null,
+    // Decrypted author and text by message ID, used for reply previews
+    messageCache: new Map(),
+    // Reactions added by this user, by message ID
+    myReactions: new Map(),
+    // Usernames of other room members currently typing
+    typingUsers: new Set(),
+    // Room read receipt settings (set by the owner) and the other members' read positions by reader key
+    readReceipts: { enabled: false, showNames: false },
+    readPositions: new Map(),
+    // Outgoing messages waiting for the server, by client nonce
+    pendingMessages: new Map(),
+    // Whether the next message is sent as view once
+    viewOnce: false,
+    // Capacity, history length and expiry set by the room owner
+    roomSettings: null,
+    // Server clock minus ours in ms, so server times can be compared with Date.now()
+    clockOffset: 0,
+    // Role of each member (owner, moderator, member, muted) by username
+    roles: {},
+    // Pinned messages (decrypted), oldest pin first
+    pinnedMessages: [],
+    // Largest encrypted attachment the server accepts, in bytes
+    attachmentSizeLimit: 5 * 1024 * 1024,
+    // Longest and largest voice note the server accepts
+    voiceNoteLimits: { maxSeconds: 120, maxBytes: 1024 * 1024 },
+    // Object URLs of decrypted attachments by attachment ID (promises while downloading)
+    attachmentUrls: new Map(),
     // Encryption related state
     encryptionEnabled: true,
     encryptionKey: null,
@@ -195,6 +284,47 @@ const encryptionUtils = {
         }
     },
 
+    /**
+     * Encrypt binary data such as an attached file
+     * @param {ArrayBuffer} data - Data to encrypt
+     * @param {CryptoKey} key - Encryption key
+     * @returns {Promise<Object>} { iv, data } with the base64 IV and the encrypted bytes
+     */
+    async encryptData(data, key) {
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const encrypted = await window.crypto.subtle.encrypt(
+            {
+                name: state.keyAlgorithm,
+                iv: iv
+            },
+            key,
+            data
+        );
+
+        return {
+            iv: this._arrayBufferToBase64(iv),
+            data: encrypted
+        };
+    },
+
+    /**
+     * Decrypt binary data encrypted with encryptData
+     * @param {ArrayBuffer} data - Encrypted bytes
+     * @param {string} iv - Base64 IV used for encryption
+     * @param {CryptoKey} key - Decryption key
+     * @returns {Promise<ArrayBuffer>} Decrypted bytes (rejects if the data was tampered with)
+     */
+    async decryptData(data, iv, key) {
+        return window.crypto.subtle.decrypt(
+            {
+                name: state.keyAlgorithm,
+                iv: this._base64ToArrayBuffer(iv)
+            },
+            key,
+            data
+        );
+    },
+
     /**
      * Helper function to convert ArrayBuffer to Base64 string
      * @param {ArrayBuffer} buffer - The buffer to convert
@@ -304,6 +434,13 @@ document.addEventListener('DOMContentLoaded', () => {
         if (e.key === 'Enter') handleJoinRoom();
     });
 
+    // Room password prompt
+    document.getElementById('join-password-submit').addEventListener('click', submitJoinPassword);
+    document.getElementById('join-password-cancel').addEventListener('click', () => toggleModal(joinPasswordModal, false));
+    joinPasswordInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') submitJoinPassword();
+    });
+
     // Chat room screen
     copyRoomCodeBtn.addEventListener('click', handleCopyRoomCode);
     showUsersBtn.addEventListener('click', handleShowUsers);
@@ -313,14 +450,22 @@ document.addEventListener('DOMContentLoaded', () => {
     // Settings button
     settingsBtn.addEventListener('click', () => toggleModal(settingsModal, true));
 
+    // Room settings panel
+    roomSettingsBtn.addEventListener('click', () => {
+        renderRoomSettings();
+        toggleModal(roomSettingsModal, true);
+    });
+    saveRoomSettingsBtn.addEventListener('click', handleSaveRoomSettings);
+
     // Configure leave room confirmation buttons
     document.getElementById('leave-confirm-modal').querySelector('.primary-btn')
         .addEventListener('click', confirmLeaveRoom);
     document.getElementById('leave-confirm-modal').querySelector('.danger-btn')
         .addEventListener('click', () => toggleLeaveModal(false));
 
-    // Create kick modal
+    // Create kick and mute modals
     createKickConfirmModal();
+    createMuteModal();
 
     // TOS Link
     tosLink.addEventListener('click', (e) => {
@@ -354,6 +499,68 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize message form
     messageForm.addEventListener('submit', handleMessageSubmit);
 
+    // @mention autocomplete (registered first so it can take Enter, Tab and Escape)
+    messageInput.addEventListener('keydown', handleMentionKeydown);
+    messageInput.addEventListener('input', updateMentionSuggestions);
+    messageInput.addEventListener('blur', () => setTimeout(hideMentionSuggestions, 150));
+
+    // Escape leaves message edit or reply mode
+    messageInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && state.editingMessageId) {
+            cancelEditMessage();
+        } else if (e.key === 'Escape' && state.replyingTo) {
+            cancelReply();
+        }
+    });
+
+    cancelReplyBtn.addEventListener('click', cancelReply);
+    document.getElementById('attach-btn').addEventListener('click', () => attachmentInput.click());
+    attachmentInput.addEventListener('change', () => {
+        const file = attachmentInput.files[0];
+        attachmentInput.value = '';
+        if (file) {
+            sendAttachment(file);
+        }
+    });
+    voiceBtn.addEventListener('click', toggleVoiceRecording);
+    cancelRecordingBtn.addEventListener('click', () => stopVoiceRecording(false));
+    document.getElementById('pinned-bar-toggle').addEventListener('click', togglePinnedList);
+    viewOnceBtn.addEventListener('click', () => setViewOnce(!state.viewOnce));
+
+    // Read receipts
+    readReceiptsSelect.addEventListener('change', handleReadReceiptsChange);
+
+    // Room lock
+    roomLockToggle.addEventListener('change', handleRoomLockChange);
+    window.addEventListener('focus', markMessagesRead);
+    document.addEventListener('visibilitychange', markMessagesRead);
+
+    // Unread badge clears once the chat is looked at again
+    window.addEventListener('focus', () => notificationService.clearUnread());
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && document.hasFocus()) {
+            notificationService.clearUnread();
+        }
+    });
+
+    // Typing indicators
+    messageInput.addEventListener('input', handleTypingInput);
+    messageInput.addEventListener('blur', stopTyping);
+    if (window.settingsManager) {
+        window.settingsManager.addObserver((settings) => {
+            if (!settings.showTypingIndicators) {
+                stopTyping();
+            }
+            renderTypingIndicator();
+            markMessagesRead();
+            rerenderMessageTexts();
+            notificationService.applySettings(settings);
+        });
+
+        // Only ask for permission when notifications are turned on, not for a saved choice
+        notificationService.notificationsWereEnabled = window.settingsManager.getSettings().notifications;
+    }
+
     // Check if Web Crypto API is available
     if (!window.crypto || !window.crypto.subtle) {
         showToast('Your browser doesn\'t support encryption. Please use a modern browser.', 'error');
@@ -409,11 +616,22 @@ async function handleCreateRoom() {
         // Generate a room code and encryption key
         const { roomCode, key, cryptoKey } = await encryptionUtils.generateSecureRoomCode();
 
+        // Optional password required from everyone who joins
+        const password = roomPasswordInput.value;
+        if (password && password.length < 4) {
+            showToast('Room password must be at least 4 characters', 'error');
+            return;
+        }
+
+        const settings = readRoomSettingsForm(createMaxUsersInput, createMaxMessagesInput, createExpirySelect, createTtlSelect);
+        if (!settings) return;
+
         // Store the encryption key in state
         state.encryptionKey = cryptoKey;
 
         // Create the room
-        socket.emit('createRoom', state.username);
+        socket.emit('createRoom', { username: state.username, password: password || undefined, settings });
+        roomPasswordInput.value = '';
         showToast('Creating encrypted room...', 'info');
     } catch (error) {
         console.error('Failed to create room:', error);
@@ -421,6 +639,238 @@ async function handleCreateRoom() {
     }
 }
 
+/**
+ * Reads and checks room settings from a set of form controls
+ * @param {HTMLInputElement} maxUsersInput - Capacity input
+ * @param {HTMLInputElement} maxMessagesInput - History length input
+ * @param {HTMLSelectElement} expirySelect - Self-destruct select ('keep', 'never' or minutes)
+ * @param {HTMLSelectElement} ttlSelect - Disappearing messages select ('off' or seconds)
+ * @returns {Object|null} Settings for the server, or null if a value is invalid
+ */
+function readRoomSettingsForm(maxUsersInput, maxMessagesInput, expirySelect, ttlSelect) {
+    const maxUsers = Number(maxUsersInput.value);
+    const maxMessages = Number(maxMessagesInput.value);
+
+    if (!Number.isInteger(maxUsers) || maxUsers < Number(maxUsersInput.min) || maxUsers > Number(maxUsersInput.max)) {
+        showToast(`Capacity must be between ${maxUsersInput.min} and ${maxUsersInput.max} users`, 'error');
+        return null;
+    }
+
+    if (!Number.isInteger(maxMessages) || maxMessages < Number(maxMessagesInput.min) || maxMessages > Number(maxMessagesInput.max)) {
+        showToast(`History length must be between ${maxMessagesInput.min} and ${maxMessagesInput.max} messages`, 'error');
+        return null;
+    }
+
+    const settings = { maxUsers, maxMessages };
+    if (expirySelect.value === 'never') {
+        settings.expiryMinutes = null;
+    } else if (expirySelect.value !== 'keep') {
+        settings.expiryMinutes = Number(expirySelect.value);
+    }
+
+    // An empty value means the current TTL isn't one of the options, so leave it unchanged
+    if (ttlSelect.value === 'off') {
+        settings.messageTtl = null;
+    } else if (ttlSelect.value) {
+        settings.messageTtl = Number(ttlSelect.value);
+    }
+
+    return settings;
+}
+
+/**
+ * Stores room settings received from the server and refreshes the panel
+ * @param {Object} settings - Room settings (maxUsers, maxMessages, expiryTime, messageTtl, slowMode, contentFilter, locked, serverTime)
+ */
+function applyRoomSettings(settings) {
+    if (!settings) return;
+
+    if (settings.serverTime) {
+        state.clockOffset = settings.serverTime - Date.now();
+    }
+    state.roomSettings = settings;
+    renderRoomSettings();
+    updateExpiryCountdown();
+    expireMessages();
+    trimMessageCache();
+}
+
+// Self-destruct countdown in the chat header
+let expiryCountdownInterval = null;
+
+/**
+ * Starts, refreshes or hides the self-destruct countdown for the current room
+ */
+function updateExpiryCountdown() {
+    const expiryTime = state.roomSettings ? state.roomSettings.expiryTime : null;
+
+    if (!expiryTime) {
+        if (expiryCountdownInterval) clearInterval(expiryCountdownInterval);
+        expiryCountdownInterval = null;
+        roomExpiryCountdown.classList.add('hidden');
+        return;
+    }
+
+    roomExpiryCountdown.classList.remove('hidden');
+    renderExpiryCountdown();
+
+    if (!expiryCountdownInterval) {
+        expiryCountdownInterval = setInterval(renderExpiryCountdown, 1000);
+    }
+}
+
+/**
+ * Renders the time left until the room self-destructs (h:mm:ss or m:ss)
+ */
+function renderExpiryCountdown() {
+    if (!state.roomSettings || !state.roomSettings.expiryTime) return;
+
+    const totalSeconds = Math.max(0, Math.ceil((state.roomSettings.expiryTime - state.clockOffset - Date.now()) / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    roomExpiryCountdownText.textContent = hours > 0 ?
+        `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` :
+        `${minutes}:${seconds}`;
+    roomExpiryCountdown.classList.toggle('expiring-soon', totalSeconds <= 60);
+}
+
+// The warning itself arrives as a system message; this keeps the countdown in step with the server
+socket.on('roomExpiringSoon', ({ expiryTime, remaining }) => {
+    if (!state.roomSettings) return;
+
+    state.clockOffset = expiryTime - remaining - Date.now();
+    state.roomSettings.expiryTime = expiryTime;
+    updateExpiryCountdown();
+});
+
+/**
+ * Shows the current room settings; only the owner gets the editable form
+ */
+function renderRoomSettings() {
+    const settings = state.roomSettings;
+    if (!settings) return;
+
+    document.getElementById('room-occupancy-display').textContent = `${state.users.length} / ${settings.maxUsers} users`;
+    document.getElementById('room-history-display').textContent = `Last ${settings.maxMessages} messages`;
+    document.getElementById('room-ttl-display').textContent = settings.messageTtl ?
+        `After ${formatDuration(settings.messageTtl)}` : 'Off';
+    document.getElementById('room-slow-mode-display').textContent = settings.slowMode ?
+        `One message every ${formatDuration(settings.slowMode)}` : 'Off';
+    document.getElementById('room-filter-display').textContent = settings.contentFilter ?
+        FILTER_ACTION_LABELS[settings.contentFilter.action] : 'Off';
+    document.getElementById('room-expiry-display').textContent = settings.expiryTime ?
+        new Date(settings.expiryTime - state.clockOffset).toLocaleString() : 'Never';
+    document.getElementById('room-access-display').textContent = settings.locked ?
+        'Locked (approval required)' : 'Open';
+    roomLockToggle.checked = Boolean(settings.locked);
+
+    roomSettingsForm.classList.toggle('hidden', !state.isRoomOwner);
+    saveRoomSettingsBtn.classList.toggle('hidden', !state.isRoomOwner);
+
+    roomMaxUsersInput.value = settings.maxUsers;
+    roomMaxMessagesInput.value = settings.maxMessages;
+    roomExpirySelect.value = 'keep';
+    roomTtlSelect.value = settings.messageTtl ? String(settings.messageTtl) : 'off';
+    roomSlowModeSelect.value = settings.slowMode ? String(settings.slowMode) : 'off';
+
+    const filter = settings.contentFilter;
+    roomFilterTermsInput.value = filter ? filter.blockedTerms.join(', ') : '';
+    roomFilterPatternsInput.value = filter ? filter.patterns.join('\n') : '';
+    roomFilterLinksToggle.checked = Boolean(filter && filter.blockLinks);
+    roomFilterCapsSelect.value = filter && filter.maxCapsRatio ? String(filter.maxCapsRatio) : 'off';
+    roomFilterActionSelect.value = filter ? filter.action : 'reject';
+}
+
+// How the room settings panel describes each word filter action
+const FILTER_ACTION_LABELS = {
+    reject: 'On (matching messages are rejected)',
+    mask: 'On (matches are masked)',
+    mute: 'On (senders of matching messages are muted)'
+};
+
+/**
+ * Reads the word filter from the room settings form
+ * @returns {Object|null|undefined} Filter for the server, null if it has no rules, or undefined if a pattern is refused
+ */
+function readContentFilterForm() {
+    const blockedTerms = roomFilterTermsInput.value.split(',').map(term => term.trim()).filter(Boolean);
+    const patterns = roomFilterPatternsInput.value.split('\n').map(pattern => pattern.trim()).filter(Boolean);
+    const blockLinks = roomFilterLinksToggle.checked;
+    const maxCapsRatio = roomFilterCapsSelect.value === 'off' ? null : Number(roomFilterCapsSelect.value);
+
+    // Same check as the server, so the owner learns which pattern is the problem
+    const unsafePattern = patterns.find(pattern => !ContentFilter.isSafeRegex(pattern));
+    if (unsafePattern !== undefined) {
+        showToast(`The filter pattern "${truncateText(unsafePattern, 40)}" is invalid or could make the filter too slow`, 'error');
+        return undefined;
+    }
+
+    if (blockedTerms.length === 0 && patterns.length === 0 && !blockLinks && !maxCapsRatio) {
+        return null;
+    }
+
+    return { blockedTerms, patterns, blockLinks, maxCapsRatio, action: roomFilterActionSelect.value };
+}
+
+/**
+ * Gets the word filter that applies to a member's messages
+ * @param {string} username - Author of the message
+ * @returns {Object|null} Room word filter, or null if off or the author's role is exempt
+ */
+function getContentFilterFor(username) {
+    const filter = state.roomSettings ? state.roomSettings.contentFilter : null;
+    const role = getUserRole(username);
+    return filter && role !== 'owner' && role !== 'moderator' ? filter : null;
+}
+
+/**
+ * Formats a duration for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} E.g. "5 minutes"
+ */
+function formatDuration(seconds) {
+    const [value, unit] = seconds >= 3600 ? [Math.round(seconds / 3600), 'hour'] :
+        seconds >= 60 ? [Math.round(seconds / 60), 'minute'] : [seconds, 'second'];
+
+    return `${value} ${unit}${value === 1 ? '' : 's'}`;
+}
+
+/**
+ * Sends the owner's room settings changes to the server
+ */
+function handleSaveRoomSettings() {
+    if (!state.currentRoom || !state.isRoomOwner) return;
+
+    const settings = readRoomSettingsForm(roomMaxUsersInput, roomMaxMessagesInput, roomExpirySelect, roomTtlSelect);
+    if (!settings) return;
+
+    // As with the TTL, an empty value leaves a slow mode that isn't one of the options unchanged
+    if (roomSlowModeSelect.value === 'off') {
+        settings.slowMode = null;
+    } else if (roomSlowModeSelect.value) {
+        settings.slowMode = Number(roomSlowModeSelect.value);
+    }
+    settings.contentFilter = readContentFilterForm();
+    if (settings.contentFilter === undefined) return;
+
+    socket.emit('updateRoomSettings', {
+        roomCode: state.currentRoom,
+        settings,
+        csrfToken: state.csrfToken
+    });
+    toggleModal(roomSettingsModal, false);
+}
+
+socket.on('roomSettingsUpdated', ({ settings }) => {
+    applyRoomSettings(settings);
+
+    if (!state.isRoomOwner) {
+        showToast('Room settings were updated', 'info');
+    }
+});
+
 async function handleJoinRoom() {
     const roomCodeInput = document.getElementById('room-code-input');
     const inputValue = roomCodeInput.value.trim();
@@ -452,6 +902,7 @@ async function handleJoinRoom() {
         }
 
         // Join the room
+        pendingJoinRoomCode = roomCode;
         socket.emit('joinRoom', { roomCode, username: state.username });
     } catch (error) {
         console.error('Failed to join room:', error);
@@ -459,6 +910,55 @@ async function handleJoinRoom() {
     }
 }
 
+// Room code of the last join attempt, reused when the server asks for a password
+let pendingJoinRoomCode = null;
+
+/**
+ * Asks for the room password after the server rejected a join without one
+ * @param {string} message - Prompt shown to the user
+ */
+function promptForRoomPassword(message) {
+    if (!pendingJoinRoomCode) return;
+
+    showToast(message, 'info');
+    joinPasswordInput.value = '';
+    toggleModal(joinPasswordModal, true);
+    joinPasswordInput.focus();
+}
+
+/**
+ * Retries the pending join with the entered password
+ */
+function submitJoinPassword() {
+    const password = joinPasswordInput.value;
+    if (!password) {
+        showToast('Please enter the room password', 'error');
+        return;
+    }
+
+    toggleModal(joinPasswordModal, false);
+    joinPasswordInput.value = '';
+
+    socket.emit('joinRoom', { roomCode: pendingJoinRoomCode, username: state.username, password });
+}
+
+// Why a request to join a locked room did not get us in
+const JOIN_DENIED_MESSAGES = {
+    denied: 'Your request to join the room was declined',
+    expired: 'Nobody answered your request to join. Please try again later.',
+    closed: 'The room was closed',
+    unavailable: 'The room is full or your username is already taken'
+};
+
+socket.on('joinPending', () => {
+    showToast('This room is locked. Waiting for the owner or a moderator to let you in...', 'info');
+});
+
+socket.on('joinDenied', ({ reason }) => {
+    pendingJoinRoomCode = null;
+    showToast(JOIN_DENIED_MESSAGES[reason] || 'Could not join the room', 'error');
+});
+
 async function handleCopyRoomCode() {
     if (!state.currentRoom) {
         showToast('No room code to copy', 'error');
@@ -490,6 +990,7 @@ async function handleCopyRoomCode() {
 
 function handleShowUsers() {
     updateUsersList();
+    requestBanList();
     toggleModal(usersModal, true);
 }
 
@@ -518,6 +1019,28 @@ function leaveRoom() {
         state.sessionToken = null;
         state.csrfToken = null;
         state.encryptionKey = null;
+        state.lastMessageId = null;
+        state.editingMessageId = null;
+        state.messageCache.clear();
+        state.myReactions.clear();
+        state.typingUsers.clear();
+        state.readReceipts = { enabled: false, showNames: false };
+        state.readPositions.clear();
+        lastReadSent = null;
+        state.pendingMessages.clear();
+        state.roomSettings = null;
+        state.roles = {};
+        state.pinnedMessages = [];
+        stopVoiceRecording(false);
+        revokeAttachmentUrls();
+        notificationService.clearUnread();
+        renderPinnedBar();
+        dismissJoinRequestToasts();
+        stopSendCountdown();
+        updateExpiryCountdown();
+        expireMessages();
+        renderTypingIndicator();
+        cancelReply();
 
         // Clear chat history
         messagesContainer.innerHTML = '';
@@ -544,10 +1067,442 @@ function handleDeleteRoom() {
     }
 }
 
+// Typing indicator handling
+const TYPING_REFRESH_INTERVAL = 2000; // Resend typingStart while typing so the server doesn't expire it
+const TYPING_IDLE_TIMEOUT = 3000; // Send typingStop after this long without input
+let lastTypingSent = 0;
+let typingIdleTimeout = null;
+
+/**
+ * Checks if typing indicators are enabled in settings
+ * @returns {boolean} True if enabled
+ */
+function typingIndicatorsEnabled() {
+    if (!window.settingsManager) return true;
+    return window.settingsManager.getSettings().showTypingIndicators;
+}
+
+/**
+ * Notifies the room that we are typing, throttled client-side
+ */
+function handleTypingInput() {
+    const text = messageInput.value.trim();
+
+    // Commands and cleared inputs aren't composing a message
+    if (!state.currentRoom || !typingIndicatorsEnabled() || text === '' || text.startsWith('/')) {
+        stopTyping();
+        return;
+    }
+
+    const now = Date.now();
+    if (now - lastTypingSent > TYPING_REFRESH_INTERVAL) {
+        socket.emit('typingStart', { roomCode: state.currentRoom });
+        lastTypingSent = now;
+    }
+
+    if (typingIdleTimeout) clearTimeout(typingIdleTimeout);
+    typingIdleTimeout = setTimeout(stopTyping, TYPING_IDLE_TIMEOUT);
+}
+
+/**
+ * Tells the room we stopped typing, if we had said we were
+ */
+function stopTyping() {
+    if (typingIdleTimeout) {
+        clearTimeout(typingIdleTimeout);
+        typingIdleTimeout = null;
+    }
+
+    if (lastTypingSent === 0) return;
+    lastTypingSent = 0;
+
+    if (state.currentRoom) {
+        socket.emit('typingStop', { roomCode: state.currentRoom });
+    }
+}
+
+/**
+ * Shows who else is typing below the message list
+ */
+function renderTypingIndicator() {
+    if (!typingIndicator) return;
+
+    const names = Array.from(state.typingUsers);
+    if (names.length === 0 || !typingIndicatorsEnabled()) {
+        typingIndicator.classList.add('hidden');
+        typingIndicator.textContent = '';
+        return;
+    }
+
+    if (names.length === 1) {
+        typingIndicator.textContent = `${names[0]} is typing…`;
+    } else if (names.length === 2) {
+        typingIndicator.textContent = `${names[0]} and ${names[1]} are typing…`;
+    } else {
+        typingIndicator.textContent = 'Several people are typing…';
+    }
+    typingIndicator.classList.remove('hidden');
+}
+
+socket.on('userTyping', ({ username, isTyping }) => {
+    if (!username || username === state.username) return;
+
+    if (isTyping) {
+        state.typingUsers.add(username);
+    } else {
+        state.typingUsers.delete(username);
+    }
+    renderTypingIndicator();
+});
+
+// Read receipt handling
+let lastReadSent = null;
+let readRetryTimeout = null;
+
+/**
+ * Tells the server which message we have read up to. Only sent when the
+ * room has receipts enabled, the user opted in and the chat is in view.
+ */
+function markMessagesRead() {
+    if (!state.currentRoom || !state.readReceipts.enabled || !state.lastMessageId) return;
+    if (state.lastMessageId === lastReadSent || readRetryTimeout) return;
+    if (document.visibilityState !== 'visible' || !document.hasFocus()) return;
+    if (!window.settingsManager || !window.settingsManager.getSettings().sendReadReceipts) return;
+
+    const messageId = state.lastMessageId;
+    socket.emit('markRead', { roomCode: state.currentRoom, messageId }, (response) => {
+        if (response && response.ok) {
+            lastReadSent = messageId;
+            return;
+        }
+
+        // Throttled: report our latest position once the window has passed
+        const error = response && response.error;
+        if (error && error.code === 'RATE_LIMITED' && !readRetryTimeout) {
+            readRetryTimeout = setTimeout(() => {
+                readRetryTimeout = null;
+                markMessagesRead();
+            }, Math.max(1, error.retryAfter) * 1000);
+        }
+    });
+}
+
+/**
+ * Applies read receipt settings and the other members' read positions received from the server
+ * @param {Object} readReceipts - Room settings (enabled, showNames)
+ * @param {Array} readPositions - Read positions ({ reader, messageId, name? }), replacing the ones we have
+ */
+function applyReadReceipts(readReceipts, readPositions) {
+    if (readReceipts) {
+        state.readReceipts = readReceipts;
+        readReceiptsSelect.value = !readReceipts.enabled ? 'off' : (readReceipts.showNames ? 'names' : 'counts');
+    }
+
+    state.readPositions.clear();
+    (readPositions || []).forEach(position => state.readPositions.set(position.reader, position));
+
+    renderReadReceipts();
+    markMessagesRead();
+}
+
+/**
+ * Updates the delivery state under all of our own messages
+ */
+function renderReadReceipts() {
+    const order = getMessageOrder();
+    messagesContainer.querySelectorAll('li.self-message[data-message-id]').forEach(li => renderReadReceipt(li, order));
+}
+
+/**
+ * Gets where each message sits in the chat, to compare read positions against
+ * @returns {Map} Index in the chat by message ID
+ */
+function getMessageOrder() {
+    const order = new Map();
+    messagesContainer.querySelectorAll('li[data-message-id]').forEach((li, index) => order.set(li.dataset.messageId, index));
+    return order;
+}
+
+/**
+ * Shows the delivery state under one of our own messages: everyone whose
+ * read position is at or past it has seen it
+ * @param {HTMLElement} li - Message list item
+ * @param {Map} [order] - Index in the chat by message ID (see getMessageOrder)
+ */
+function renderReadReceipt(li, order = getMessageOrder()) {
+    const receiptElement = li.querySelector('.read-receipt');
+    if (!receiptElement) return;
+
+    if (!state.readReceipts.enabled || li.classList.contains('deleted-message')) {
+        receiptElement.textContent = '';
+        return;
+    }
+
+    const index = order.get(li.dataset.messageId);
+    const seenBy = index === undefined ? [] : Array.from(state.readPositions.values())
+        .filter(position => order.has(position.messageId) && order.get(position.messageId) >= index);
+    const names = seenBy.map(position => position.name).filter(Boolean);
+
+    if (seenBy.length === 0) {
+        receiptElement.textContent = 'Sent';
+    } else if (names.length > 0) {
+        receiptElement.textContent = `Seen by ${names.join(', ')}`;
+    } else {
+        receiptElement.textContent = `Seen by ${seenBy.length}`;
+    }
+}
+
+/**
+ * Sends the owner's read receipt choice to the server
+ */
+function handleReadReceiptsChange() {
+    if (!state.currentRoom || !state.isRoomOwner) return;
+
+    const mode = readReceiptsSelect.value;
+    socket.emit('setReadReceipts', {
+        roomCode: state.currentRoom,
+        enabled: mode !== 'off',
+        showNames: mode === 'names',
+        csrfToken: state.csrfToken
+    });
+}
+
+// Only the member whose read position moved is sent
+socket.on('readReceiptsUpdated', (position) => {
+    if (!position || !position.reader) return;
+
+    state.readPositions.set(position.reader, position);
+    renderReadReceipts();
+});
+
+socket.on('readReceiptSettings', ({ readReceipts, readPositions }) => {
+    applyReadReceipts(readReceipts, readPositions);
+
+    // Settings changes start a fresh read history
+    lastReadSent = null;
+    markMessagesRead();
+
+    if (!state.isRoomOwner) {
+        showToast(readReceipts.enabled ? 'Read receipts enabled in this room' : 'Read receipts disabled in this room', 'info');
+    }
+});
+
 // Message handling
 let lastMessageTime = 0;
 let isCooldown = false;
 let cooldownTimeout = null;
+let rateLimitInterval = null;
+let sendCountdownLabel = null;
+
+// How long to wait for the server to confirm a message before marking it failed
+const MESSAGE_ACK_TIMEOUT = 10000;
+
+// How long to wait for the server to answer each attachment upload or download step
+const ATTACHMENT_ACK_TIMEOUT = 15000;
+
+// Image types shown inline; anything else is offered as a download
+const PREVIEWABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// How long a revealed view-once message stays visible
+const VIEW_ONCE_REVEAL_DURATION = 10000;
+
+/**
+ * Generates a unique nonce so the server can recognise retried messages
+ * @returns {string} Random nonce
+ */
+function generateNonce() {
+    if (typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Shows an outgoing message as pending and sends it, waiting for the server's ack
+ * @param {Object} payload - sendMessage payload including its nonce
+ * @param {string} text - Plain text of the message, for the pending preview
+ * @param {Object} [attachment] - Uploaded attachment with its decrypted details, for the preview
+ */
+function sendNewMessage(payload, text, attachment = null) {
+    const element = addMessage({
+        username: state.username,
+        text,
+        timestamp: Date.now(),
+        isEncrypted: payload.isEncrypted,
+        viewOnce: payload.viewOnce,
+        attachment
+    });
+    element.classList.add('pending-message');
+
+    const deliveryState = document.createElement('div');
+    deliveryState.classList.add('delivery-state');
+    element.querySelector('.message').appendChild(deliveryState);
+
+    state.pendingMessages.set(payload.nonce, { payload, element });
+    emitPendingMessage(payload.nonce);
+}
+
+/**
+ * (Re)sends a pending message; retries reuse the nonce so the server stores it only once
+ * @param {string} nonce - Nonce of the pending message
+ */
+function emitPendingMessage(nonce) {
+    const pending = state.pendingMessages.get(nonce);
+    if (!pending) return;
+
+    setDeliveryState(pending.element, 'pending');
+
+    socket.timeout(MESSAGE_ACK_TIMEOUT).emit('sendMessage', pending.payload, (err, response) => {
+        // The broadcast may already have replaced the pending message
+        if (!state.pendingMessages.has(nonce)) return;
+
+        // Retrying wouldn't get a filtered message past the room's word filter
+        if (response && response.error && response.error.code === 'MESSAGE_FILTERED') {
+            pending.element.remove();
+            state.pendingMessages.delete(nonce);
+            return;
+        }
+
+        if (err || !response || !response.ok) {
+            setDeliveryState(pending.element, 'failed', nonce);
+            return;
+        }
+
+        // A duplicate was stored earlier and already reached us (e.g. replayed after a reconnect)
+        if (response.duplicate) {
+            pending.element.remove();
+            state.pendingMessages.delete(nonce);
+            return;
+        }
+
+        setDeliveryState(pending.element, 'sent');
+
+        // In slow mode the send button counts down to our next message from when the server took this one
+        const slowMode = getSlowModeInterval();
+        if (slowMode > 0) {
+            startSendCountdown(slowMode * 1000, 'Slow mode');
+        }
+    });
+}
+
+/**
+ * Turns view-once mode on or off for the next message
+ * @param {boolean} enabled - Whether the next message is sent as view once
+ */
+function setViewOnce(enabled) {
+    state.viewOnce = enabled;
+    viewOnceBtn.classList.toggle('active', enabled);
+    viewOnceBtn.title = enabled ? 'Next message will be view once' : 'Send as view once';
+}
+
+/**
+ * Updates the pending/sent/failed indicator of an outgoing message
+ * @param {HTMLElement} element - Pending message list item
+ * @param {string} status - 'pending', 'sent' or 'failed'
+ * @param {string} [nonce] - Nonce of the message, needed to retry failed messages
+ */
+function setDeliveryState(element, status, nonce) {
+    const deliveryState = element.querySelector('.delivery-state');
+    element.classList.toggle('failed-message', status === 'failed');
+    deliveryState.innerHTML = '';
+
+    if (status === 'pending') {
+        deliveryState.textContent = 'Sending...';
+    } else if (status === 'sent') {
+        deliveryState.textContent = 'Sent';
+    } else {
+        deliveryState.textContent = 'Failed to send. ';
+
+        const retryBtn = document.createElement('button');
+        retryBtn.classList.add('message-action-btn');
+        retryBtn.textContent = 'Retry';
+        retryBtn.addEventListener('click', () => emitPendingMessage(nonce));
+        deliveryState.appendChild(retryBtn);
+    }
+}
+
+/**
+ * Replaces the pending copy of one of our messages once the server broadcasts it
+ * @param {string} nonce - Nonce echoed back by the server
+ */
+function resolvePendingMessage(nonce) {
+    const pending = state.pendingMessages.get(nonce);
+    if (!pending) return;
+
+    pending.element.remove();
+    state.pendingMessages.delete(nonce);
+}
+
+/**
+ * Blocks sending until the server's rate limit resets, counting down in the input
+ * @param {number} seconds - Seconds until the client may retry
+ */
+function startRateLimitCountdown(seconds) {
+    startSendCountdown(seconds * 1000, 'Rate limited');
+}
+
+/**
+ * Blocks sending for the given time, counting down on the send button and in the input
+ * @param {number} ms - Milliseconds until the client may send again
+ * @param {string} label - Why sending is blocked, e.g. 'Rate limited' or 'Slow mode'
+ */
+function startSendCountdown(ms, label) {
+    const sendBtn = document.getElementById("send-btn");
+    const endsAt = Date.now() + ms;
+
+    // Take over from the short send cooldown so it does not re-enable the button early
+    if (cooldownTimeout) clearTimeout(cooldownTimeout);
+    if (rateLimitInterval) clearInterval(rateLimitInterval);
+
+    isCooldown = true;
+    sendCountdownLabel = label;
+    sendBtn.classList.add("cooldown");
+    sendBtn.disabled = true;
+
+    const renderCountdown = () => {
+        const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+        if (remaining > 0) {
+            sendBtn.textContent = String(remaining);
+            messageInput.placeholder = `${label}. Try again in ${remaining}s`;
+            return;
+        }
+
+        stopSendCountdown();
+    };
+
+    renderCountdown();
+    rateLimitInterval = setInterval(renderCountdown, 250);
+}
+
+/**
+ * Ends a send countdown early (or when it runs out) and restores the send button
+ */
+function stopSendCountdown() {
+    if (!rateLimitInterval) return;
+
+    const sendBtn = document.getElementById("send-btn");
+    clearInterval(rateLimitInterval);
+    rateLimitInterval = null;
+    sendCountdownLabel = null;
+    sendBtn.innerHTML = '<i class="fas fa-paper-plane"></i>';
+    sendBtn.classList.remove("cooldown");
+    sendBtn.disabled = false;
+    isCooldown = false;
+    messageInput.placeholder = "Type a message...";
+}
+
+/**
+ * Gets the slow mode interval that applies to us in the current room
+ * @returns {number} Seconds between messages (0 if off or our role is exempt)
+ */
+function getSlowModeInterval() {
+    if (!state.roomSettings || !state.roomSettings.slowMode) return 0;
+
+    const role = getUserRole(state.username);
+    return role === 'owner' || role === 'moderator' ? 0 : state.roomSettings.slowMode;
+}
 
 async function handleMessageSubmit(event) {
     event.preventDefault();
@@ -555,6 +1510,12 @@ async function handleMessageSubmit(event) {
     const messageText = messageInput.value.trim();
     const currentTime = Date.now();
 
+    // Wait out a rate limit or slow mode countdown
+    if (rateLimitInterval) {
+        showToast(sendCountdownLabel === 'Slow mode' ? "Slow mode is on. Please wait" : "You are rate limited. Please wait", "info");
+        return;
+    }
+
     // Check if cooldown period has passed (250ms)
     if (currentTime - lastMessageTime < 250 || isCooldown) {
         // Visual feedback for cooldown
@@ -620,12 +1581,25 @@ async function handleMessageSubmit(event) {
     // Send the message
     if (state.currentRoom && state.sessionToken) {
         try {
+            let plainText = messageText;
             let finalMessage = messageText;
             let encryptionMeta = null;
 
             // Encrypt the message if encryption is enabled and a key is available
             if (state.encryptionEnabled && state.encryptionKey) {
-                const encryptedData = await encryptionUtils.encryptMessage(messageText, state.encryptionKey);
+                // Apply the room's word filter before the text becomes unreadable to the server
+                const filter = getContentFilterFor(state.username);
+                const filtered = filter ? ContentFilter.applyContentFilter(messageText, filter) : null;
+                if (filtered && filtered.violations.length > 0) {
+                    // Messages too long to check can't be masked either
+                    if (filter.action !== 'mask' || filtered.violations.includes('length')) {
+                        showToast("Your message was blocked by this room's filter", 'error');
+                        return;
+                    }
+                    plainText = filtered.text;
+                }
+
+                const encryptedData = await encryptionUtils.encryptMessage(plainText, state.encryptionKey);
 
                 // Create a formatted message with encryption metadata
                 finalMessage = JSON.stringify(encryptedData);
@@ -635,13 +1609,25 @@ async function handleMessageSubmit(event) {
                 };
             }
 
-            socket.emit("sendMessage", {
+            const payload = {
                 roomCode: state.currentRoom,
                 message: finalMessage,
                 sessionToken: state.sessionToken,
                 isEncrypted: state.encryptionEnabled && state.encryptionKey !== null,
                 encryptionMeta
-            });
+            };
+
+            stopTyping();
+
+            // Replace the content of the message being edited instead of sending a new one
+            if (state.editingMessageId) {
+                socket.emit("editMessage", { ...payload, messageId: state.editingMessageId });
+                cancelEditMessage();
+            } else {
+                sendNewMessage({ ...payload, replyTo: state.replyingTo, viewOnce: state.viewOnce, nonce: generateNonce() }, plainText);
+                cancelReply();
+                setViewOnce(false);
+            }
 
             messageInput.value = ""; // Clear input field
 
@@ -669,13 +1655,136 @@ async function handleMessageSubmit(event) {
     }
 }
 
-function handleCommand(command) {
-    switch (command) {
-        case "clear":
-            messagesContainer.innerHTML = "";
-            showToast("Chat cleared", "info");
-            messageInput.value = "";
-            break;
+/**
+ * Puts the message input into edit mode for one of the user's own messages
+ * @param {string} messageId - ID of the message to edit
+ * @param {string} currentText - Current (decrypted) text of the message
+ */
+function startEditMessage(messageId, currentText) {
+    cancelEditMessage();
+    cancelReply();
+
+    const li = findMessageElement(messageId);
+    if (li) {
+        li.classList.add('editing-message');
+    }
+
+    state.editingMessageId = messageId;
+    messageInput.value = currentText;
+    messageInput.focus();
+    showToast('Editing message. Press Escape to cancel', 'info');
+}
+
+/**
+ * Leaves edit mode without changing the message
+ */
+function cancelEditMessage() {
+    if (!state.editingMessageId) return;
+
+    const li = messagesContainer.querySelector('li.editing-message');
+    if (li) {
+        li.classList.remove('editing-message');
+    }
+
+    state.editingMessageId = null;
+    messageInput.value = '';
+}
+
+/**
+ * Makes the next outgoing message a reply to the given message
+ * @param {string} messageId - ID of the message to reply to
+ */
+function startReply(messageId) {
+    cancelEditMessage();
+
+    const original = state.messageCache.get(messageId);
+    if (!original) {
+        showToast('That message is no longer available', 'error');
+        return;
+    }
+
+    state.replyingTo = messageId;
+    replyBannerText.textContent = `Replying to ${original.username}: ${truncateText(original.text, 80)}`;
+    replyBanner.classList.remove('hidden');
+    messageInput.focus();
+}
+
+/**
+ * Clears the pending reply target
+ */
+function cancelReply() {
+    state.replyingTo = null;
+    if (replyBanner) {
+        replyBanner.classList.add('hidden');
+        replyBannerText.textContent = '';
+    }
+}
+
+/**
+ * Toggles this user's reaction on a message
+ * @param {string} messageId - ID of the message
+ * @param {string} emoji - Reaction from REACTIONS
+ */
+function sendReaction(messageId, emoji) {
+    if (!state.currentRoom || !state.csrfToken) return;
+
+    socket.emit('reactToMessage', {
+        roomCode: state.currentRoom,
+        messageId,
+        emoji,
+        csrfToken: state.csrfToken
+    });
+}
+
+/**
+ * Renders reaction counts for a message, highlighting this user's reactions
+ * @param {HTMLElement} bar - Reaction bar element
+ * @param {string} messageId - ID of the message
+ * @param {Object} counts - Map of emoji to count
+ */
+function renderReactionBar(bar, messageId, counts = {}) {
+    bar.innerHTML = '';
+    const mine = state.myReactions.get(messageId) || new Set();
+
+    REACTIONS.forEach(emoji => {
+        const count = counts[emoji] || 0;
+        if (count === 0) return;
+
+        const chip = document.createElement('button');
+        chip.classList.add('reaction-chip');
+        chip.classList.toggle('reacted', mine.has(emoji));
+        chip.textContent = `${emoji} ${count}`;
+        chip.title = mine.has(emoji) ? 'Remove your reaction' : 'React';
+        chip.addEventListener('click', () => sendReaction(messageId, emoji));
+        bar.appendChild(chip);
+    });
+
+    bar.classList.toggle('hidden', bar.childElementCount === 0);
+}
+
+/**
+ * Asks for confirmation and deletes a message
+ * @param {string} messageId - ID of the message to delete
+ */
+function requestDeleteMessage(messageId) {
+    if (!state.currentRoom || !state.csrfToken) return;
+
+    if (!confirm('Delete this message for everyone?')) return;
+
+    socket.emit('deleteMessage', {
+        roomCode: state.currentRoom,
+        messageId,
+        csrfToken: state.csrfToken
+    });
+}
+
+function handleCommand(command) {
+    switch (command) {
+        case "clear":
+            messagesContainer.innerHTML = "";
+            showToast("Chat cleared", "info");
+            messageInput.value = "";
+            break;
 
         case "leave":
             leaveRoom();
@@ -695,12 +1804,17 @@ function handleCommand(command) {
 }
 
 // Socket Event Handlers
-socket.on('roomCreated', async function ({ roomCode, users, sessionToken, csrfToken }) {
+socket.on('roomCreated', async function ({ roomCode, users, roles, sessionToken, csrfToken, readReceipts, settings, attachmentSizeLimit, voiceNoteLimits }) {
     state.currentRoom = roomCode;
+    state.attachmentSizeLimit = attachmentSizeLimit || state.attachmentSizeLimit;
+    state.voiceNoteLimits = voiceNoteLimits || state.voiceNoteLimits;
     state.isRoomOwner = true;
     state.users = users;
+    state.roles = roles || {};
     state.sessionToken = sessionToken;
     state.csrfToken = csrfToken;
+    applyReadReceipts(readReceipts, {});
+    applyRoomSettings(settings);
 
     roomCodeDisplay.textContent = roomCode;
     navigateTo('chat-room');
@@ -730,12 +1844,16 @@ socket.on('roomCreated', async function ({ roomCode, users, sessionToken, csrfTo
     }
 });
 
-socket.on('roomJoined', ({ roomCode, users, messages, sessionToken, csrfToken, isRoomOwner }) => {
+socket.on('roomJoined', ({ roomCode, users, roles, messages, sessionToken, csrfToken, isRoomOwner, readReceipts, readPositions, pinned, settings, attachmentSizeLimit, voiceNoteLimits }) => {
     state.currentRoom = roomCode;
+    state.attachmentSizeLimit = attachmentSizeLimit || state.attachmentSizeLimit;
+    state.voiceNoteLimits = voiceNoteLimits || state.voiceNoteLimits;
     state.users = users;
+    state.roles = roles || {};
     state.sessionToken = sessionToken;
     state.csrfToken = csrfToken;
     state.isRoomOwner = isRoomOwner || false;
+    applyRoomSettings(settings);
     roomCodeDisplay.textContent = roomCode;
     navigateTo('chat-room');
 
@@ -743,162 +1861,1764 @@ socket.on('roomJoined', ({ roomCode, users, messages, sessionToken, csrfToken, i
     messages.forEach(message => {
         // Skip system messages - they will be processed separately
         if (!message.isSystem) {
-            processAndAddMessage(message);
+            processAndAddMessage(message, true);
+        }
+    });
+
+    // History (including skipped system messages) counts as seen
+    if (messages.length > 0 && messages[messages.length - 1].id) {
+        state.lastMessageId = messages[messages.length - 1].id;
+    }
+    applyReadReceipts(readReceipts, readPositions);
+    applyPinnedMessages(pinned);
+
+    // Add system message and display occupents
+
+    addSystemMessage(`Welcome to ${roomCode}! Current occupants: ${users.filter(user => user !== state.username).join(', ')}`);
+
+    // Show encryption status and update UI
+    if (state.encryptionEnabled && state.encryptionKey) {
+        addSystemMessage(`End-to-end encryption is enabled in this room.`);
+        // Edit the Encryption text next to room code to indicate encryption is enabled
+        const encryptionText = document.querySelector('.encryption-text');
+        if (encryptionText) {
+            encryptionText.textContent = 'Encrypted';
+            encryptionText.classList.remove('disabled');
+            // change icon
+            const icon = encryptionText.querySelector('i');
+            if (icon) {
+                icon.classList.remove('fa-lock-open');
+                icon.classList.add('fa-lock');
+            }
+        }
+    } else if (!state.encryptionKey) {
+        addSystemMessage(`Warning: Messages in this room are not end-to-end encrypted.`);
+        const encryptionText = document.querySelector('.encryption-text');
+        if (encryptionText) {
+            encryptionText.textContent = 'Insecure';
+            encryptionText.classList.add('disabled');
+            // change icon
+            const icon = encryptionText.querySelector('i');
+            if (icon) {
+                icon.classList.remove('fa-lock');
+                icon.classList.add('fa-lock-open');
+            }
+        }
+    }
+
+    // Update users list
+    updateUsersList();
+
+    // Scroll to bottom
+    scrollToBottom();
+
+    // Show toast notification
+    showToast(`You joined room: ${roomCode}`, 'success');
+});
+
+socket.on('userJoined', ({ username, users, roles }) => {
+    state.users = users;
+    state.roles = roles || state.roles;
+    updateUsersList();
+
+    // Show toast notification
+    showToast(`${username} joined the room`, 'info');
+});
+
+socket.on('userLeft', ({ username, users, roles, newOwner }) => {
+    state.users = users;
+    state.roles = roles || state.roles;
+
+    // Check if current user is now the room owner
+    if (newOwner && socket.id === newOwner) {
+        state.isRoomOwner = true;
+        showToast('You are now the room owner', 'info');
+    }
+
+    updateUsersList();
+    renderPinnedBar();
+
+    state.typingUsers.delete(username);
+    renderTypingIndicator();
+
+    // Show toast notification
+    showToast(`${username} left the room`, 'info');
+});
+
+socket.on('userRolesUpdated', ({ roles }) => {
+    const previousRole = getUserRole(state.username);
+    state.roles = roles;
+    updateUsersList();
+    renderPinnedBar();
+
+    const role = getUserRole(state.username);
+    if (role === previousRole) return;
+
+    if (role === 'muted') {
+        showToast('You have been muted', 'info');
+    } else if (previousRole === 'muted') {
+        showToast('You are no longer muted', 'info');
+    } else if (role === 'moderator') {
+        showToast('You are now a moderator', 'info');
+    } else if (previousRole === 'moderator') {
+        showToast('You are no longer a moderator', 'info');
+    }
+});
+
+socket.on('roomDeleted', ({ reason } = {}) => {
+    if (reason === 'expired') {
+        showToast('This room has self-destructed', 'info');
+    } else if (reason === 'inactive') {
+        showToast('This room was closed due to inactivity', 'info');
+    } else {
+        showToast('This room has been deleted', 'error');
+    }
+
+    // Reset state
+    state.currentRoom = null;
+    state.isRoomOwner = false;
+    state.sessionToken = null;
+    state.csrfToken = null;
+    state.encryptionKey = null;
+    state.lastMessageId = null;
+    state.editingMessageId = null;
+    state.messageCache.clear();
+    state.myReactions.clear();
+    state.typingUsers.clear();
+    state.readReceipts = { enabled: false, showNames: false };
+    state.readPositions.clear();
+    lastReadSent = null;
+    state.pendingMessages.clear();
+    state.roomSettings = null;
+    state.roles = {};
+    state.pinnedMessages = [];
+    stopVoiceRecording(false);
+    revokeAttachmentUrls();
+    notificationService.clearUnread();
+    renderPinnedBar();
+    dismissJoinRequestToasts();
+    stopSendCountdown();
+    updateExpiryCountdown();
+    expireMessages();
+    renderTypingIndicator();
+    cancelReply();
+
+    // Clear UI
+    messagesContainer.innerHTML = '';
+
+    // Navigate back
+    navigateTo('room-selection');
+});
+
+socket.on('sessionResumed', ({ users, roles, sessionToken, csrfToken, isRoomOwner, readReceipts, readPositions, pinned, settings, attachmentSizeLimit, voiceNoteLimits }) => {
+    state.attachmentSizeLimit = attachmentSizeLimit || state.attachmentSizeLimit;
+    state.voiceNoteLimits = voiceNoteLimits || state.voiceNoteLimits;
+    state.users = users;
+    state.roles = roles || {};
+    state.sessionToken = sessionToken;
+    state.csrfToken = csrfToken;
+    state.isRoomOwner = isRoomOwner || false;
+    applyReadReceipts(readReceipts, readPositions);
+    applyRoomSettings(settings);
+    applyPinnedMessages(pinned);
+
+    updateUsersList();
+    showToast('Reconnected', 'success');
+});
+
+socket.on('sessionResumeFailed', ({ reason }) => {
+    showToast(reason || 'Could not restore your session', 'error');
+
+    // Our seat is gone, reset to the room selection screen
+    state.currentRoom = null;
+    state.isRoomOwner = false;
+    state.sessionToken = null;
+    state.csrfToken = null;
+    state.encryptionKey = null;
+    state.lastMessageId = null;
+    state.editingMessageId = null;
+    state.messageCache.clear();
+    state.myReactions.clear();
+    state.typingUsers.clear();
+    state.readReceipts = { enabled: false, showNames: false };
+    state.readPositions.clear();
+    lastReadSent = null;
+    state.pendingMessages.clear();
+    state.roomSettings = null;
+    state.roles = {};
+    state.pinnedMessages = [];
+    stopVoiceRecording(false);
+    revokeAttachmentUrls();
+    notificationService.clearUnread();
+    renderPinnedBar();
+    dismissJoinRequestToasts();
+    stopSendCountdown();
+    updateExpiryCountdown();
+    expireMessages();
+    renderTypingIndicator();
+    cancelReply();
+    state.users = [];
+
+    messagesContainer.innerHTML = '';
+    roomCodeDisplay.textContent = '';
+    userList.innerHTML = '';
+
+    navigateTo('room-selection');
+});
+
+socket.on('error', (error) => {
+    // Errors are { code, message, retryAfter? }; keep plain strings working for older servers
+    if (!error || typeof error !== 'object') {
+        showToast(error, 'error');
+        return;
+    }
+
+    switch (error.code) {
+        case 'PASSWORD_REQUIRED':
+        case 'INVALID_PASSWORD':
+            promptForRoomPassword(error.message);
+            break;
+        case 'RATE_LIMITED':
+            if (error.retryAfter > 0) {
+                showToast(`${error.message} Try again in ${error.retryAfter}s.`, 'error');
+                if (error.action === 'messages') {
+                    startRateLimitCountdown(error.retryAfter);
+                }
+            } else {
+                showToast(error.message, 'error');
+            }
+            break;
+        case 'SLOW_MODE':
+            showToast(error.message, 'info');
+            if (error.retryAfterMs > 0) {
+                startSendCountdown(error.retryAfterMs, 'Slow mode');
+            }
+            break;
+        case 'MESSAGE_FILTERED':
+            showToast(error.muted ? `${error.message}. You have been muted for ${formatDuration(error.muted)}.` : error.message, 'error');
+            break;
+        case 'ATTACHMENT_NOT_FOUND':
+            // Shown on the attachment itself or by the upload that failed
+            break;
+        case 'USER_MUTED':
+            showToast(error.retryAfter > 0 ? `${error.message} for another ${formatDuration(error.retryAfter)}.` : error.message, 'error');
+            break;
+        case 'SERVER_SHUTTING_DOWN':
+            showToast(error.message, 'info');
+            break;
+        default:
+            showToast(error.message, 'error');
+    }
+});
+
+// User kicked events
+socket.on('userKicked', ({ username, banned }) => {
+    showToast(banned ? `${username} was kicked and banned from the room` : `${username} was kicked from the room`, 'success');
+
+    if (banned) {
+        requestBanList();
+    }
+});
+
+// Ban list (room owner only)
+socket.on('banList', ({ bans }) => {
+    renderBanList(bans);
+});
+
+/**
+ * Asks the server for the room's ban list if we are allowed to manage it
+ */
+function requestBanList() {
+    const section = document.getElementById('ban-list-section');
+    section.classList.toggle('hidden', !state.isRoomOwner);
+
+    if (!state.isRoomOwner || !state.currentRoom || !state.csrfToken) return;
+    socket.emit('listBans', { roomCode: state.currentRoom, csrfToken: state.csrfToken });
+}
+
+/**
+ * Shows the ban list in the users modal
+ * @param {Array} bans - Ban entries (id, username, expiresAt)
+ */
+function renderBanList(bans) {
+    const banList = document.getElementById('ban-list');
+    banList.innerHTML = '';
+
+    if (bans.length === 0) {
+        const empty = document.createElement('li');
+        empty.classList.add('empty-ban-list');
+        empty.textContent = 'Nobody is banned';
+        banList.appendChild(empty);
+        return;
+    }
+
+    bans.forEach(ban => {
+        const li = document.createElement('li');
+
+        const details = document.createElement('span');
+        const until = new Date(ban.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        details.textContent = `${ban.username} (until ${until})`;
+        li.appendChild(details);
+
+        const unbanBtn = document.createElement('button');
+        unbanBtn.className = 'icon-btn';
+        unbanBtn.title = 'Lift ban';
+        unbanBtn.innerHTML = '<i class="fas fa-undo"></i>';
+        unbanBtn.addEventListener('click', () => {
+            socket.emit('unbanUser', { roomCode: state.currentRoom, banId: ban.id, csrfToken: state.csrfToken });
+        });
+        li.appendChild(unbanBtn);
+
+        banList.appendChild(li);
+    });
+}
+
+/**
+ * Sends the owner's lock choice to the server
+ */
+function handleRoomLockChange() {
+    if (!state.currentRoom || !state.isRoomOwner) return;
+
+    socket.emit('setRoomLock', {
+        roomCode: state.currentRoom,
+        locked: roomLockToggle.checked,
+        csrfToken: state.csrfToken
+    });
+}
+
+// Join requests for locked rooms (owner and moderators only)
+socket.on('joinRequest', (request) => {
+    showJoinRequestToast(request);
+});
+
+socket.on('joinRequestResolved', ({ requestId, username, status }) => {
+    dismissJoinRequestToast(requestId);
+
+    if (status === 'denied') {
+        showToast(`${username} was not let in`, 'info');
+    } else if (status === 'expired') {
+        showToast(`${username}'s request to join expired`, 'info');
+    } else if (status === 'unavailable') {
+        showToast(`${username} could not join: the room is full or the name is taken`, 'error');
+    }
+});
+
+/**
+ * Shows a join request as a toast with Let in / Deny buttons. It stays until
+ * someone answers the request or it runs out.
+ * @param {Object} request - Join request (requestId, username, expiresAt)
+ */
+function showJoinRequestToast({ requestId, username, expiresAt }) {
+    const toastContainer = document.getElementById('toast-container');
+    if (!toastContainer) return;
+
+    const toast = document.createElement('div');
+    toast.classList.add('toast', 'info', 'join-request-toast');
+    toast.dataset.requestId = requestId;
+
+    const icon = document.createElement('i');
+    icon.className = 'fas fa-door-open';
+    icon.style.marginRight = '8px';
+    icon.style.color = 'var(--accent-primary)';
+
+    const messageText = document.createElement('span');
+    messageText.textContent = `${username} wants to join`;
+
+    const actions = document.createElement('div');
+    actions.classList.add('toast-actions');
+
+    [['approveJoin', 'Let in', 'primary-btn'], ['denyJoin', 'Deny', 'danger-btn']].forEach(([event, label, className]) => {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            actions.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+            socket.emit(event, { roomCode: state.currentRoom, requestId, csrfToken: state.csrfToken });
+        });
+        actions.appendChild(button);
+    });
+
+    toast.appendChild(icon);
+    toast.appendChild(messageText);
+    toast.appendChild(actions);
+    toastContainer.appendChild(toast);
+
+    // Fallback in case the server's notice about the expiry is missed
+    setTimeout(() => dismissJoinRequestToast(requestId), Math.max(0, expiresAt - Date.now()) + 1000);
+}
+
+/**
+ * Removes the toast for a join request that has been answered or ran out
+ * @param {string} requestId - ID of the join request
+ */
+function dismissJoinRequestToast(requestId) {
+    document.querySelectorAll('.join-request-toast').forEach(toast => {
+        if (toast.dataset.requestId === requestId) {
+            toast.remove();
         }
     });
+}
+
+/**
+ * Removes all join request toasts, e.g. after leaving the room
+ */
+function dismissJoinRequestToasts() {
+    document.querySelectorAll('.join-request-toast').forEach(toast => toast.remove());
+}
+
+socket.on('kickedFromRoom', () => {
+    showToast('You have been kicked from the room', 'error');
+    leaveRoom();
+});
+
+// Message handling with encryption
+socket.on('newMessage', (message) => {
+    // Messages replayed after a reconnect are history, even though they arrive one by one
+    processAndAddMessage(message, message.replayed === true);
+});
+
+/**
+ * Process incoming messages (decrypt if needed)
+ * @param {Object} message - Message as received from the server
+ * @param {boolean} [isHistory=false] - Whether the message is part of the history sent on join or replayed
+ *  on session resume, which never notifies
+ */
+async function processAndAddMessage(message, isHistory = false) {
+    try {
+        // Remember the newest message we have seen for session resumption
+        if (message.id) {
+            state.lastMessageId = message.id;
+        }
+
+        // Our own message arrived, so its pending copy is no longer needed
+        if (message.nonce) {
+            resolvePendingMessage(message.nonce);
+        }
+
+        // A replay after reconnecting can repeat a message that reached us before the connection dropped
+        if (findMessageElement(message.id)) return;
+
+        // Handle system messages separately
+        if (message.isSystem || message.username === 'System') {
+            addSystemMessage(message.text, message.id);
+            return;
+        }
+
+        const processed = await decryptIncomingMessage(message);
+        addMessage(processed);
+        cacheMessage(processed);
+        markMessagesRead();
+
+        // Older messages expire first, so a pending check already covers this one
+        if (!messageExpiryTimer) {
+            expireMessages();
+        }
+
+        if (!isHistory && processed.username !== state.username) {
+            notificationService.handleIncomingMessage(processed);
+        }
+    } catch (error) {
+        console.error('Error processing message:', error);
+
+        // If all else fails, just show the message as-is
+        addMessage(message);
+    }
+}
+
+/**
+ * Decrypts a message if it is encrypted and we have the room key
+ * @param {Object} message - Message as received from the server
+ * @returns {Promise<Object>} Message with decrypted text, or a placeholder on failure
+ */
+async function decryptIncomingMessage(message) {
+    // Message is not encrypted or we don't have a key
+    if (!message.isEncrypted || !state.encryptionKey) {
+        return message;
+    }
+
+    try {
+        // Try to parse the JSON encrypted data
+        const encryptedData = JSON.parse(message.text);
+
+        // Decrypt the message
+        const decryptedText = await encryptionUtils.decryptMessage(encryptedData, state.encryptionKey);
+
+        // The name, type and IV of an attached file are encrypted like the text
+        const attachment = message.attachment ? await decryptAttachmentInfo(message.attachment) : null;
+
+        // The server can't filter what it can't read, so the room's word filter applies here
+        const filter = getContentFilterFor(message.username);
+        const filtered = filter ? ContentFilter.applyContentFilter(decryptedText, filter) : null;
+        if (filtered && filtered.violations.length > 0) {
+            const masked = filter.action === 'mask' && !filtered.violations.includes('length');
+            return {
+                ...message,
+                text: masked ? filtered.text : '[Message hidden by the room filter]',
+                attachment: masked ? attachment : null,
+                decrypted: true,
+                filtered: true
+            };
+        }
+
+        // Create a decrypted version of the message
+        return {
+            ...message,
+            text: decryptedText,
+            attachment,
+            decrypted: true
+        };
+    } catch (error) {
+        console.error('Failed to decrypt message:', error);
+
+        // Return a placeholder indicating encryption
+        return {
+            ...message,
+            text: '[Encrypted message - unable to decrypt]',
+            decryptionFailed: true
+        };
+    }
+}
+
+/**
+ * Finds the list item rendered for a message
+ * @param {string} messageId - Message ID
+ * @returns {HTMLElement|null} The message element, if still on screen
+ */
+function findMessageElement(messageId) {
+    if (!messageId) return null;
+    return messagesContainer.querySelector(`li[data-message-id="${CSS.escape(messageId)}"]`);
+}
+
+/**
+ * Remembers the decrypted content of a message and refreshes replies quoting it
+ * @param {Object} message - Decrypted message
+ */
+function cacheMessage(message) {
+    // View-once content must not outlive its reveal, so it is never quoted
+    if (!message.id || message.isSystem || message.viewOnce) return;
+
+    state.messageCache.set(message.id, {
+        username: message.username,
+        text: getPreviewText(message)
+    });
+    trimMessageCache();
+    refreshReplyQuotes(message.id);
+}
+
+/**
+ * Drops the oldest cached messages beyond the room's history length; the server no longer
+ * has them either, so replies to them can't be sent
+ */
+function trimMessageCache() {
+    const limit = state.roomSettings ? state.roomSettings.maxMessages : 0;
+    if (!limit) return;
+
+    // Map keys iterate in insertion order, oldest message first
+    for (const id of state.messageCache.keys()) {
+        if (state.messageCache.size <= limit) break;
+        state.messageCache.delete(id);
+    }
+}
+
+/**
+ * Re-renders every quoted preview of a message
+ * @param {string} messageId - ID of the quoted message
+ */
+function refreshReplyQuotes(messageId) {
+    messagesContainer
+        .querySelectorAll(`.reply-quote[data-reply-to="${CSS.escape(messageId)}"]`)
+        .forEach(renderReplyQuote);
+}
+
+/**
+ * Fills a quote element from the cached original message
+ * @param {HTMLElement} quote - Element with a data-reply-to attribute
+ */
+function renderReplyQuote(quote) {
+    const original = state.messageCache.get(quote.dataset.replyTo);
+    quote.innerHTML = '';
+    quote.classList.toggle('unavailable', !original);
+
+    if (!original) {
+        quote.textContent = 'Original message unavailable';
+        return;
+    }
+
+    const author = document.createElement('span');
+    author.classList.add('reply-quote-author');
+    author.textContent = original.username;
+
+    const text = document.createElement('span');
+    text.classList.add('reply-quote-text');
+    text.textContent = truncateText(original.text, 120);
+
+    quote.appendChild(author);
+    quote.appendChild(text);
+}
+
+/**
+ * Scrolls to a message and briefly highlights it
+ * @param {string} messageId - ID of the message to show
+ */
+function scrollToMessage(messageId) {
+    const li = findMessageElement(messageId);
+    if (!li || li.classList.contains('deleted-message')) {
+        showToast('The original message is no longer available', 'info');
+        return;
+    }
+
+    li.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    li.classList.add('highlighted-message');
+    setTimeout(() => li.classList.remove('highlighted-message'), 1500);
+}
+
+// Pinned messages
+socket.on('pinnedMessagesUpdated', ({ pinned }) => {
+    applyPinnedMessages(pinned);
+});
+
+/**
+ * Decrypts and shows the room's pinned messages
+ * @param {Array} pinned - Pinned messages from the server, oldest pin first
+ */
+async function applyPinnedMessages(pinned) {
+    const decrypted = await Promise.all((pinned || []).map(message => decryptIncomingMessage(message)));
+
+    // Ignore results for a room we have left in the meantime
+    if (!state.currentRoom) return;
+
+    state.pinnedMessages = decrypted;
+    renderPinnedBar();
+}
+
+/**
+ * Drops pins whose messages were deleted or expired
+ * @param {string[]} messageIds - IDs of the removed messages
+ */
+function removePinnedMessages(messageIds) {
+    const remaining = state.pinnedMessages.filter(pin => !messageIds.includes(pin.id));
+    if (remaining.length === state.pinnedMessages.length) return;
+
+    state.pinnedMessages = remaining;
+    renderPinnedBar();
+}
+
+/**
+ * Checks if a message is pinned
+ * @param {string} messageId - ID of the message
+ * @returns {boolean} True if the message is in the pinned bar
+ */
+function isMessagePinned(messageId) {
+    return state.pinnedMessages.some(pin => pin.id === messageId);
+}
+
+/**
+ * Checks if the current user may pin messages
+ * @returns {boolean} True for the room owner and moderators
+ */
+function canPinMessages() {
+    return ROLE_RANKS[getUserRole(state.username)] >= ROLE_RANKS.moderator;
+}
+
+/**
+ * Asks the server to pin or unpin a message
+ * @param {string} messageId - ID of the message
+ * @param {boolean} pinned - Whether to pin or unpin it
+ */
+function requestPinChange(messageId, pinned) {
+    if (!state.currentRoom || !state.csrfToken) return;
+
+    socket.emit(pinned ? 'pinMessage' : 'unpinMessage', {
+        roomCode: state.currentRoom,
+        messageId,
+        csrfToken: state.csrfToken
+    });
+}
+
+/**
+ * Expands or collapses the list of pinned messages
+ */
+function togglePinnedList() {
+    const expanded = pinnedList.classList.toggle('hidden') === false;
+    pinnedBar.classList.toggle('expanded', expanded);
+    document.getElementById('pinned-bar-toggle').setAttribute('aria-expanded', String(expanded));
+}
+
+/**
+ * Shows the pinned bar with the latest pin as its summary, and the full
+ * list when expanded. Also keeps the Pin/Unpin actions on messages in sync.
+ */
+function renderPinnedBar() {
+    const pins = state.pinnedMessages;
+    pinnedBar.classList.toggle('hidden', pins.length === 0);
+
+    messagesContainer.querySelectorAll('li[data-message-id] .pin-btn').forEach(button => {
+        button.textContent = isMessagePinned(button.closest('li').dataset.messageId) ? 'Unpin' : 'Pin';
+    });
+
+    pinnedList.innerHTML = '';
+    if (pins.length === 0) {
+        pinnedList.classList.add('hidden');
+        pinnedBar.classList.remove('expanded');
+        return;
+    }
+
+    const latest = pins[pins.length - 1];
+    document.getElementById('pinned-bar-summary').textContent = pins.length > 1 ?
+        `${pins.length} pinned messages · ${latest.username}: ${truncateText(getPreviewText(latest), 80)}` :
+        `${latest.username}: ${truncateText(getPreviewText(latest), 80)}`;
+
+    const canUnpin = canPinMessages();
+    [...pins].reverse().forEach(pin => {
+        const item = document.createElement('li');
+        item.title = `Pinned by ${pin.pinnedBy}`;
+        item.addEventListener('click', () => scrollToMessage(pin.id));
+
+        const author = document.createElement('span');
+        author.classList.add('reply-quote-author');
+        author.textContent = pin.username;
+
+        const text = document.createElement('span');
+        text.classList.add('reply-quote-text');
+        text.textContent = truncateText(getPreviewText(pin), 120);
+
+        item.appendChild(author);
+        item.appendChild(text);
+
+        if (canUnpin) {
+            const unpinBtn = document.createElement('button');
+            unpinBtn.classList.add('message-action-btn');
+            unpinBtn.textContent = 'Unpin';
+            unpinBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                requestPinChange(pin.id, false);
+            });
+            item.appendChild(unpinBtn);
+        }
+
+        pinnedList.appendChild(item);
+    });
+}
+
+/**
+ * Gets the text that stands for a message in quotes and the pinned bar
+ * @param {Object} message - Decrypted message
+ * @returns {string} Message text, or the name of its attachment if it has no text
+ */
+function getPreviewText(message) {
+    if (message.text || !message.attachment) return message.text;
+    if (message.attachment.kind === 'voice') return `🎤 Voice note (${formatClipLength(message.attachment.duration || 0)})`;
+    return message.attachment.info ? `📎 ${message.attachment.info.name}` : '📎 Attachment';
+}
+
+/**
+ * Shortens text for previews
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} Shortened text
+ */
+function truncateText(text, maxLength) {
+    if (!text || text.length <= maxLength) return text || '';
+    return text.slice(0, maxLength - 1) + '…';
+}
+
+// Encrypted attachments
+
+/**
+ * Emits an event and waits for the server's acknowledgement
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @returns {Promise<Object>} Response, rejected with the error payload ({ code, message }) if refused
+ */
+function requestWithAck(event, payload) {
+    return new Promise((resolve, reject) => {
+        socket.timeout(ATTACHMENT_ACK_TIMEOUT).emit(event, payload, (err, response) => {
+            if (err || !response) {
+                reject(new Error(`No answer to ${event}`));
+            } else if (!response.ok) {
+                reject(response.error);
+            } else {
+                resolve(response);
+            }
+        });
+    });
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "512 B", "12 KB" or "3.4 MB"
+ */
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Shows upload progress above the message input, or hides it
+ * @param {string|null} text - Progress text, or null to hide the banner
+ */
+function setUploadStatus(text) {
+    uploadBanner.classList.toggle('hidden', text === null);
+    document.getElementById('upload-banner-text').textContent = text || '';
+}
+
+let uploadInProgress = false;
+
+/**
+ * Encrypts a file with the room key, uploads it in chunks and sends it as a message.
+ * The server only ever sees the encrypted bytes and their size.
+ * @param {File} file - File picked by the user
+ * @param {number|null} [duration] - Length in seconds if the file is a recorded voice note
+ */
+async function sendAttachment(file, duration = null) {
+    if (!state.currentRoom || !state.sessionToken) return;
+
+    if (!state.encryptionEnabled || !state.encryptionKey) {
+        showToast('Files can only be shared in end-to-end encrypted rooms', 'error');
+        return;
+    }
+
+    // AES-GCM adds a 16 byte authentication tag
+    if (file.size + 16 > state.attachmentSizeLimit) {
+        showToast(`Files can be up to ${formatFileSize(state.attachmentSizeLimit - 16)}`, 'error');
+        return;
+    }
+
+    if (duration !== null && file.size + 16 > state.voiceNoteLimits.maxBytes) {
+        showToast(`Voice notes can be up to ${formatFileSize(state.voiceNoteLimits.maxBytes - 16)}`, 'error');
+        return;
+    }
+
+    if (uploadInProgress) {
+        showToast('Please wait for the current upload to finish', 'info');
+        return;
+    }
+
+    uploadInProgress = true;
+    setUploadStatus(`Encrypting ${file.name}...`);
+
+    try {
+        const roomCode = state.currentRoom;
+        const { iv, data } = await encryptionUtils.encryptData(await file.arrayBuffer(), state.encryptionKey);
+        const info = { name: file.name.slice(0, 200), type: file.type, size: file.size, iv };
+        const meta = JSON.stringify(await encryptionUtils.encryptMessage(JSON.stringify(info), state.encryptionKey));
+
+        const upload = await requestWithAck('startAttachment', {
+            roomCode,
+            size: data.byteLength,
+            meta,
+            duration: duration === null ? undefined : duration,
+            csrfToken: state.csrfToken
+        });
+
+        for (let index = 0; index < upload.chunkCount; index++) {
+            setUploadStatus(`Uploading ${file.name}... ${Math.round(index / upload.chunkCount * 100)}%`);
+            await requestWithAck('attachmentChunk', {
+                roomCode,
+                attachmentId: upload.attachmentId,
+                index,
+                data: data.slice(index * upload.chunkSize, (index + 1) * upload.chunkSize),
+                csrfToken: state.csrfToken
+            });
+        }
+
+        // We already have the file, so our own copy is never downloaded again
+        state.attachmentUrls.set(upload.attachmentId, Promise.resolve(URL.createObjectURL(file)));
+
+        const caption = await encryptionUtils.encryptMessage('', state.encryptionKey);
+        sendNewMessage({
+            roomCode,
+            message: JSON.stringify(caption),
+            sessionToken: state.sessionToken,
+            isEncrypted: true,
+            encryptionMeta: { algorithm: state.keyAlgorithm, encrypted: true },
+            attachmentId: upload.attachmentId,
+            nonce: generateNonce()
+        }, '', {
+            id: upload.attachmentId,
+            size: data.byteLength,
+            chunkCount: upload.chunkCount,
+            kind: duration === null ? 'file' : 'voice',
+            duration,
+            info
+        });
+    } catch (error) {
+        // Refusals with a code were already shown by the error handler
+        if (!error || !error.code || error.code === 'ATTACHMENT_NOT_FOUND') {
+            console.error('Failed to upload attachment:', error);
+            showToast(`Failed to upload ${file.name}`, 'error');
+        }
+    } finally {
+        uploadInProgress = false;
+        setUploadStatus(null);
+    }
+}
+
+// Voice note recording
+let voiceRecording = null;
+
+/**
+ * Starts recording a voice note, or stops and sends the one being recorded
+ */
+async function toggleVoiceRecording() {
+    if (voiceRecording) {
+        stopVoiceRecording(true);
+        return;
+    }
+
+    if (!state.currentRoom) return;
+
+    if (!state.encryptionEnabled || !state.encryptionKey) {
+        showToast('Voice notes can only be sent in end-to-end encrypted rooms', 'error');
+        return;
+    }
+
+    if (!navigator.mediaDevices || !window.MediaRecorder) {
+        showToast('Your browser cannot record audio', 'error');
+        return;
+    }
+
+    if (uploadInProgress) {
+        showToast('Please wait for the current upload to finish', 'info');
+        return;
+    }
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+        showToast('Microphone access was denied', 'error');
+        return;
+    }
+
+    // Low bitrate speech keeps a clip of the maximum length under the size limit
+    const bitsPerSecond = Math.min(64000, Math.floor(state.voiceNoteLimits.maxBytes * 8 * 0.9 / state.voiceNoteLimits.maxSeconds));
+    const recorder = new MediaRecorder(stream, { audioBitsPerSecond: bitsPerSecond });
+    const recording = { recorder, stream, chunks: [], startedAt: Date.now(), send: false, timer: null };
+
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) {
+            recording.chunks.push(event.data);
+        }
+    });
+    recorder.addEventListener('stop', () => {
+        stream.getTracks().forEach(track => track.stop());
+        if (!recording.send || recording.chunks.length === 0) return;
+
+        const duration = Math.min((Date.now() - recording.startedAt) / 1000, state.voiceNoteLimits.maxSeconds);
+        const type = recorder.mimeType || 'audio/webm';
+        const extension = type.includes('ogg') ? 'ogg' : type.includes('mp4') ? 'm4a' : 'webm';
+        const file = new File(recording.chunks, `voice-note.${extension}`, { type });
+        sendAttachment(file, Math.round(duration * 10) / 10);
+    });
+
+    voiceRecording = recording;
+    recorder.start();
+    voiceBtn.classList.add('active');
+    voiceBtn.title = 'Stop and send voice note';
+    cancelRecordingBtn.classList.remove('hidden');
+
+    const updateStatus = () => {
+        const elapsed = (Date.now() - recording.startedAt) / 1000;
+        if (elapsed >= state.voiceNoteLimits.maxSeconds) {
+            stopVoiceRecording(true);
+            return;
+        }
+        setUploadStatus(`Recording ${formatClipLength(elapsed)} / ${formatClipLength(state.voiceNoteLimits.maxSeconds)}`);
+    };
+    updateStatus();
+    recording.timer = setInterval(updateStatus, 250);
+}
+
+/**
+ * Stops the voice note being recorded, if any
+ * @param {boolean} send - Whether to send the recording or discard it
+ */
+function stopVoiceRecording(send) {
+    if (!voiceRecording) return;
+
+    const recording = voiceRecording;
+    voiceRecording = null;
+
+    clearInterval(recording.timer);
+    recording.send = send && Boolean(state.currentRoom);
+    if (recording.recorder.state !== 'inactive') {
+        recording.recorder.stop();
+    }
+
+    voiceBtn.classList.remove('active');
+    voiceBtn.title = 'Record a voice note';
+    cancelRecordingBtn.classList.add('hidden');
+    setUploadStatus(null);
+}
+
+/**
+ * Formats a clip length for voice notes
+ * @param {number} seconds - Length in seconds
+ * @returns {string} Length such as "0:07" or "1:42"
+ */
+function formatClipLength(seconds) {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Decrypts the name, type and IV of an attached file
+ * @param {Object} attachment - Attachment as received from the server ({ id, size, chunkCount, meta })
+ * @returns {Promise<Object>} Attachment with its decrypted details in info (null if unreadable)
+ */
+async function decryptAttachmentInfo(attachment) {
+    try {
+        const info = JSON.parse(await encryptionUtils.decryptMessage(JSON.parse(attachment.meta), state.encryptionKey));
+        return { ...attachment, info };
+    } catch (error) {
+        return { ...attachment, info: null };
+    }
+}
+
+/**
+ * Downloads, reassembles and decrypts an attachment, once per attachment
+ * @param {Object} attachment - Attachment with decrypted info
+ * @returns {Promise<string>} Object URL of the decrypted file
+ */
+function loadAttachment(attachment) {
+    if (!state.attachmentUrls.has(attachment.id)) {
+        const loading = fetchAttachment(attachment);
+        state.attachmentUrls.set(attachment.id, loading);
+
+        // Let a later click try again
+        loading.catch(() => state.attachmentUrls.delete(attachment.id));
+    }
+
+    return state.attachmentUrls.get(attachment.id);
+}
+
+/**
+ * Fetches an attachment chunk by chunk and decrypts it with the room key
+ * @param {Object} attachment - Attachment with decrypted info
+ * @returns {Promise<string>} Object URL of the decrypted file
+ */
+async function fetchAttachment(attachment) {
+    const chunks = [];
+    for (let index = 0; index < attachment.chunkCount; index++) {
+        const response = await requestWithAck('fetchAttachmentChunk', {
+            roomCode: state.currentRoom,
+            attachmentId: attachment.id,
+            index,
+            csrfToken: state.csrfToken
+        });
+        chunks.push(new Uint8Array(response.data));
+    }
+
+    const encrypted = await new Blob(chunks).arrayBuffer();
+    const decrypted = await encryptionUtils.decryptData(encrypted, attachment.info.iv, state.encryptionKey);
+    return URL.createObjectURL(new Blob([decrypted], { type: attachment.info.type || 'application/octet-stream' }));
+}
+
+/**
+ * Frees the decrypted files of the room we are leaving
+ */
+function revokeAttachmentUrls() {
+    for (const url of state.attachmentUrls.values()) {
+        url.then(URL.revokeObjectURL).catch(() => {});
+    }
+    state.attachmentUrls.clear();
+}
+
+/**
+ * Builds the attachment part of a message: an inline preview for images
+ * and a download button for everything
+ * @param {Object} attachment - Attachment with decrypted info
+ * @returns {HTMLElement} Attachment element
+ */
+function renderAttachment(attachment) {
+    const container = document.createElement('div');
+    container.classList.add('attachment');
+
+    const showUnavailable = () => {
+        container.classList.add('unavailable');
+        container.textContent = 'Attachment no longer available';
+    };
+
+    if (!attachment.info) {
+        container.classList.add('unavailable');
+        container.textContent = '[Encrypted attachment - unable to decrypt]';
+        return container;
+    }
+
+    const { name, type, size } = attachment.info;
+
+    // Voice notes are small, so they are fetched right away and get an inline player
+    if (attachment.kind === 'voice') {
+        const player = document.createElement('audio');
+        player.controls = true;
+        player.preload = 'metadata';
+        container.appendChild(player);
+
+        const label = document.createElement('div');
+        label.classList.add('attachment-label');
+        label.textContent = `🎤 Voice note · ${formatClipLength(attachment.duration || 0)}`;
+        container.appendChild(label);
+
+        loadAttachment(attachment)
+            .then(url => { player.src = url; })
+            .catch(showUnavailable);
+        return container;
+    }
+
+    // Images are fetched right away and shown inline
+    if (PREVIEWABLE_IMAGE_TYPES.includes(type)) {
+        const image = document.createElement('img');
+        image.alt = name;
+        container.appendChild(image);
+        loadAttachment(attachment)
+            .then(url => {
+                image.src = url;
+                image.addEventListener('load', scrollToBottom, { once: true });
+            })
+            .catch(showUnavailable);
+    }
+
+    const label = document.createElement('div');
+    label.classList.add('attachment-label');
+
+    const fileName = document.createElement('span');
+    fileName.textContent = `📎 ${name} (${formatFileSize(size)})`;
+    label.appendChild(fileName);
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.classList.add('message-action-btn');
+    downloadBtn.textContent = 'Download';
+    downloadBtn.addEventListener('click', async () => {
+        downloadBtn.disabled = true;
+        try {
+            const link = document.createElement('a');
+            link.href = await loadAttachment(attachment);
+            link.download = name;
+            link.click();
+        } catch (error) {
+            showUnavailable();
+        } finally {
+            downloadBtn.disabled = false;
+        }
+    });
+    label.appendChild(downloadBtn);
+
+    container.appendChild(label);
+    return container;
+}
+
+// Message edits from any room member
+socket.on('messageEdited', async (message) => {
+    const updated = await decryptIncomingMessage(message);
+    cacheMessage(updated);
+
+    const pin = state.pinnedMessages.find(pinned => pinned.id === message.id);
+    if (pin) {
+        pin.text = updated.text;
+        renderPinnedBar();
+    }
+
+    const li = findMessageElement(message.id);
+    if (!li) return;
+
+    const textElement = li.querySelector('.text');
+    if (textElement) {
+        renderMessageText(textElement, updated.text);
+    }
+    li.classList.toggle('mentioned', isMentioningMe(updated));
+    li.classList.toggle('decryption-failed', Boolean(updated.decryptionFailed));
+    markMessageEdited(li);
+});
+
+// Message deletions by the author or the room owner
+socket.on('messageDeleted', ({ id }) => {
+    // The server drops the pin along with the message
+    removePinnedMessages([id]);
+
+    const li = findMessageElement(id);
+    if (!li) return;
+
+    if (state.editingMessageId === id) {
+        cancelEditMessage();
+    }
+    if (state.replyingTo === id) {
+        cancelReply();
+    }
+
+    // Quotes of this message fall back to "unavailable"
+    state.messageCache.delete(id);
+    refreshReplyQuotes(id);
+
+    // Leave a tombstone so the conversation keeps its shape
+    li.classList.add('deleted-message');
+    const textElement = li.querySelector('.text');
+    if (textElement) {
+        messageTextSources.delete(textElement);
+        textElement.textContent = 'Message deleted';
+    }
+    li.querySelectorAll('.message-actions, .edited-marker, .reaction-bar, .reaction-picker, .attachment').forEach(el => el.remove());
+});
+
+// Disappearing messages that outlived the room's TTL
+socket.on('messagesExpired', ({ ids }) => removeExpiredMessages(ids));
+
+// Next local check for messages past the room's TTL
+let messageExpiryTimer = null;
+
+/**
+ * Drops messages that outlived the room's TTL and schedules the next check.
+ * The server announces expiries too, but only to sockets connected at the time
+ * @returns {void}
+ */
+function expireMessages() {
+    clearTimeout(messageExpiryTimer);
+    messageExpiryTimer = null;
+
+    const ttl = state.roomSettings ? state.roomSettings.messageTtl : null;
+    if (!ttl) return;
+
+    const now = Date.now();
+    const expired = [];
+    let nextExpiry = Infinity;
+
+    // Timestamps come from the server's clock
+    messagesContainer.querySelectorAll('li[data-timestamp]:not(.expiring-message)').forEach(li => {
+        const expiresAt = Number(li.dataset.timestamp) - state.clockOffset + ttl * 1000;
+        if (expiresAt <= now) {
+            expired.push(li.dataset.messageId);
+        } else {
+            nextExpiry = Math.min(nextExpiry, expiresAt);
+        }
+    });
+
+    if (expired.length > 0) {
+        removeExpiredMessages(expired);
+    }
+    if (nextExpiry !== Infinity) {
+        messageExpiryTimer = setTimeout(expireMessages, nextExpiry - now);
+    }
+}
+
+/**
+ * Removes expired messages from the chat, the pins and the reply cache
+ * @param {string[]} ids - IDs of the expired messages
+ */
+function removeExpiredMessages(ids) {
+    removePinnedMessages(ids);
+
+    ids.forEach(id => {
+        if (state.editingMessageId === id) {
+            cancelEditMessage();
+        }
+        if (state.replyingTo === id) {
+            cancelReply();
+        }
+
+        state.messageCache.delete(id);
+        state.myReactions.delete(id);
+        refreshReplyQuotes(id);
+
+        // Fade out, then drop the element so nothing lingers in the tab
+        const li = findMessageElement(id);
+        if (li) {
+            li.classList.add('expiring-message');
+            setTimeout(() => li.remove(), 600);
+        }
+    });
+}
+
+// View-once messages every recipient has opened, dropped by the server
+socket.on('viewOnceConsumed', ({ ids }) => {
+    ids.forEach(id => {
+        const li = findMessageElement(id);
+        if (!li) return;
+
+        state.myReactions.delete(id);
+        li.querySelectorAll('.message-actions, .reaction-bar, .reaction-picker').forEach(el => el.remove());
+
+        // A reveal in progress hides itself when its timer runs out
+        const textElement = li.querySelector('.text');
+        if (textElement && !textElement.classList.contains('view-once-revealed')) {
+            markViewOnceOpened(textElement);
+        }
+    });
+});
+
+// Message formatting
+
+// Inline markup: `code`, **bold**, ~~strikethrough~~, *italic* or _italic_, http(s) links and @mentions
+const INLINE_FORMAT_PATTERN = /`([^`\n]+)`|\*\*(.+?)\*\*|~~(.+?)~~|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b|(https?:\/\/[^\s<>"]+)|(?<![\w@])@(\w{1,20})/g;
+
+// Fenced code blocks: ```code```, with an optional language hint that is ignored
+const CODE_BLOCK_PATTERN = /```(?:[\w+-]*\n)?([\s\S]+?)```/g;
+
+// Raw text of rendered message elements, so they can be redrawn when the setting changes
+const messageTextSources = new WeakMap();
+
+/**
+ * Whether message formatting is enabled in the user's settings
+ * @returns {boolean} True unless the user chose to see raw text
+ */
+function isFormattingEnabled() {
+    if (!window.settingsManager) return true;
+    return window.settingsManager.getSettings().formatMessages !== false;
+}
+
+/**
+ * Shows message text, formatted unless the user prefers raw text.
+ * Formatting builds DOM nodes from an allowlist, never HTML strings.
+ * @param {HTMLElement} element - Text element of the message
+ * @param {string} text - Plain (decrypted) message text
+ */
+function renderMessageText(element, text) {
+    messageTextSources.set(element, text);
+
+    if (!isFormattingEnabled()) {
+        element.textContent = text;
+        return;
+    }
+
+    element.replaceChildren(...formatMessageText(text));
+}
+
+/**
+ * Redraws every message text after the formatting setting changes
+ */
+function rerenderMessageTexts() {
+    messagesContainer.querySelectorAll('.message .text').forEach(element => {
+        if (messageTextSources.has(element)) {
+            renderMessageText(element, messageTextSources.get(element));
+        }
+    });
+}
+
+/**
+ * Turns message text into DOM nodes, splitting out fenced code blocks first
+ * @param {string} text - Plain message text
+ * @returns {Node[]} Nodes to show
+ */
+function formatMessageText(text) {
+    const nodes = [];
+    let position = 0;
+
+    for (const match of text.matchAll(CODE_BLOCK_PATTERN)) {
+        nodes.push(...formatInline(text.slice(position, match.index)));
+
+        const pre = document.createElement('pre');
+        const code = document.createElement('code');
+        code.textContent = match[1];
+        pre.appendChild(code);
+        nodes.push(pre);
+
+        position = match.index + match[0].length;
+    }
+
+    nodes.push(...formatInline(text.slice(position)));
+    return nodes;
+}
+
+/**
+ * Turns inline markup into DOM nodes. Emphasis may be nested; code and links are leaves.
+ * @param {string} text - Text without code blocks
+ * @returns {Node[]} Nodes to show
+ */
+function formatInline(text) {
+    const nodes = [];
+    const pattern = new RegExp(INLINE_FORMAT_PATTERN.source, 'g');
+    let position = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const [whole, code, bold, strike, starItalic, underscoreItalic, url, mention] = match;
+        let node;
+        let length = whole.length;
+
+        if (code !== undefined) {
+            node = document.createElement('code');
+            node.textContent = code;
+        } else if (bold !== undefined || strike !== undefined) {
+            node = document.createElement(bold !== undefined ? 'strong' : 'del');
+            node.append(...formatInline(bold !== undefined ? bold : strike));
+        } else if (starItalic !== undefined || underscoreItalic !== undefined) {
+            node = document.createElement('em');
+            node.append(...formatInline(starItalic !== undefined ? starItalic : underscoreItalic));
+        } else if (mention !== undefined) {
+            node = document.createElement('span');
+            node.classList.add('mention');
+            node.classList.toggle('mention-self', mention === state.username);
+            node.textContent = whole;
+        } else {
+            // Punctuation at the end of a sentence isn't part of the link
+            const href = url.replace(/[.,;:!?)\]'"]+$/, '');
+            length = href.length;
+            node = createSafeLink(href);
+        }
+
+        if (match.index > position) {
+            nodes.push(document.createTextNode(text.slice(position, match.index)));
+        }
+        nodes.push(node);
+        position = match.index + length;
+        pattern.lastIndex = position;
+    }
+
+    if (position < text.length) {
+        nodes.push(document.createTextNode(text.slice(position)));
+    }
+    return nodes;
+}
+
+// Mentions
+
+/**
+ * Whether a message from someone else mentions the current user by @username
+ * @param {Object} message - Decrypted message
+ * @returns {boolean} True if the message text contains @ followed by our username
+ */
+function isMentioningMe(message) {
+    if (!state.username || message.username === state.username || message.decryptionFailed || typeof message.text !== 'string') {
+        return false;
+    }
 
-    // Add system message and display occupents
+    return new RegExp(`(?<![\\w@])@${state.username}(?!\\w)`).test(message.text);
+}
 
-    addSystemMessage(`Welcome to ${roomCode}! Current occupants: ${users.filter(user => user !== state.username).join(', ')}`);
+// Desktop notifications and the unread badge
+const notificationService = {
+    unreadCount: 0,
+    baseTitle: document.title,
+    faviconLink: null,
+    notificationsWereEnabled: false,
 
-    // Show encryption status and update UI
-    if (state.encryptionEnabled && state.encryptionKey) {
-        addSystemMessage(`End-to-end encryption is enabled in this room.`);
-        // Edit the Encryption text next to room code to indicate encryption is enabled
-        const encryptionText = document.querySelector('.encryption-text');
-        if (encryptionText) {
-            encryptionText.textContent = 'Encrypted';
-            encryptionText.classList.remove('disabled');
-            // change icon
-            const icon = encryptionText.querySelector('i');
-            if (icon) {
-                icon.classList.remove('fa-lock-open');
-                icon.classList.add('fa-lock');
-            }
+    /**
+     * Reacts to settings changes, asking for permission when notifications are turned on
+     * @param {Object} settings - Current user settings
+     */
+    applySettings(settings) {
+        const justEnabled = settings.notifications && !this.notificationsWereEnabled;
+        this.notificationsWereEnabled = settings.notifications;
+        if (!justEnabled) return;
+
+        if (!('Notification' in window)) {
+            showToast('Your browser does not support desktop notifications', 'info');
+        } else if (Notification.permission === 'default') {
+            Notification.requestPermission().then(permission => {
+                if (permission === 'denied') {
+                    showToast('Notifications are blocked by your browser', 'info');
+                }
+            });
+        } else if (Notification.permission === 'denied') {
+            showToast('Notifications are blocked by your browser', 'info');
         }
-    } else if (!state.encryptionKey) {
-        addSystemMessage(`Warning: Messages in this room are not end-to-end encrypted.`);
-        const encryptionText = document.querySelector('.encryption-text');
-        if (encryptionText) {
-            encryptionText.textContent = 'Insecure';
-            encryptionText.classList.add('disabled');
-            // change icon
-            const icon = encryptionText.querySelector('i');
-            if (icon) {
-                icon.classList.remove('fa-lock');
-                icon.classList.add('fa-lock-open');
-            }
+    },
+
+    /**
+     * Whether desktop notifications are turned on and allowed by the browser
+     * @returns {boolean} True if notifications can be shown
+     */
+    canNotify() {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return false;
+        return Boolean(window.settingsManager && window.settingsManager.getSettings().notifications);
+    },
+
+    /**
+     * Counts a new message from someone else while the chat is out of view,
+     * and notifies about it if the tab is hidden
+     * @param {Object} message - Decrypted message
+     */
+    handleIncomingMessage(message) {
+        if (!document.hidden && document.hasFocus()) return;
+
+        this.unreadCount++;
+        this.updateBadge();
+
+        if (document.hidden && this.canNotify()) {
+            this.notify(message);
         }
-    }
+    },
 
-    // Update users list
-    updateUsersList();
+    /**
+     * Shows a desktop notification for a message. Only the sender and room are
+     * shown unless the user opted in to message previews; view-once text never is.
+     * @param {Object} message - Decrypted message
+     */
+    notify(message) {
+        const mentioned = isMentioningMe(message);
+        const settings = window.settingsManager.getSettings();
+        const showText = settings.notificationPreviews && !message.viewOnce && !message.decryptionFailed;
 
-    // Scroll to bottom
-    scrollToBottom();
+        const notification = new Notification(mentioned ? `${message.username} mentioned you` : `New message from ${message.username}`, {
+            body: showText ? truncateText(getPreviewText(message), 120) : `In room ${state.currentRoom}`,
+            // Ordinary messages replace each other; mentions stay until dismissed
+            tag: mentioned ? `mention-${message.id}` : `room-${state.currentRoom}`
+        });
+        notification.addEventListener('click', () => {
+            window.focus();
+            if (message.id) {
+                scrollToMessage(message.id);
+            }
+            notification.close();
+        });
+    },
 
-    // Show toast notification
-    showToast(`You joined room: ${roomCode}`, 'success');
-});
+    /**
+     * Resets the unread counter
+     */
+    clearUnread() {
+        if (this.unreadCount === 0) return;
 
-socket.on('userJoined', ({ username, users }) => {
-    state.users = users;
-    updateUsersList();
+        this.unreadCount = 0;
+        this.updateBadge();
+    },
 
-    // Show toast notification
-    showToast(`${username} joined the room`, 'info');
-});
+    /**
+     * Shows the unread counter in the page title and the favicon
+     */
+    updateBadge() {
+        const label = this.unreadCount > 99 ? '99+' : String(this.unreadCount);
+        document.title = this.unreadCount > 0 ? `(${label}) ${this.baseTitle}` : this.baseTitle;
+
+        if (this.unreadCount === 0) {
+            // Fall back to the browser's default icon
+            if (this.faviconLink) {
+                this.faviconLink.remove();
+                this.faviconLink = null;
+            }
+            return;
+        }
 
-socket.on('userLeft', ({ username, users, newOwner }) => {
-    state.users = users;
+        if (!this.faviconLink) {
+            this.faviconLink = document.createElement('link');
+            this.faviconLink.rel = 'icon';
+            document.head.appendChild(this.faviconLink);
+        }
+        this.faviconLink.href = this.drawBadge(label);
+    },
 
-    // Check if current user is now the room owner
-    if (newOwner && socket.id === newOwner) {
-        state.isRoomOwner = true;
-        showToast('You are now the room owner', 'info');
+    /**
+     * Draws a favicon with the unread count
+     * @param {string} label - Count to show
+     * @returns {string} PNG data URL (allowed by the img-src CSP directive)
+     */
+    drawBadge(label) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 32;
+        canvas.height = 32;
+        const context = canvas.getContext('2d');
+
+        context.fillStyle = '#e53935';
+        context.beginPath();
+        context.arc(16, 16, 16, 0, Math.PI * 2);
+        context.fill();
+
+        context.fillStyle = '#ffffff';
+        context.font = `bold ${label.length > 2 ? 13 : 18}px sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(label, 16, 17);
+
+        return canvas.toDataURL('image/png');
     }
+};
 
-    updateUsersList();
+// Mention autocomplete in the composer
+const mentionAutocomplete = { matches: [], index: 0, start: 0 };
+
+/**
+ * Suggests room members while an @mention is being typed at the caret
+ */
+function updateMentionSuggestions() {
+    const caret = messageInput.selectionStart;
+    const match = messageInput.value.slice(0, caret).match(/(?:^|\s)@(\w{0,20})$/);
+    if (!match) {
+        hideMentionSuggestions();
+        return;
+    }
 
-    // Show toast notification
-    showToast(`${username} left the room`, 'info');
-});
+    const query = match[1].toLowerCase();
+    mentionAutocomplete.matches = state.users
+        .filter(username => username !== state.username && username.toLowerCase().startsWith(query))
+        .slice(0, 5);
+    mentionAutocomplete.index = 0;
+    mentionAutocomplete.start = caret - match[1].length - 1;
 
-socket.on('roomDeleted', () => {
-    showToast('This room has been deleted', 'error');
+    if (mentionAutocomplete.matches.length === 0) {
+        hideMentionSuggestions();
+        return;
+    }
+    renderMentionSuggestions();
+}
 
-    // Reset state
-    state.currentRoom = null;
-    state.isRoomOwner = false;
-    state.sessionToken = null;
-    state.csrfToken = null;
-    state.encryptionKey = null;
+/**
+ * Draws the suggestion list, highlighting the selected member
+ */
+function renderMentionSuggestions() {
+    mentionSuggestionsList.replaceChildren(...mentionAutocomplete.matches.map((username, index) => {
+        const item = document.createElement('li');
+        item.textContent = `@${username}`;
+        item.classList.toggle('active', index === mentionAutocomplete.index);
+
+        // mousedown fires before the input loses focus
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            insertMention(username);
+        });
+        return item;
+    }));
+    mentionSuggestionsList.classList.remove('hidden');
+}
 
-    // Clear UI
-    messagesContainer.innerHTML = '';
+/**
+ * Hides the suggestion list
+ */
+function hideMentionSuggestions() {
+    mentionAutocomplete.matches = [];
+    mentionSuggestionsList.classList.add('hidden');
+}
 
-    // Navigate back
-    navigateTo('room-selection');
-});
+/**
+ * Replaces the partial @mention at the caret with the chosen username
+ * @param {string} username - Member to mention
+ */
+function insertMention(username) {
+    const caret = messageInput.selectionStart;
+    const value = messageInput.value;
+    const inserted = `@${username} `;
+
+    messageInput.value = value.slice(0, mentionAutocomplete.start) + inserted + value.slice(caret);
+    const position = mentionAutocomplete.start + inserted.length;
+    messageInput.setSelectionRange(position, position);
+    messageInput.focus();
+    hideMentionSuggestions();
+}
 
-socket.on('error', (errorMessage) => {
-    showToast(errorMessage, 'error');
-});
+/**
+ * Keyboard navigation for the suggestion list
+ * @param {KeyboardEvent} e - Keydown event from the message input
+ */
+function handleMentionKeydown(e) {
+    if (mentionAutocomplete.matches.length === 0) return;
 
-// User kicked events
-socket.on('userKicked', ({ username }) => {
-    showToast(`${username} was kicked from the room`, 'success');
-});
+    const count = mentionAutocomplete.matches.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        mentionAutocomplete.index = (mentionAutocomplete.index + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        renderMentionSuggestions();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(mentionAutocomplete.matches[mentionAutocomplete.index]);
+    } else if (e.key === 'Escape') {
+        // Close the list without also leaving edit or reply mode
+        e.stopImmediatePropagation();
+        hideMentionSuggestions();
+    }
+}
 
-socket.on('kickedFromRoom', () => {
-    showToast('You have been kicked from the room', 'error');
-    leaveRoom();
-});
+/**
+ * Creates a link that opens in a new tab without access to this page
+ * @param {string} href - http(s) URL from the message
+ * @returns {Node} Link element, or a text node if the URL doesn't parse
+ */
+function createSafeLink(href) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch (error) {
+        return document.createTextNode(href);
+    }
 
-// Message handling with encryption
-socket.on('newMessage', (message) => {
-    processAndAddMessage(message);
-});
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return document.createTextNode(href);
+    }
 
-// Process incoming messages (decrypt if needed)
-async function processAndAddMessage(message) {
-    try {
-        // Handle system messages separately
-        if (message.isSystem || message.username === 'System') {
-            addSystemMessage(message.text);
-            return;
-        }
+    const link = document.createElement('a');
+    link.href = url.href;
+    link.textContent = href;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    return link;
+}
 
-        // If message is encrypted and we have a key, decrypt it
-        if (message.isEncrypted && state.encryptionKey) {
-            try {
-                // Try to parse the JSON encrypted data
-                const encryptedData = JSON.parse(message.text);
+/**
+ * Shows the content of a view-once message. Our own copy shows the text;
+ * recipients get a placeholder that reveals it briefly on the first click.
+ * @param {HTMLElement} textElement - Text element of the message
+ * @param {Object} message - Decrypted message
+ * @param {boolean} isCurrentUser - Whether we sent the message
+ */
+function renderViewOnceText(textElement, message, isCurrentUser) {
+    if (isCurrentUser) {
+        renderMessageText(textElement, message.text);
+        return;
+    }
 
-                // Decrypt the message
-                const decryptedText = await encryptionUtils.decryptMessage(encryptedData, state.encryptionKey);
+    let text = message.text;
+    textElement.textContent = 'View once message - click to reveal';
+    textElement.classList.add('view-once-hidden');
+    textElement.title = 'This message can only be viewed once';
 
-                // Create a decrypted version of the message
-                const decryptedMessage = {
-                    ...message,
-                    text: decryptedText,
-                    decrypted: true
-                };
+    textElement.addEventListener('click', () => {
+        if (text === null) return;
 
-                // Add the decrypted message
-                addMessage(decryptedMessage);
-            } catch (error) {
-                console.error('Failed to decrypt message:', error);
+        renderMessageText(textElement, text);
+        text = null;
+        textElement.classList.replace('view-once-hidden', 'view-once-revealed');
+        textElement.title = '';
 
-                // Add a placeholder indicating encryption
-                const failedMessage = {
-                    ...message,
-                    text: '[Encrypted message - unable to decrypt]',
-                    decryptionFailed: true
-                };
+        socket.emit('messageViewed', { roomCode: state.currentRoom, messageId: message.id });
+        setTimeout(() => markViewOnceOpened(textElement), VIEW_ONCE_REVEAL_DURATION);
+    });
+}
 
-                addMessage(failedMessage);
-            }
+/**
+ * Replaces the content of a view-once message once it has been seen
+ * @param {HTMLElement} textElement - Text element of the message
+ */
+function markViewOnceOpened(textElement) {
+    messageTextSources.delete(textElement);
+    textElement.textContent = 'Opened';
+    textElement.classList.remove('view-once-hidden', 'view-once-revealed');
+    textElement.classList.add('view-once-opened');
+    textElement.title = '';
+}
+
+// Reaction changes from any room member
+socket.on('reactionUpdated', ({ messageId, emoji, added, username, reactions }) => {
+    // Track our own reactions so they can be highlighted
+    if (username === state.username) {
+        const mine = state.myReactions.get(messageId) || new Set();
+        if (added) {
+            mine.add(emoji);
         } else {
-            // Message is not encrypted or we don't have a key
-            addMessage(message);
+            mine.delete(emoji);
         }
-    } catch (error) {
-        console.error('Error processing message:', error);
+        state.myReactions.set(messageId, mine);
+    }
 
-        // If all else fails, just show the message as-is
-        addMessage(message);
+    const li = findMessageElement(messageId);
+    const bar = li && li.querySelector('.reaction-bar');
+    if (bar) {
+        renderReactionBar(bar, messageId, reactions);
     }
+});
+
+/**
+ * Adds the "(edited)" marker next to a message timestamp once
+ * @param {HTMLElement} li - Message list item
+ */
+function markMessageEdited(li) {
+    if (li.querySelector('.edited-marker')) return;
+
+    const timestampElement = li.querySelector('.timestamp');
+    if (!timestampElement) return;
+
+    const marker = document.createElement('span');
+    marker.classList.add('edited-marker');
+    marker.textContent = ' (edited)';
+    timestampElement.appendChild(marker);
 }
 
 // UI Helper Functions
@@ -935,6 +3655,10 @@ function toggleModal(modal, show) {
 
 function addMessage(message) {
     const li = document.createElement('li');
+    if (message.id) {
+        li.dataset.messageId = message.id;
+        li.dataset.timestamp = message.timestamp;
+    }
 
     // Check if this message is from the current user
     const isCurrentUser = message.username === state.username;
@@ -952,6 +3676,9 @@ function addMessage(message) {
     if (message.decryptionFailed) {
         li.classList.add('decryption-failed');
     }
+    if (isMentioningMe(message)) {
+        li.classList.add('mentioned');
+    }
 
     // Format timestamp
     const timestamp = new Date(message.timestamp).toLocaleTimeString([], {
@@ -1002,20 +3729,55 @@ function addMessage(message) {
         decryptionFailedIndicator.style.fontSize = '0.8em';
         usernameElement.appendChild(decryptionFailedIndicator);
     }
+    if (message.viewOnce) {
+        li.classList.add('view-once-message');
+
+        const viewOnceIndicator = document.createElement('span');
+        viewOnceIndicator.classList.add('view-once-badge');
+        viewOnceIndicator.textContent = 'View once';
+        usernameElement.appendChild(viewOnceIndicator);
+    }
 
     messageElement.appendChild(usernameElement);
 
+    // Quoted preview of the message being replied to
+    if (message.replyTo) {
+        const quote = document.createElement('div');
+        quote.classList.add('reply-quote');
+        quote.dataset.replyTo = message.replyTo;
+        quote.title = 'Jump to original message';
+        renderReplyQuote(quote);
+        quote.addEventListener('click', () => scrollToMessage(message.replyTo));
+        messageElement.appendChild(quote);
+    }
+
     // Message text
     const textElement = document.createElement('div');
     textElement.classList.add('text');
-    textElement.textContent = message.text;
+    if (message.viewOnce) {
+        renderViewOnceText(textElement, message, isCurrentUser);
+    } else {
+        renderMessageText(textElement, message.text);
+    }
     messageElement.appendChild(textElement);
 
+    // Encrypted file sent with the message
+    if (message.attachment) {
+        messageElement.appendChild(renderAttachment(message.attachment));
+    }
+
     // Timestamp
     const timestampElement = document.createElement('div');
     timestampElement.classList.add('timestamp');
     timestampElement.textContent = timestamp;
 
+    if (message.editedAt) {
+        const marker = document.createElement('span');
+        marker.classList.add('edited-marker');
+        marker.textContent = ' (edited)';
+        timestampElement.appendChild(marker);
+    }
+
     // Apply current timestamp visibility setting from settings manager
     if (window.settingsManager) {
         const settings = window.settingsManager.getSettings();
@@ -1024,6 +3786,86 @@ function addMessage(message) {
 
     messageElement.appendChild(timestampElement);
 
+    // Delivery state for our own messages
+    if (isCurrentUser && message.id) {
+        const receiptElement = document.createElement('div');
+        receiptElement.classList.add('read-receipt');
+        messageElement.appendChild(receiptElement);
+    }
+
+    // Message actions: anyone can reply or react, authors manage their own messages, owners can remove any
+    if (message.id && !message.decryptionFailed) {
+        const reactionBar = document.createElement('div');
+        reactionBar.classList.add('reaction-bar');
+        renderReactionBar(reactionBar, message.id, message.reactions);
+        messageElement.appendChild(reactionBar);
+
+        const picker = document.createElement('div');
+        picker.classList.add('reaction-picker', 'hidden');
+        REACTIONS.forEach(emoji => {
+            const option = document.createElement('button');
+            option.textContent = emoji;
+            option.addEventListener('click', () => {
+                picker.classList.add('hidden');
+                sendReaction(message.id, emoji);
+            });
+            picker.appendChild(option);
+        });
+        messageElement.appendChild(picker);
+
+        const actions = document.createElement('div');
+        actions.classList.add('message-actions');
+
+        const reactBtn = document.createElement('button');
+        reactBtn.classList.add('message-action-btn');
+        reactBtn.textContent = 'React';
+        reactBtn.title = 'Add reaction';
+        reactBtn.addEventListener('click', () => picker.classList.toggle('hidden'));
+        actions.appendChild(reactBtn);
+
+        // View-once messages can't be quoted or edited
+        if (!message.viewOnce) {
+            const replyBtn = document.createElement('button');
+            replyBtn.classList.add('message-action-btn');
+            replyBtn.textContent = 'Reply';
+            replyBtn.title = 'Reply to message';
+            replyBtn.addEventListener('click', () => startReply(message.id));
+            actions.appendChild(replyBtn);
+        }
+
+        if (isCurrentUser && !message.viewOnce) {
+            const editBtn = document.createElement('button');
+            editBtn.classList.add('message-action-btn');
+            editBtn.textContent = 'Edit';
+            editBtn.title = 'Edit message';
+            editBtn.addEventListener('click', () => {
+                startEditMessage(message.id, textElement.textContent);
+            });
+            actions.appendChild(editBtn);
+        }
+
+        // Pinned messages stay at the top of the chat for everyone
+        if (!message.viewOnce && canPinMessages()) {
+            const pinBtn = document.createElement('button');
+            pinBtn.classList.add('message-action-btn', 'pin-btn');
+            pinBtn.textContent = isMessagePinned(message.id) ? 'Unpin' : 'Pin';
+            pinBtn.title = 'Pin or unpin message';
+            pinBtn.addEventListener('click', () => requestPinChange(message.id, !isMessagePinned(message.id)));
+            actions.appendChild(pinBtn);
+        }
+
+        if (isCurrentUser || canModerateUser(message.username)) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.classList.add('message-action-btn');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.title = 'Delete message';
+            deleteBtn.addEventListener('click', () => requestDeleteMessage(message.id));
+            actions.appendChild(deleteBtn);
+        }
+
+        messageElement.appendChild(actions);
+    }
+
     // Append avatar and message to container
     if (isCurrentUser) {
         // For current user, place message first, then avatar
@@ -1037,12 +3879,15 @@ function addMessage(message) {
 
     // Append the message container to the list item
     li.appendChild(messageContainer);
+    renderReadReceipt(li);
 
     // Append to the messages container
     messagesContainer.appendChild(li);
 
     // Scroll to bottom
     scrollToBottom();
+
+    return li;
 }
 
 // Add this helper function to generate consistent colors from usernames
@@ -1054,9 +3899,12 @@ function getHashCode(str) {
     return Math.abs(hash);
 }
 
-function addSystemMessage(text) {
+function addSystemMessage(text, messageId = null) {
     const li = document.createElement('li');
     li.classList.add('system-message');
+    if (messageId) {
+        li.dataset.messageId = messageId;
+    }
 
     // Check if it's a command message to apply special styling
     if (text.startsWith('/')) {
@@ -1080,15 +3928,100 @@ function scrollToBottom() {
     }
 }
 
+// Role ranks, mirroring the server: moderation only applies to lower-ranked members
+const ROLE_RANKS = { owner: 3, moderator: 2, member: 1, muted: 1 };
+const ROLE_LABELS = { moderator: 'Mod', muted: 'Muted' };
+
+/**
+ * Gets a member's role in the current room
+ * @param {string} username - Member's username
+ * @returns {string} Role (owner, moderator, member or muted)
+ */
+function getUserRole(username) {
+    return state.roles[username] || 'member';
+}
+
+/**
+ * Checks if the current user may moderate (kick, delete messages of) another member
+ * @param {string} username - Member's username
+ * @returns {boolean} True if we are a moderator or owner ranking above them
+ */
+function canModerateUser(username) {
+    const rank = ROLE_RANKS[getUserRole(state.username)];
+    return rank >= ROLE_RANKS.moderator && rank > ROLE_RANKS[getUserRole(username)];
+}
+
+/**
+ * Asks the server to promote a member to moderator or demote them back
+ * @param {string} username - Member's username
+ * @param {string} role - 'moderator' or 'member'
+ */
+function requestRoleChange(username, role) {
+    if (!state.currentRoom || !state.isRoomOwner || !state.csrfToken) return;
+
+    socket.emit(role === 'moderator' ? 'promoteUser' : 'demoteUser', {
+        roomCode: state.currentRoom,
+        username,
+        csrfToken: state.csrfToken
+    });
+}
+
 function updateUsersList() {
     userList.innerHTML = '';
 
     state.users.forEach(username => {
+        const role = getUserRole(username);
         const li = document.createElement('li');
         li.textContent = username;
 
-        // Only show kick button for room owner and for other users (not for self)
+        // Highlight the room owner and label moderators and muted members
+        if (role === 'owner') {
+            li.classList.add('owner');
+        } else if (ROLE_LABELS[role]) {
+            const badge = document.createElement('span');
+            badge.className = `role-badge role-${role}`;
+            badge.textContent = ROLE_LABELS[role];
+            li.appendChild(badge);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'user-actions';
+
+        // Only the owner can promote or demote other members
         if (state.isRoomOwner && username !== state.username) {
+            const isModerator = role === 'moderator';
+            const roleBtn = document.createElement('button');
+            roleBtn.className = 'icon-btn';
+            roleBtn.title = isModerator ? 'Remove moderator' : 'Make moderator';
+            roleBtn.innerHTML = isModerator ? '<i class="fas fa-user-minus"></i>' : '<i class="fas fa-user-shield"></i>';
+
+            roleBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                requestRoleChange(username, isModerator ? 'member' : 'moderator');
+            });
+
+            actions.appendChild(roleBtn);
+        }
+
+        // Show mute and kick buttons for members ranked below the current user
+        if (canModerateUser(username)) {
+            const isMuted = role === 'muted';
+            const muteBtn = document.createElement('button');
+            muteBtn.className = 'icon-btn';
+            muteBtn.title = isMuted ? 'Unmute user' : 'Mute user';
+            muteBtn.innerHTML = isMuted ? '<i class="fas fa-microphone"></i>' : '<i class="fas fa-microphone-slash"></i>';
+
+            muteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (isMuted) {
+                    unmuteUser(username);
+                } else {
+                    toggleMuteModal(true, username);
+                }
+            });
+
+            actions.appendChild(muteBtn);
+
             const kickBtn = document.createElement('button');
             kickBtn.className = 'icon-btn warning';
             kickBtn.title = 'Kick user';
@@ -1099,12 +4032,11 @@ function updateUsersList() {
                 confirmKickUser(username);
             });
 
-            li.appendChild(kickBtn);
+            actions.appendChild(kickBtn);
         }
 
-        // Highlight the room owner
-        if (username === state.username && state.isRoomOwner) {
-            li.classList.add('owner');
+        if (actions.children.length > 0) {
+            li.appendChild(actions);
         }
 
         userList.appendChild(li);
@@ -1135,6 +4067,16 @@ function createKickConfirmModal() {
                 <p style="color: var(--text-secondary); font-size: 0.9rem; margin-top: 0.5rem;">
                     This user will not be able to rejoin unless they know the room code.
                 </p>
+                <div id="kick-ban-options" class="settings-option hidden">
+                    <label for="kick-ban-duration">Ban from rejoining:</label>
+                    <select id="kick-ban-duration">
+                        <option value="">Don't ban</option>
+                        <option value="15">15 minutes</option>
+                        <option value="60">1 hour</option>
+                        <option value="360">6 hours</option>
+                        <option value="1440">24 hours</option>
+                    </select>
+                </div>
             </div>
             <div class="modal-footer">
                 <button id="confirm-kick-btn" class="danger-btn">Yes, Kick User</button>
@@ -1162,6 +4104,10 @@ function toggleKickModal(show, username = null) {
     if (show && username) {
         userToKick = username;
         document.getElementById('kick-username').textContent = username;
+
+        // Only the owner can ban
+        document.getElementById('kick-ban-options').classList.toggle('hidden', !state.isRoomOwner);
+        document.getElementById('kick-ban-duration').value = '';
     } else {
         userToKick = null;
     }
@@ -1174,20 +4120,114 @@ function confirmKickUser(username) {
 }
 
 function executeKickUser() {
-    if (!userToKick || !state.currentRoom || !state.isRoomOwner || !state.csrfToken) {
+    if (!userToKick || !state.currentRoom || !canModerateUser(userToKick) || !state.csrfToken) {
         toggleKickModal(false);
         return;
     }
 
+    const banDuration = state.isRoomOwner ? document.getElementById('kick-ban-duration').value : '';
     socket.emit('kickUser', {
         roomCode: state.currentRoom,
         userToKickUsername: userToKick,
-        csrfToken: state.csrfToken
+        csrfToken: state.csrfToken,
+        ban: Boolean(banDuration),
+        banDuration: banDuration ? parseInt(banDuration, 10) : undefined
     });
 
     toggleKickModal(false);
 }
 
+// User mute functionality
+let userToMute = null;
+
+function createMuteModal() {
+    // Check if modal already exists
+    if (document.getElementById('mute-modal')) {
+        return document.getElementById('mute-modal');
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'mute-modal';
+    modal.className = 'modal';
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-microphone-slash"></i> Mute User</h3>
+                <button class="close-modal">&times;</button>
+            </div>
+            <div class="modal-body">
+                <p>Mute <span id="mute-username"></span>? Muted users can still read the chat but cannot send messages.</p>
+                <div class="settings-option">
+                    <label for="mute-duration-select">Duration</label>
+                    <select id="mute-duration-select">
+                        <option value="5">5 minutes</option>
+                        <option value="15">15 minutes</option>
+                        <option value="60">1 hour</option>
+                        <option value="1440">24 hours</option>
+                        <option value="">Until unmuted</option>
+                    </select>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button id="confirm-mute-btn" class="danger-btn">Mute User</button>
+                <button id="cancel-mute-btn" class="primary-btn">Cancel</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    document.querySelector('#mute-modal .close-modal')
+        .addEventListener('click', () => toggleMuteModal(false));
+    document.getElementById('cancel-mute-btn')
+        .addEventListener('click', () => toggleMuteModal(false));
+    document.getElementById('confirm-mute-btn')
+        .addEventListener('click', executeMuteUser);
+
+    return modal;
+}
+
+function toggleMuteModal(show, username = null) {
+    const modal = createMuteModal();
+
+    if (show && username) {
+        userToMute = username;
+        document.getElementById('mute-username').textContent = username;
+    } else {
+        userToMute = null;
+    }
+
+    modal.style.display = show ? 'flex' : 'none';
+}
+
+function executeMuteUser() {
+    if (!userToMute || !state.currentRoom || !canModerateUser(userToMute) || !state.csrfToken) {
+        toggleMuteModal(false);
+        return;
+    }
+
+    const duration = document.getElementById('mute-duration-select').value;
+    socket.emit('muteUser', {
+        roomCode: state.currentRoom,
+        username: userToMute,
+        duration: duration ? parseInt(duration, 10) : null,
+        csrfToken: state.csrfToken
+    });
+
+    toggleMuteModal(false);
+}
+
+function unmuteUser(username) {
+    if (!state.currentRoom || !state.csrfToken) return;
+
+    socket.emit('unmuteUser', {
+        roomCode: state.currentRoom,
+        username,
+        csrfToken: state.csrfToken
+    });
+}
+
 // Keyboard/mouse navigation detection
 let usingKeyboard = false;
 
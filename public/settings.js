@@ -22,6 +22,11 @@ const SETTINGS_SCHEMA = {
     default: false,
     validate: value => typeof value === 'boolean'
   },
+  notificationPreviews: {
+    type: 'boolean',
+    default: false,
+    validate: value => typeof value === 'boolean'
+  },
   toastDuration: {
     type: 'number',
     allowed: [2000, 3000, 5000, 8000],
@@ -33,6 +38,21 @@ const SETTINGS_SCHEMA = {
     default: true,
     validate: value => typeof value === 'boolean'
   },
+  showTypingIndicators: {
+    type: 'boolean',
+    default: true,
+    validate: value => typeof value === 'boolean'
+  },
+  sendReadReceipts: {
+    type: 'boolean',
+    default: false,
+    validate: value => typeof value === 'boolean'
+  },
+  formatMessages: {
+    type: 'boolean',
+    default: true,
+    validate: value => typeof value === 'boolean'
+  },
   fontSize: {
     type: 'string',
     allowed: ['small', 'medium', 'large'],
@@ -576,8 +596,12 @@ function bindSettingsFormControls() {
     const themeSelect = document.getElementById('theme-select');
     const accentColorSelect = document.getElementById('accent-color-select');
     const notificationToggle = document.getElementById('notification-toggle');
+    const notificationPreviewToggle = document.getElementById('notification-preview-toggle');
     const toastDurationSelect = document.getElementById('toast-duration-select');
     const timestampToggle = document.getElementById('message-timestamp-toggle');
+    const typingToggle = document.getElementById('typing-indicator-toggle');
+    const readReceiptsToggle = document.getElementById('read-receipts-toggle');
+    const formattingToggle = document.getElementById('message-formatting-toggle');
     const fontSizeSelect = document.getElementById('font-size-select');
     const settingsModal = document.getElementById('settings-modal');
 
@@ -593,8 +617,12 @@ function bindSettingsFormControls() {
     if (themeSelect) themeSelect.value = settings.theme;
     if (accentColorSelect) accentColorSelect.value = settings.accentColor;
     if (notificationToggle) notificationToggle.checked = settings.notifications;
+    if (notificationPreviewToggle) notificationPreviewToggle.checked = settings.notificationPreviews;
     if (toastDurationSelect) toastDurationSelect.value = settings.toastDuration.toString();
     if (timestampToggle) timestampToggle.checked = settings.showTimestamps;
+    if (typingToggle) typingToggle.checked = settings.showTypingIndicators;
+    if (readReceiptsToggle) readReceiptsToggle.checked = settings.sendReadReceipts;
+    if (formattingToggle) formattingToggle.checked = settings.formatMessages;
     if (fontSizeSelect) fontSizeSelect.value = settings.fontSize;
 
     // Add theme select preview handler
@@ -619,8 +647,12 @@ function bindSettingsFormControls() {
                 theme: themeSelect ? themeSelect.value : settings.theme,
                 accentColor: accentColorSelect ? accentColorSelect.value : settings.accentColor,
                 notifications: notificationToggle ? notificationToggle.checked : settings.notifications,
+                notificationPreviews: notificationPreviewToggle ? notificationPreviewToggle.checked : settings.notificationPreviews,
                 toastDuration: toastDurationSelect ? parseInt(toastDurationSelect.value) : settings.toastDuration,
                 showTimestamps: timestampToggle ? timestampToggle.checked : settings.showTimestamps,
+                showTypingIndicators: typingToggle ? typingToggle.checked : settings.showTypingIndicators,
+                sendReadReceipts: readReceiptsToggle ? readReceiptsToggle.checked : settings.sendReadReceipts,
+                formatMessages: formattingToggle ? formattingToggle.checked : settings.formatMessages,
                 fontSize: fontSizeSelect ? fontSizeSelect.value : settings.fontSize
             };
 
@@ -649,8 +681,12 @@ function bindSettingsFormControls() {
             if (themeSelect) themeSelect.value = resetSettings.theme;
             if (accentColorSelect) accentColorSelect.value = resetSettings.accentColor;
             if (notificationToggle) notificationToggle.checked = resetSettings.notifications;
+            if (notificationPreviewToggle) notificationPreviewToggle.checked = resetSettings.notificationPreviews;
             if (toastDurationSelect) toastDurationSelect.value = resetSettings.toastDuration.toString();
             if (timestampToggle) timestampToggle.checked = resetSettings.showTimestamps;
+            if (typingToggle) typingToggle.checked = resetSettings.showTypingIndicators;
+            if (readReceiptsToggle) readReceiptsToggle.checked = resetSettings.sendReadReceipts;
+            if (formattingToggle) formattingToggle.checked = resetSettings.formatMessages;
             if (fontSizeSelect) fontSizeSelect.value = resetSettings.fontSize;
 
             showToast('Settings reset to defaults', 'info');
@@ -675,8 +711,12 @@ function bindSettingsFormControls() {
             if (themeSelect) themeSelect.value = currentSettings.theme;
             if (accentColorSelect) accentColorSelect.value = currentSettings.accentColor;
             if (notificationToggle) notificationToggle.checked = currentSettings.notifications;
+            if (notificationPreviewToggle) notificationPreviewToggle.checked = currentSettings.notificationPreviews;
             if (toastDurationSelect) toastDurationSelect.value = currentSettings.toastDuration.toString();
             if (timestampToggle) timestampToggle.checked = currentSettings.showTimestamps;
+            if (typingToggle) typingToggle.checked = currentSettings.showTypingIndicators;
+            if (readReceiptsToggle) readReceiptsToggle.checked = currentSettings.sendReadReceipts;
+            if (formattingToggle) formattingToggle.checked = currentSettings.formatMessages;
             if (fontSizeSelect) fontSizeSelect.value = currentSettings.fontSize;
 
             // Show the modal
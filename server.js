@@ -74,7 +74,10 @@ app.use(helmet.contentSecurityPolicy({
         scriptSrc: ["'self'", "https://cdnjs.cloudflare.com"],
         styleSrc: ["'self'", "https://cdnjs.cloudflare.com", "https://fonts.googleapis.com", "'unsafe-inline'"],
         fontSrc: ["'self'", "https://cdnjs.cloudflare.com", "https://fonts.gstatic.com"],
-        imgSrc: ["'self'", "data:"],
+        // Decrypted attachments are shown from blob: URLs
+        imgSrc: ["'self'", "data:", "blob:"],
+        // Voice notes play from blob: URLs as well
+        mediaSrc: ["'self'", "blob:"],
         connectSrc: ["'self'", "wss:", "ws:"],
         frameSrc: ["'none'"],
         objectSrc: ["'none'"],
@@ -169,6 +172,11 @@ const httpRateLimit = (req, res, next) => {
 
 app.use(httpRateLimit);
 
+// The word filter runs on both sides, so the browser gets the server's copy
+app.get('/ContentFilter.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'utils/ContentFilter.js'));
+});
+
 // Serve static files with proper headers
 app.use(express.static('public', {
     setHeaders: (res, path) => {
@@ -194,7 +202,9 @@ const roomManager = new RoomManager(logger, {
 const memoryMonitor = new MemoryMonitor(roomManager, logger, {
     warningThresholdMb: MEMORY_CONFIG.warningThresholdMb,
     criticalThresholdMb: MEMORY_CONFIG.criticalThresholdMb,
-    checkIntervalMs: MEMORY_CONFIG.checkIntervalMs
+    checkIntervalMs: MEMORY_CONFIG.checkIntervalMs,
+    attachmentQuotaBytes: SecurityUtils.ATTACHMENT_LIMITS.MAX_TOTAL_BYTES,
+    voiceNoteQuotaBytes: SecurityUtils.VOICE_NOTE_LIMITS.MAX_TOTAL_BYTES
 });
 
 // Start memory monitoring
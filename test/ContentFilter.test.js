@@ -0,0 +1,61 @@
+/**
+ * Tests for the shared room word filter. Run with `node --test test/`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const ContentFilter = require('../utils/ContentFilter');
+
+const patternFilter = pattern => ({ blockedTerms: [], patterns: [pattern], blockLinks: false, maxCapsRatio: null });
+
+test('isSafeRegex refuses patterns that can backtrack catastrophically', () => {
+    const unsafe = [
+        '(?:a+b?){6}c',
+        '(?:a+b?){5}c',
+        '(?:ab?){2,9}c',
+        '(?:\\d+){3}',
+        '(?:a|a){20}b',
+        '(?:a?){25}a{25}',
+        'a?a?a?a?aaaa',
+        '(a|a)*$',
+        '(a+)+',
+        'f(?:o|0)+bar',
+        '(?:.){2,}a*',
+        'a*a*a*$',
+        '\\w+\\d*',
+        '\\w+(?:\\s\\w+)*'
+    ];
+    for (const pattern of unsafe) {
+        assert.strictEqual(ContentFilter.isSafeRegex(pattern), false, pattern);
+    }
+});
+
+test('isSafeRegex accepts ordinary patterns', () => {
+    const safe = ['fo+bar', 'f[o0]+bar', '\\bfoo\\w*', '[0-9]{3}-[0-9]{4}', '\\w+@\\w+\\.com', 'b(?:a|o)d', 'colou?r', 'https?://', '(?:ab){3}', '(?:ab)+c'];
+    for (const pattern of safe) {
+        assert.strictEqual(ContentFilter.isSafeRegex(pattern), true, pattern);
+    }
+});
+
+test('isSafeRegex refuses long patterns, backreferences and lookarounds', () => {
+    assert.strictEqual(ContentFilter.isSafeRegex('a'.repeat(ContentFilter.RULES.MAX_PATTERN_LENGTH + 1)), false);
+    assert.strictEqual(ContentFilter.isSafeRegex('(a)\\1'), false);
+    assert.strictEqual(ContentFilter.isSafeRegex('a(?=b)'), false);
+});
+
+test('applyContentFilter never runs an unsafe pattern', () => {
+    const started = Date.now();
+    const result = ContentFilter.applyContentFilter('a'.repeat(80), patternFilter('(?:a+b?){6}c'));
+    assert.deepStrictEqual(result.violations, []);
+    assert.ok(Date.now() - started < 100);
+});
+
+test('applyContentFilter refuses overlong messages when the room has patterns', () => {
+    const text = 'x'.repeat(ContentFilter.RULES.MAX_TEXT_LENGTH + 1);
+    assert.deepStrictEqual(ContentFilter.applyContentFilter(text, patternFilter('x')).violations, ['length']);
+});
+
+test('applyContentFilter masks whole blocked words only', () => {
+    const result = ContentFilter.applyContentFilter('class ass', { blockedTerms: ['ass'], patterns: [], blockLinks: false, maxCapsRatio: null });
+    assert.strictEqual(result.text, 'class ***');
+    assert.deepStrictEqual(result.violations, ['term']);
+});
\ No newline at end of file
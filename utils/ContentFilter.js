@@ -0,0 +1,277 @@
+/**
+ * Room word filter shared by the server and the browser.
+ * The server filters plaintext messages; end-to-end encrypted messages can
+ * only be read by clients, so they load this same file (served at
+ * /ContentFilter.js) and filter after decryption.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ContentFilter = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Fixed bounds of the filter rules. They are the same on both sides, so
+     * unlike the server's other limits they can't be changed per deployment.
+     */
+    const RULES = Object.freeze({
+        MAX_PATTERN_LENGTH: 100,
+        MAX_PATTERN_QUANTIFIERS: 10,
+        MAX_STACKED_QUANTIFIERS: 3,
+        // Patterns are only run on messages up to this length; longer ones count as a violation
+        MAX_TEXT_LENGTH: 1000,
+        CAPS_MIN_LETTERS: 8
+    });
+
+    /**
+     * Checks a room's word filter against a plaintext message
+     * @param {string} text - Message text
+     * @param {Object} filter - Validated filter (blockedTerms, patterns, blockLinks, maxCapsRatio)
+     * @returns {Object} { violations, text } with the rules that matched and the text with matches masked.
+     * A 'length' violation can't be masked, so the message has to be rejected.
+     */
+    function applyContentFilter(text, filter) {
+        const violations = [];
+        let masked = text;
+
+        const maskMatches = (regex, rule, replacer) => {
+            if (!regex.test(masked)) return;
+            violations.push(rule);
+            regex.lastIndex = 0;
+            masked = masked.replace(regex, replacer);
+        };
+        const stars = match => '*'.repeat(match.length);
+
+        if (filter.blockedTerms.length > 0) {
+            // Whole words only, so blocking "ass" leaves "class" alone
+            const terms = filter.blockedTerms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+            maskMatches(new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms})(?![\\p{L}\\p{N}])`, 'giu'), 'term', stars);
+        }
+
+        // Patterns are checked when the filter is set; checking again keeps a
+        // filter from elsewhere (e.g. a client receiving it) from running unsafe ones.
+        // Even safe patterns can be slow on long input, so that is refused outright.
+        if (filter.patterns.length > 0 && text.length > RULES.MAX_TEXT_LENGTH) {
+            violations.push('length');
+        } else {
+            for (const pattern of filter.patterns) {
+                if (isSafeRegex(pattern)) {
+                    maskMatches(new RegExp(pattern, 'giu'), 'pattern', stars);
+                }
+            }
+        }
+
+        if (filter.blockLinks) {
+            maskMatches(/(?:https?:\/\/|www\.)\S+|\b[\w-]+\.(?:com|net|org|io|gg|co|me|ly|xyz|app|dev|info)\b\S*/gi, 'link', () => '[link removed]');
+        }
+
+        if (filter.maxCapsRatio) {
+            const letters = (masked.match(/\p{L}/gu) || []).length;
+            const capitals = (masked.match(/\p{Lu}/gu) || []).length;
+            if (letters >= RULES.CAPS_MIN_LETTERS && capitals / letters >= filter.maxCapsRatio) {
+                violations.push('caps');
+                masked = masked.toLowerCase();
+            }
+        }
+
+        return { violations, text: masked };
+    }
+
+    /**
+     * Checks that an owner-supplied regex can't cause catastrophic backtracking.
+     * Refused: groups that repeat (even a fixed number of times, as in
+     * (?:a+b?){6}) around a quantifier or alternation, variable parts that can
+     * match the same characters next to each other such as a*a*, a?a or \w+\d*,
+     * more than MAX_STACKED_QUANTIFIERS variable parts in a row, more than
+     * MAX_PATTERN_QUANTIFIERS quantifiers, backreferences and lookarounds.
+     * @param {string} pattern - Regular expression source
+     * @returns {boolean} True if the pattern compiles and is safe to run on messages
+     */
+    function isSafeRegex(pattern) {
+        if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > RULES.MAX_PATTERN_LENGTH) {
+            return false;
+        }
+
+        try {
+            new RegExp(pattern, 'giu');
+        } catch (error) {
+            return false;
+        }
+
+        if (/\\[1-9]|\\k<|\(\?<?[=!]/.test(pattern)) {
+            return false;
+        }
+
+        // Per open group: quantifiers inside it, alternation, the atom the group can
+        // start with, all of its atoms, and the variable atoms in front of it and at the ends of its branches
+        const groups = [];
+        // Variable atoms since the last part every match must contain
+        let stacked = [];
+        let quantifiers = 0;
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+
+            if (char === '^' || char === '$') continue;
+            if (char === '\\' && (pattern[i + 1] === 'b' || pattern[i + 1] === 'B')) {
+                i++;
+                continue;
+            }
+
+            if (char === '(') {
+                groups.push({ quantified: false, alternates: false, first: undefined, atoms: [], entry: stacked.slice(), ends: [] });
+                if (pattern.startsWith('(?:', i)) {
+                    i += 2;
+                } else if (pattern.startsWith('(?<', i)) {
+                    i = pattern.indexOf('>', i);
+                }
+                continue;
+            }
+
+            if (char === '|') {
+                const group = groups[groups.length - 1];
+                if (group) {
+                    group.alternates = true;
+                    group.ends.push(...stacked);
+                    stacked = group.entry.slice();
+                } else {
+                    stacked = [];
+                }
+                continue;
+            }
+
+            if (char === ')') {
+                const group = groups.pop();
+                stacked = group.ends.concat(stacked);
+                const quantifier = readQuantifier(pattern, i + 1);
+                if (quantifier) {
+                    i += quantifier.length;
+                    quantifiers++;
+
+                    // Each repetition of the group can split the text differently,
+                    // so the ways to match multiply even for a fixed count
+                    if (quantifier.max > 1 && (group.quantified || group.alternates)) return false;
+
+                    // The next repetition starts right after the previous one ends
+                    if (isVariable(quantifier)) {
+                        const first = group.first || ANY_ATOM;
+                        if (group.entry.concat(stacked).some(atom => atomsOverlap(atom, first))) return false;
+                    }
+
+                    if (isVariable(quantifier) && quantifier.max > 1) {
+                        // What follows can't overlap any character of the repeated group either
+                        stacked = (quantifier.min === 0 ? group.entry : []).concat([{ atoms: group.atoms }]);
+                    } else if (quantifier.min === 0) {
+                        stacked = group.entry.concat(stacked);
+                    }
+                }
+                if (groups.length > 0) {
+                    const parent = groups[groups.length - 1];
+                    parent.atoms.push(...group.atoms);
+                    if (quantifier || group.quantified) parent.quantified = true;
+                }
+                if (stacked.length > RULES.MAX_STACKED_QUANTIFIERS) return false;
+                continue;
+            }
+
+            // A single character, escape or character class
+            const start = i;
+            if (char === '\\') {
+                const escape = /^\\(?:[pP]\{[^}]*\}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|[\s\S])/.exec(pattern.slice(i));
+                i += escape[0].length - 1;
+            } else if (char === '[') {
+                for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                    if (pattern[i] === '\\') i++;
+                }
+            }
+            const atom = { regex: new RegExp(`^(?:${pattern.slice(start, i + 1)})$`, 'iu') };
+
+            const quantifier = readQuantifier(pattern, i + 1);
+            if (quantifier) {
+                i += quantifier.length;
+            }
+            const optional = quantifier && quantifier.min === 0;
+            const overlaps = stacked.some(other => atomsOverlap(other, atom));
+
+            for (const group of groups) {
+                if (group.first === undefined) group.first = optional ? ANY_ATOM : atom;
+            }
+            if (groups.length > 0) {
+                groups[groups.length - 1].atoms.push(atom);
+            }
+
+            if (quantifier) {
+                quantifiers++;
+                if (groups.length > 0) groups[groups.length - 1].quantified = true;
+            }
+
+            if (quantifier && isVariable(quantifier)) {
+                if (overlaps) return false;
+                if (!optional) stacked = [];
+                stacked.push(atom);
+                if (stacked.length > RULES.MAX_STACKED_QUANTIFIERS) return false;
+            } else if (!optional && !overlaps) {
+                // A character the repeating atoms can't match separates them from what follows
+                stacked = [];
+            }
+        }
+
+        return quantifiers <= RULES.MAX_PATTERN_QUANTIFIERS;
+    }
+
+    // Stands for "could start with anything" when a group's first character isn't known
+    const ANY_ATOM = { any: true };
+
+    // Characters tried when checking whether two atoms can match the same character
+    const SAMPLE_CHARACTERS = (() => {
+        const samples = [];
+        for (let code = 0; code < 0x250; code++) {
+            samples.push(String.fromCharCode(code));
+        }
+        return samples.concat(['а', 'א', '٣', 'क', '　', '中', ' ', ' ', '😀']);
+    })();
+
+    /**
+     * Whether two atoms of a pattern can match the same character
+     * @param {Object} first - Atom ({ regex }, { atoms } of a repeated group, or ANY_ATOM)
+     * @param {Object} second - Atom ({ regex }, { atoms } of a repeated group, or ANY_ATOM)
+     * @returns {boolean} True if some character matches both
+     */
+    function atomsOverlap(first, second) {
+        if (first.any || second.any) return true;
+        if (first.atoms) return first.atoms.some(atom => atomsOverlap(atom, second));
+        if (second.atoms) return second.atoms.some(atom => atomsOverlap(first, atom));
+        return SAMPLE_CHARACTERS.some(sample => first.regex.test(sample) && second.regex.test(sample));
+    }
+
+    /**
+     * Reads the quantifier at a position of a pattern, if any
+     * @param {string} pattern - Regular expression source
+     * @param {number} index - Position right after an atom or group
+     * @returns {Object|null} { min, max, length } or null if there is no quantifier
+     */
+    function readQuantifier(pattern, index) {
+        const match = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/.exec(pattern.slice(index));
+        if (!match) return null;
+
+        if (match[1]) {
+            return { min: match[1] === '+' ? 1 : 0, max: match[1] === '?' ? 1 : Infinity, length: match[0].length };
+        }
+
+        const min = Number(match[2]);
+        const max = match[3] === undefined ? min : (match[4] === '' ? Infinity : Number(match[4]));
+        return { min, max, length: match[0].length };
+    }
+
+    /**
+     * Whether a quantifier lets its atom match a varying number of times
+     * @param {Object} quantifier - Quantifier from readQuantifier
+     * @returns {boolean} True for *, +, ?, {n,} and {n,m} with m > n
+     */
+    function isVariable(quantifier) {
+        return quantifier.max !== quantifier.min;
+    }
+
+    return { RULES, applyContentFilter, isSafeRegex };
+}));
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Central catalogue of error codes used in the socket protocol.
+ * Handlers emit `{ code, message, retryAfter? }` on the 'error' event; clients
+ * branch on `code` and may show `message` (a default English description).
+ */
+
+/**
+ * Error codes mapped to their default messages
+ */
+const ERROR_CODES = Object.freeze({
+    // Server and connection state
+    SERVER_SHUTTING_DOWN: 'Server is shutting down. Please reconnect in a moment.',
+    SERVER_AT_CAPACITY: 'Server is at capacity. Please try again later.',
+    INTERNAL_ERROR: 'Something went wrong. Please try again.',
+    RATE_LIMITED: 'You are doing that too quickly. Please slow down.',
+    SLOW_MODE: 'Slow mode is on. Please wait before sending another message.',
+
+    // Input validation
+    INVALID_INPUT: 'Invalid request',
+    INVALID_ROOM_CODE: 'Invalid room code format',
+    INVALID_USERNAME: 'Invalid username. Username must be between 1-20 characters and contain only letters, numbers, and underscores.',
+    INVALID_MESSAGE: 'Invalid message format or empty message',
+    MESSAGE_TOO_LARGE: 'Message exceeds maximum size limit',
+    MESSAGE_FILTERED: 'Your message was blocked by this room\'s filter',
+    INVALID_ROOM_PASSWORD: 'Room password does not meet the length requirements',
+    REACTION_NOT_ALLOWED: 'That reaction is not allowed',
+    PIN_LIMIT_REACHED: 'This room already has the maximum number of pinned messages',
+    ATTACHMENT_TOO_LARGE: 'Attachment exceeds the maximum size',
+    ATTACHMENT_QUOTA_EXCEEDED: 'This room has no space left for attachments',
+
+    // Authentication and authorization
+    INVALID_TOKEN: 'Invalid session. Please rejoin the room.',
+    SESSION_EXPIRED: 'Session expired. Please rejoin the room.',
+    PASSWORD_REQUIRED: 'This room requires a password',
+    INVALID_PASSWORD: 'Incorrect room password',
+    NOT_IN_ROOM: 'You are not in this room',
+    NOT_ROOM_OWNER: 'Only the room owner can do that',
+    NOT_PERMITTED: 'You are not allowed to do that',
+    USER_MUTED: 'You are muted in this room',
+
+    // Missing resources
+    ROOM_NOT_FOUND: 'Room not found',
+    ROOM_UNAVAILABLE: 'Room not found or room is full',
+    USERNAME_TAKEN: 'Username already taken in this room',
+    USER_NOT_FOUND: 'User not found in room',
+    MESSAGE_NOT_FOUND: 'Message not found',
+    BAN_NOT_FOUND: 'Ban not found or already expired',
+    JOIN_REQUEST_NOT_FOUND: 'Join request not found or already answered',
+    ATTACHMENT_NOT_FOUND: 'Attachment not found or no longer available'
+});
+
+/**
+ * Builds an error payload for the socket protocol
+ * @param {string} code - Key of ERROR_CODES (unknown codes become INTERNAL_ERROR)
+ * @param {string} [message] - Overrides the default message
+ * @param {Object} [details] - Extra fields, e.g. retryAfter in seconds
+ * @returns {Object} Error payload { code, message, ...details }
+ */
+function createError(code, message = null, details = {}) {
+    const knownCode = Object.prototype.hasOwnProperty.call(ERROR_CODES, code) ? code : 'INTERNAL_ERROR';
+
+    return {
+        code: knownCode,
+        message: message || ERROR_CODES[knownCode],
+        ...details
+    };
+}
+
+module.exports = { ERROR_CODES, createError };
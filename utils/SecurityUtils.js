@@ -15,6 +15,7 @@ const { window } = new JSDOM('');
 const DOMPurify = createDOMPurify(window);
 const crypto = require('crypto');
 const { promisify } = require('util');
+const ContentFilter = require('./ContentFilter');
 
 // Create async versions of crypto functions for better performance
 const randomBytesAsync = promisify(crypto.randomBytes);
@@ -58,6 +59,62 @@ class SecurityUtils {
             burst: process.env.RATE_LIMIT_ROOMS_BURST ? parseInt(process.env.RATE_LIMIT_ROOMS_BURST) : 2,
             increasing: process.env.RATE_LIMIT_ROOMS_INCREASING === 'true',
             decayRate: process.env.RATE_LIMIT_ROOMS_DECAY ? parseFloat(process.env.RATE_LIMIT_ROOMS_DECAY) : 0.1
+        },
+        REACTIONS: {
+            max: process.env.RATE_LIMIT_REACTIONS_MAX ? parseInt(process.env.RATE_LIMIT_REACTIONS_MAX) : 60,
+            period: process.env.RATE_LIMIT_REACTIONS_PERIOD ? parseInt(process.env.RATE_LIMIT_REACTIONS_PERIOD) : 60000,
+            burst: process.env.RATE_LIMIT_REACTIONS_BURST ? parseInt(process.env.RATE_LIMIT_REACTIONS_BURST) : 10,
+            increasing: process.env.RATE_LIMIT_REACTIONS_INCREASING !== 'false',
+            decayRate: process.env.RATE_LIMIT_REACTIONS_DECAY ? parseFloat(process.env.RATE_LIMIT_REACTIONS_DECAY) : 0.5
+        },
+        TYPING: {
+            max: process.env.RATE_LIMIT_TYPING_MAX ? parseInt(process.env.RATE_LIMIT_TYPING_MAX) : 40,
+            period: process.env.RATE_LIMIT_TYPING_PERIOD ? parseInt(process.env.RATE_LIMIT_TYPING_PERIOD) : 60000,
+            burst: process.env.RATE_LIMIT_TYPING_BURST ? parseInt(process.env.RATE_LIMIT_TYPING_BURST) : 5,
+            increasing: process.env.RATE_LIMIT_TYPING_INCREASING === 'true',
+            decayRate: process.env.RATE_LIMIT_TYPING_DECAY ? parseFloat(process.env.RATE_LIMIT_TYPING_DECAY) : 0.5
+        },
+        PASSWORD_ATTEMPTS: {
+            max: process.env.RATE_LIMIT_PASSWORD_ATTEMPTS_MAX ? parseInt(process.env.RATE_LIMIT_PASSWORD_ATTEMPTS_MAX) : 5,
+            period: process.env.RATE_LIMIT_PASSWORD_ATTEMPTS_PERIOD ? parseInt(process.env.RATE_LIMIT_PASSWORD_ATTEMPTS_PERIOD) : 300000,
+            burst: process.env.RATE_LIMIT_PASSWORD_ATTEMPTS_BURST ? parseInt(process.env.RATE_LIMIT_PASSWORD_ATTEMPTS_BURST) : 0,
+            increasing: process.env.RATE_LIMIT_PASSWORD_ATTEMPTS_INCREASING !== 'false',
+            decayRate: process.env.RATE_LIMIT_PASSWORD_ATTEMPTS_DECAY ? parseFloat(process.env.RATE_LIMIT_PASSWORD_ATTEMPTS_DECAY) : 0.2
+        },
+        JOIN_REQUESTS: {
+            max: process.env.RATE_LIMIT_JOIN_REQUESTS_MAX ? parseInt(process.env.RATE_LIMIT_JOIN_REQUESTS_MAX) : 5,
+            period: process.env.RATE_LIMIT_JOIN_REQUESTS_PERIOD ? parseInt(process.env.RATE_LIMIT_JOIN_REQUESTS_PERIOD) : 300000,
+            burst: process.env.RATE_LIMIT_JOIN_REQUESTS_BURST ? parseInt(process.env.RATE_LIMIT_JOIN_REQUESTS_BURST) : 0,
+            increasing: process.env.RATE_LIMIT_JOIN_REQUESTS_INCREASING !== 'false',
+            decayRate: process.env.RATE_LIMIT_JOIN_REQUESTS_DECAY ? parseFloat(process.env.RATE_LIMIT_JOIN_REQUESTS_DECAY) : 0.2
+        },
+        ATTACHMENTS: {
+            max: process.env.RATE_LIMIT_ATTACHMENTS_MAX ? parseInt(process.env.RATE_LIMIT_ATTACHMENTS_MAX) : 10,
+            period: process.env.RATE_LIMIT_ATTACHMENTS_PERIOD ? parseInt(process.env.RATE_LIMIT_ATTACHMENTS_PERIOD) : 60000,
+            burst: process.env.RATE_LIMIT_ATTACHMENTS_BURST ? parseInt(process.env.RATE_LIMIT_ATTACHMENTS_BURST) : 2,
+            increasing: process.env.RATE_LIMIT_ATTACHMENTS_INCREASING !== 'false',
+            decayRate: process.env.RATE_LIMIT_ATTACHMENTS_DECAY ? parseFloat(process.env.RATE_LIMIT_ATTACHMENTS_DECAY) : 0.5
+        },
+        ATTACHMENT_CHUNKS: {
+            max: process.env.RATE_LIMIT_ATTACHMENT_CHUNKS_MAX ? parseInt(process.env.RATE_LIMIT_ATTACHMENT_CHUNKS_MAX) : 200,
+            period: process.env.RATE_LIMIT_ATTACHMENT_CHUNKS_PERIOD ? parseInt(process.env.RATE_LIMIT_ATTACHMENT_CHUNKS_PERIOD) : 60000,
+            burst: process.env.RATE_LIMIT_ATTACHMENT_CHUNKS_BURST ? parseInt(process.env.RATE_LIMIT_ATTACHMENT_CHUNKS_BURST) : 20,
+            increasing: process.env.RATE_LIMIT_ATTACHMENT_CHUNKS_INCREASING !== 'false',
+            decayRate: process.env.RATE_LIMIT_ATTACHMENT_CHUNKS_DECAY ? parseFloat(process.env.RATE_LIMIT_ATTACHMENT_CHUNKS_DECAY) : 0.5
+        },
+        ATTACHMENT_DOWNLOADS: {
+            max: process.env.RATE_LIMIT_ATTACHMENT_DOWNLOADS_MAX ? parseInt(process.env.RATE_LIMIT_ATTACHMENT_DOWNLOADS_MAX) : 400,
+            period: process.env.RATE_LIMIT_ATTACHMENT_DOWNLOADS_PERIOD ? parseInt(process.env.RATE_LIMIT_ATTACHMENT_DOWNLOADS_PERIOD) : 60000,
+            burst: process.env.RATE_LIMIT_ATTACHMENT_DOWNLOADS_BURST ? parseInt(process.env.RATE_LIMIT_ATTACHMENT_DOWNLOADS_BURST) : 40,
+            increasing: process.env.RATE_LIMIT_ATTACHMENT_DOWNLOADS_INCREASING !== 'false',
+            decayRate: process.env.RATE_LIMIT_ATTACHMENT_DOWNLOADS_DECAY ? parseFloat(process.env.RATE_LIMIT_ATTACHMENT_DOWNLOADS_DECAY) : 0.5
+        },
+        READ_RECEIPTS: {
+            max: process.env.RATE_LIMIT_READ_RECEIPTS_MAX ? parseInt(process.env.RATE_LIMIT_READ_RECEIPTS_MAX) : 60,
+            period: process.env.RATE_LIMIT_READ_RECEIPTS_PERIOD ? parseInt(process.env.RATE_LIMIT_READ_RECEIPTS_PERIOD) : 60000,
+            burst: process.env.RATE_LIMIT_READ_RECEIPTS_BURST ? parseInt(process.env.RATE_LIMIT_READ_RECEIPTS_BURST) : 10,
+            increasing: process.env.RATE_LIMIT_READ_RECEIPTS_INCREASING === 'true',
+            decayRate: process.env.RATE_LIMIT_READ_RECEIPTS_DECAY ? parseFloat(process.env.RATE_LIMIT_READ_RECEIPTS_DECAY) : 0.5
         }
     };
 
@@ -68,7 +125,86 @@ class SecurityUtils {
     static SIZE_LIMITS = {
         MESSAGE: process.env.SIZE_LIMIT_MESSAGE ? parseInt(process.env.SIZE_LIMIT_MESSAGE) : 500,
         USERNAME: process.env.SIZE_LIMIT_USERNAME ? parseInt(process.env.SIZE_LIMIT_USERNAME) : 20,
-        ROOM_CODE: process.env.SIZE_LIMIT_ROOM_CODE ? parseInt(process.env.SIZE_LIMIT_ROOM_CODE) : 24
+        ROOM_CODE: process.env.SIZE_LIMIT_ROOM_CODE ? parseInt(process.env.SIZE_LIMIT_ROOM_CODE) : 24,
+        ROOM_PASSWORD: process.env.SIZE_LIMIT_ROOM_PASSWORD ? parseInt(process.env.SIZE_LIMIT_ROOM_PASSWORD) : 128,
+        PINNED_MESSAGES: process.env.SIZE_LIMIT_PINNED_MESSAGES ? parseInt(process.env.SIZE_LIMIT_PINNED_MESSAGES) : 5
+    };
+
+    /**
+     * Bounds for the room settings owners may choose
+     * These can be overridden via environment variables
+     */
+    static ROOM_SETTINGS_LIMITS = {
+        MIN_USERS: 2,
+        MAX_USERS: process.env.ROOM_SETTINGS_MAX_USERS ? parseInt(process.env.ROOM_SETTINGS_MAX_USERS) : 50,
+        MIN_MESSAGES: 20,
+        MAX_MESSAGES: process.env.ROOM_SETTINGS_MAX_MESSAGES ? parseInt(process.env.ROOM_SETTINGS_MAX_MESSAGES) : 500,
+        MIN_EXPIRY_MINUTES: 10,
+        MAX_EXPIRY_MINUTES: 1440,
+        MIN_MESSAGE_TTL_SECONDS: 10,
+        MAX_MESSAGE_TTL_SECONDS: 86400,
+        MIN_SLOW_MODE_SECONDS: 5,
+        MAX_SLOW_MODE_SECONDS: 3600
+    };
+
+    /**
+     * Bounds for timed moderation actions
+     * These can be overridden via environment variables
+     */
+    static MODERATION_LIMITS = {
+        MIN_MUTE_MINUTES: 1,
+        MAX_MUTE_MINUTES: process.env.MODERATION_MAX_MUTE_MINUTES ? parseInt(process.env.MODERATION_MAX_MUTE_MINUTES) : 1440,
+        MIN_BAN_MINUTES: 1,
+        MAX_BAN_MINUTES: process.env.MODERATION_MAX_BAN_MINUTES ? parseInt(process.env.MODERATION_MAX_BAN_MINUTES) : 1440,
+        DEFAULT_BAN_MINUTES: 60
+    };
+
+    /**
+     * Bounds for the word filters owners may set on their rooms
+     * These can be overridden via environment variables
+     */
+    static CONTENT_FILTER_LIMITS = {
+        MAX_TERMS: process.env.CONTENT_FILTER_MAX_TERMS ? parseInt(process.env.CONTENT_FILTER_MAX_TERMS) : 50,
+        MAX_TERM_LENGTH: 50,
+        MAX_PATTERNS: process.env.CONTENT_FILTER_MAX_PATTERNS ? parseInt(process.env.CONTENT_FILTER_MAX_PATTERNS) : 10,
+        MAX_PATTERN_LENGTH: ContentFilter.RULES.MAX_PATTERN_LENGTH,
+        MIN_CAPS_RATIO: 0.5,
+        DEFAULT_MUTE_MINUTES: 5,
+        ACTIONS: ['reject', 'mask', 'mute']
+    };
+
+    /**
+     * Bounds for encrypted attachments. Sizes are in bytes of ciphertext and
+     * chunks stay well below the Socket.IO buffer limit (maxHttpBufferSize).
+     * These can be overridden via environment variables
+     */
+    static ATTACHMENT_LIMITS = {
+        MAX_BYTES: process.env.ATTACHMENT_MAX_BYTES ? parseInt(process.env.ATTACHMENT_MAX_BYTES) : 5 * 1024 * 1024,
+        MAX_ROOM_BYTES: process.env.ATTACHMENT_MAX_ROOM_BYTES ? parseInt(process.env.ATTACHMENT_MAX_ROOM_BYTES) : 25 * 1024 * 1024,
+        MAX_TOTAL_BYTES: process.env.ATTACHMENT_MAX_TOTAL_BYTES ? parseInt(process.env.ATTACHMENT_MAX_TOTAL_BYTES) : 200 * 1024 * 1024,
+        // Unsent uploads one member may have open at a time
+        MAX_PENDING_PER_USER: process.env.ATTACHMENT_MAX_PENDING ? parseInt(process.env.ATTACHMENT_MAX_PENDING) : 3,
+        CHUNK_BYTES: 256 * 1024,
+        MAX_META_LENGTH: 2048
+    };
+
+    /**
+     * Limits for voice notes, which travel as attachments with a duration
+     * These can be overridden via environment variables
+     */
+    static VOICE_NOTE_LIMITS = {
+        MAX_SECONDS: process.env.VOICE_NOTE_MAX_SECONDS ? parseInt(process.env.VOICE_NOTE_MAX_SECONDS) : 120,
+        MAX_BYTES: process.env.VOICE_NOTE_MAX_BYTES ? parseInt(process.env.VOICE_NOTE_MAX_BYTES) : 1024 * 1024,
+        MAX_TOTAL_BYTES: process.env.VOICE_NOTE_MAX_TOTAL_BYTES ? parseInt(process.env.VOICE_NOTE_MAX_TOTAL_BYTES) : 50 * 1024 * 1024
+    };
+
+    /**
+     * Bounds for requests to join locked rooms
+     * These can be overridden via environment variables
+     */
+    static JOIN_REQUEST_LIMITS = {
+        MAX_PENDING_PER_IP: process.env.JOIN_REQUESTS_MAX_PENDING_PER_IP ? parseInt(process.env.JOIN_REQUESTS_MAX_PENDING_PER_IP) : 3,
+        MAX_PENDING_PER_ROOM: process.env.JOIN_REQUESTS_MAX_PENDING_PER_ROOM ? parseInt(process.env.JOIN_REQUESTS_MAX_PENDING_PER_ROOM) : 20
     };
 
     /**
@@ -80,7 +216,12 @@ class SecurityUtils {
         SOCKET_INACTIVITY: process.env.TIMEOUT_SOCKET_INACTIVITY ? parseInt(process.env.TIMEOUT_SOCKET_INACTIVITY) : 7200000,
         TOKEN_EXPIRY: process.env.TIMEOUT_TOKEN_EXPIRY ? parseInt(process.env.TIMEOUT_TOKEN_EXPIRY) : 3600000,
         CLEANUP_INTERVAL: process.env.TIMEOUT_CLEANUP_INTERVAL ? parseInt(process.env.TIMEOUT_CLEANUP_INTERVAL) : 300000,
-        BAN_DURATION: process.env.TIMEOUT_BAN_DURATION ? parseInt(process.env.TIMEOUT_BAN_DURATION) : 3600000
+        BAN_DURATION: process.env.TIMEOUT_BAN_DURATION ? parseInt(process.env.TIMEOUT_BAN_DURATION) : 3600000,
+        SESSION_GRACE: process.env.TIMEOUT_SESSION_GRACE ? parseInt(process.env.TIMEOUT_SESSION_GRACE) : 60000,
+        TYPING_EXPIRY: process.env.TIMEOUT_TYPING_EXPIRY ? parseInt(process.env.TIMEOUT_TYPING_EXPIRY) : 5000,
+        MESSAGE_NONCE: process.env.TIMEOUT_MESSAGE_NONCE ? parseInt(process.env.TIMEOUT_MESSAGE_NONCE) : 300000,
+        JOIN_REQUEST: process.env.TIMEOUT_JOIN_REQUEST ? parseInt(process.env.TIMEOUT_JOIN_REQUEST) : 120000,
+        ATTACHMENT_UPLOAD: process.env.TIMEOUT_ATTACHMENT_UPLOAD ? parseInt(process.env.TIMEOUT_ATTACHMENT_UPLOAD) : 120000
     };
 
     /**
@@ -212,6 +353,25 @@ class SecurityUtils {
         return false;
     }
 
+    /**
+     * Checks a room's word filter against a plaintext message (see utils/ContentFilter.js)
+     * @param {string} text - Message text
+     * @param {Object} filter - Validated filter (blockedTerms, patterns, blockLinks, maxCapsRatio)
+     * @returns {Object} { violations, text } with the rules that matched and the text with matches masked
+     */
+    static applyContentFilter(text, filter) {
+        return ContentFilter.applyContentFilter(text, filter);
+    }
+
+    /**
+     * Checks that an owner-supplied regex is safe to run on messages (see utils/ContentFilter.js)
+     * @param {string} pattern - Regular expression source
+     * @returns {boolean} True if the pattern compiles and is safe to run on messages
+     */
+    static isSafeRegex(pattern) {
+        return ContentFilter.isSafeRegex(pattern);
+    }
+
     /**
      * Fixed rate limiting implementation that checks limits before incrementing counters
      * @param {string} ip - IP address of the client
@@ -303,6 +463,21 @@ class SecurityUtils {
         return false; // Not rate limited
     }
 
+    /**
+     * Gets the number of seconds until a rate limit window resets
+     * @param {string} ip - IP address of the client
+     * @param {string} action - Action type (messages, connections, rooms)
+     * @returns {number} Seconds until the limit resets (0 if not tracked)
+     */
+    static getRateLimitRetryAfter(ip, action) {
+        const limit = this.rateLimits.get(`${ip}:${action}`);
+        if (!limit) {
+            return 0;
+        }
+
+        return Math.max(0, Math.ceil((limit.reset - Date.now()) / 1000));
+    }
+
     /**
      * Cleans up expired rate limit entries to prevent memory leaks
      */
@@ -507,6 +682,63 @@ class SecurityUtils {
         }
     }
 
+    /**
+     * Reads the socket ID and room code out of a registered session token
+     * without binding it to the caller's socket. Used for session resumption,
+     * where the token was issued to a socket that no longer exists.
+     * @param {string} token - Token to inspect
+     * @returns {Object|null} { socketId, roomCode, issuedAt } or null if invalid or expired
+     */
+    static parseSessionToken(token) {
+        try {
+            if (!token || typeof token !== 'string') return null;
+
+            const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+            const tokenInfo = this.tokenRegistry.get(tokenHash);
+
+            const now = Date.now();
+            if (!tokenInfo || now > tokenInfo.expires) {
+                return null;
+            }
+
+            let decrypted;
+            try {
+                decrypted = this.decrypt(token);
+            } catch (e) {
+                return null; // Decryption failed
+            }
+
+            const [tokenSocketId, tokenRoomCode, timestamp] = decrypted.split(':');
+            if (!tokenSocketId || !tokenRoomCode || !timestamp) return null;
+
+            // Registry and token contents must agree
+            if (tokenSocketId !== tokenInfo.socketId || tokenRoomCode !== tokenInfo.roomCode) {
+                return null;
+            }
+
+            return {
+                socketId: tokenSocketId,
+                roomCode: tokenRoomCode,
+                issuedAt: parseInt(timestamp)
+            };
+        } catch (error) {
+            console.error('Error parsing session token:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Removes a session token from the registry so it can no longer be used
+     * @param {string} token - Token to revoke
+     * @returns {boolean} True if the token was registered
+     */
+    static revokeSessionToken(token) {
+        if (!token || typeof token !== 'string') return false;
+
+        const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+        return this.tokenRegistry.delete(tokenHash);
+    }
+
     /**
      * Clean up expired token registry entries
      */
@@ -723,6 +955,182 @@ class SecurityUtils {
         return crypto.randomBytes(16).toString('hex').toUpperCase().slice(0, 24);
     }
 
+    /**
+     * Validates a room password (length only, any characters allowed)
+     * @param {string} password - Password to validate
+     * @returns {boolean} True if valid, false otherwise
+     */
+    static isValidRoomPassword(password) {
+        return typeof password === 'string' &&
+            password.length >= 4 &&
+            password.length <= this.SIZE_LIMITS.ROOM_PASSWORD;
+    }
+
+    /**
+     * Validates a mute duration in minutes (null mutes until lifted by hand)
+     * @param {*} minutes - Duration to validate
+     * @returns {boolean} True if valid, false otherwise
+     */
+    static isValidMuteDuration(minutes) {
+        if (minutes === null || minutes === undefined) return true;
+
+        return Number.isInteger(minutes) &&
+            minutes >= this.MODERATION_LIMITS.MIN_MUTE_MINUTES &&
+            minutes <= this.MODERATION_LIMITS.MAX_MUTE_MINUTES;
+    }
+
+    /**
+     * Validates a ban duration in minutes
+     * @param {*} minutes - Duration to validate
+     * @returns {boolean} True if valid, false otherwise
+     */
+    static isValidBanDuration(minutes) {
+        return Number.isInteger(minutes) &&
+            minutes >= this.MODERATION_LIMITS.MIN_BAN_MINUTES &&
+            minutes <= this.MODERATION_LIMITS.MAX_BAN_MINUTES;
+    }
+
+    /**
+     * Validates a client generated message nonce (e.g. a UUID)
+     * @param {string} nonce - Nonce to validate
+     * @returns {boolean} True if valid, false otherwise
+     */
+    static isValidNonce(nonce) {
+        return typeof nonce === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(nonce);
+    }
+
+    /**
+     * Validates owner-chosen room settings against the server-side bounds
+     * @param {Object} settings - Requested settings (maxUsers, maxMessages, expiryMinutes, messageTtl and slowMode in seconds; null turns them off)
+     * @returns {Object|null} Only the provided settings, or null if any of them is out of bounds
+     */
+    static validateRoomSettings(settings) {
+        if (!settings || typeof settings !== 'object') {
+            return null;
+        }
+
+        const limits = this.ROOM_SETTINGS_LIMITS;
+        const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        const validated = {};
+
+        if (settings.maxUsers !== undefined) {
+            if (!inRange(settings.maxUsers, limits.MIN_USERS, limits.MAX_USERS)) return null;
+            validated.maxUsers = settings.maxUsers;
+        }
+
+        if (settings.maxMessages !== undefined) {
+            if (!inRange(settings.maxMessages, limits.MIN_MESSAGES, limits.MAX_MESSAGES)) return null;
+            validated.maxMessages = settings.maxMessages;
+        }
+
+        if (settings.expiryMinutes !== undefined) {
+            if (settings.expiryMinutes !== null &&
+                !inRange(settings.expiryMinutes, limits.MIN_EXPIRY_MINUTES, limits.MAX_EXPIRY_MINUTES)) return null;
+            validated.expiryMinutes = settings.expiryMinutes;
+        }
+
+        if (settings.messageTtl !== undefined) {
+            if (settings.messageTtl !== null &&
+                !inRange(settings.messageTtl, limits.MIN_MESSAGE_TTL_SECONDS, limits.MAX_MESSAGE_TTL_SECONDS)) return null;
+            validated.messageTtl = settings.messageTtl;
+        }
+
+        if (settings.slowMode !== undefined) {
+            if (settings.slowMode !== null &&
+                !inRange(settings.slowMode, limits.MIN_SLOW_MODE_SECONDS, limits.MAX_SLOW_MODE_SECONDS)) return null;
+            validated.slowMode = settings.slowMode;
+        }
+
+        if (settings.contentFilter !== undefined) {
+            const contentFilter = settings.contentFilter === null ? null : this.validateContentFilter(settings.contentFilter);
+            if (contentFilter === undefined) return null;
+            validated.contentFilter = contentFilter;
+        }
+
+        return validated;
+    }
+
+    /**
+     * Validates and normalizes a room word filter
+     * @param {Object} filter - Requested filter (blockedTerms, patterns, blockLinks, maxCapsRatio, action, muteMinutes)
+     * @returns {Object|null|undefined} Normalized filter, null if it has no rules, or undefined if invalid
+     */
+    static validateContentFilter(filter) {
+        if (!filter || typeof filter !== 'object') {
+            return undefined;
+        }
+
+        const limits = this.CONTENT_FILTER_LIMITS;
+        const { blockedTerms = [], patterns = [], blockLinks = false, maxCapsRatio = null, action = 'reject' } = filter;
+        const muteMinutes = filter.muteMinutes === undefined ? limits.DEFAULT_MUTE_MINUTES : filter.muteMinutes;
+
+        if (!Array.isArray(blockedTerms) || blockedTerms.length > limits.MAX_TERMS) return undefined;
+        if (!Array.isArray(patterns) || patterns.length > limits.MAX_PATTERNS) return undefined;
+        if (typeof blockLinks !== 'boolean') return undefined;
+        if (maxCapsRatio !== null && (typeof maxCapsRatio !== 'number' || maxCapsRatio < limits.MIN_CAPS_RATIO || maxCapsRatio > 1)) return undefined;
+        if (!limits.ACTIONS.includes(action)) return undefined;
+        if (!this.isValidMuteDuration(muteMinutes) || muteMinutes === null) return undefined;
+
+        const terms = new Set();
+        for (const term of blockedTerms) {
+            if (typeof term !== 'string') return undefined;
+            const normalized = term.trim().toLowerCase();
+            if (normalized.length > limits.MAX_TERM_LENGTH) return undefined;
+            if (normalized) terms.add(normalized);
+        }
+
+        if (!patterns.every(pattern => this.isSafeRegex(pattern))) return undefined;
+
+        if (terms.size === 0 && patterns.length === 0 && !blockLinks && !maxCapsRatio) {
+            return null;
+        }
+
+        return {
+            blockedTerms: Array.from(terms),
+            patterns: Array.from(new Set(patterns)),
+            blockLinks,
+            maxCapsRatio,
+            action,
+            muteMinutes
+        };
+    }
+
+    /**
+     * Hashes a room password with a random salt using scrypt
+     * @param {string} password - Plaintext password
+     * @returns {Promise<string>} Salt and hash as "salt:hash" hex
+     */
+    static async hashRoomPassword(password) {
+        const salt = await randomBytesAsync(16);
+        const hash = await scryptAsync(password, salt, 64);
+        return `${salt.toString('hex')}:${hash.toString('hex')}`;
+    }
+
+    /**
+     * Verifies a room password against a stored scrypt hash in constant time
+     * @param {string} password - Password attempt
+     * @param {string} storedHash - Hash from hashRoomPassword
+     * @returns {Promise<boolean>} True if the password matches
+     */
+    static async verifyRoomPassword(password, storedHash) {
+        if (typeof password !== 'string' || typeof storedHash !== 'string') {
+            return false;
+        }
+
+        try {
+            const [saltHex, hashHex] = storedHash.split(':');
+            if (!saltHex || !hashHex) return false;
+
+            const expected = Buffer.from(hashHex, 'hex');
+            const actual = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+
+            return crypto.timingSafeEqual(actual, expected);
+        } catch (error) {
+            console.error('Error verifying room password:', error);
+            return false;
+        }
+    }
+
     /**
      * Compare strings in a timing-safe manner to prevent timing attacks
      * @param {string} a - First string